@@ -0,0 +1,100 @@
+import { TICK_RATE } from './simulation.js';
+import { mulberry32 } from './random.js';
+
+// Scripted opponent for one team. It plays through Simulation.issue like the
+// player does, so its orders are recorded and a replay reproduces its games
+// without running it again. Every few seconds it looks at the board:
+//   - no enemies left: nothing to do
+//   - idle units (no orders): attack-moved towards the enemy unit nearest
+//     the army's centre, or to the army's centre while it is spread out
+//   - every RETARGET_THINKS looks, the whole army is sent again, since the
+//     enemy has moved on since the last orders
+// Choices that are not forced (which planner, where exactly to go) come from
+// its own seeded PRNG, so two controllers with the same seed play the same.
+
+const THINK_SECONDS = 1.5; // Between looks at the board
+const RETARGET_THINKS = 4; // Looks between re-sending the whole army
+const GATHER_RADIUS = 8; // Army spread that makes idle units regroup first
+const TARGET_JITTER = 3; // Spread of attack-move targets around the enemy
+
+export class AIController {
+    // options: seed (defaults to the simulation's, mixed with the team),
+    // planners (picked from at random for each order; default ['grid']),
+    // formation (default 'box')
+    constructor(sim, team, options = {}) {
+        this.sim = sim;
+        this.team = team;
+        this.random = mulberry32(options.seed !== undefined ? options.seed : (sim.seed ^ (team + 1) * 0x9e3779b9) >>> 0);
+        this.planners = options.planners || ['grid'];
+        this.formation = options.formation || 'box';
+        this.interval = Math.round(THINK_SECONDS * TICK_RATE);
+        // Teams do not all think on the same tick
+        this.nextThink = sim.tick + Math.floor(this.random() * this.interval);
+        this.thinks = 0;
+        this.ordersIssued = 0;
+    }
+
+    // Called by the simulation at the start of every tick (see addController)
+    update() {
+        if (this.sim.tick < this.nextThink) return;
+        this.nextThink = this.sim.tick + this.interval;
+        this.think();
+        this.thinks++;
+    }
+
+    think() {
+        const sim = this.sim;
+        const own = sim.units.filter(unit => unit.team === this.team);
+        const enemies = sim.units.filter(unit => unit.team !== this.team);
+        if (own.length === 0 || enemies.length === 0) return;
+
+        const centre = centreOf(own);
+        const retarget = this.thinks % RETARGET_THINKS === RETARGET_THINKS - 1;
+        const idle = own.filter(unit => unit.orderQueue.length === 0 && !unit.target && !sim.hasPendingOrder(unit));
+        const army = retarget ? own.filter(unit => !unit.target) : idle;
+        if (army.length === 0) return;
+
+        // A spread-out army regroups before it attacks
+        const spread = Math.max(...own.map(unit => Math.hypot(unit.position.x - centre.x, unit.position.z - centre.z)));
+        if (!retarget && spread > GATHER_RADIUS) {
+            this.order(idle, centre);
+            return;
+        }
+
+        let nearest = enemies[0];
+        let nearestDist = Infinity;
+        enemies.forEach(enemy => {
+            const dist = Math.hypot(enemy.position.x - centre.x, enemy.position.z - centre.z);
+            if (dist < nearestDist) {
+                nearest = enemy;
+                nearestDist = dist;
+            }
+        });
+        const target = {
+            x: nearest.position.x + (this.random() - 0.5) * TARGET_JITTER,
+            z: nearest.position.z + (this.random() - 0.5) * TARGET_JITTER
+        };
+        this.order(army, target);
+    }
+
+    // Attack-move, so units fight whatever they meet on the way
+    order(units, point) {
+        const planner = this.planners[Math.floor(this.random() * this.planners.length)];
+        this.sim.issue({
+            type: 'move',
+            ids: units.map(unit => unit.id),
+            x: point.x,
+            z: point.z,
+            planner,
+            formation: this.formation,
+            attack: true
+        });
+        this.ordersIssued++;
+    }
+}
+
+function centreOf(units) {
+    let x = 0, z = 0;
+    units.forEach(unit => { x += unit.position.x; z += unit.position.z; });
+    return { x: x / units.length, z: z / units.length };
+}
@@ -0,0 +1,83 @@
+// Clearance (distance transform) layer over a Pathfinder grid.
+// values[cell] is the distance, in cells, from the cell centre to the nearest
+// obstacle cell or map edge, capped at maxClearance; blocked cells are 0.
+// Because of the cap a grid change only affects cells within maxClearance of it,
+// so setObstacle just marks a dirty rectangle and the next query that needs
+// clearance recomputes that neighbourhood.
+export class ClearanceMap {
+    constructor(pathfinder, maxClearance = 8) {
+        this.pathfinder = pathfinder;
+        this.maxClearance = maxClearance;
+        this.values = new Float32Array(pathfinder.width * pathfinder.height);
+
+        // Window offsets sorted by their distance to a blocked cell at that offset,
+        // so the per-cell scan can stop at the first hit
+        const r = Math.ceil(maxClearance) + 1;
+        this.offsets = [];
+        for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                const d = Math.hypot(Math.max(Math.abs(dx) - 0.5, 0), Math.max(Math.abs(dy) - 0.5, 0));
+                if (d < maxClearance) this.offsets.push({ dx, dy, d });
+            }
+        }
+        this.offsets.sort((a, b) => a.d - b.d);
+
+        // Everything starts dirty so grids filled before the first query are picked up
+        this.dirty = { x0: 0, y0: 0, x1: pathfinder.width - 1, y1: pathfinder.height - 1 };
+    }
+
+    // A cell changed: its neighbourhood needs recomputing before the next read
+    markDirty(gx, gy) {
+        const r = Math.ceil(this.maxClearance);
+        const x0 = Math.max(0, gx - r), y0 = Math.max(0, gy - r);
+        const x1 = Math.min(this.pathfinder.width - 1, gx + r);
+        const y1 = Math.min(this.pathfinder.height - 1, gy + r);
+        if (!this.dirty) {
+            this.dirty = { x0, y0, x1, y1 };
+        } else {
+            this.dirty.x0 = Math.min(this.dirty.x0, x0);
+            this.dirty.y0 = Math.min(this.dirty.y0, y0);
+            this.dirty.x1 = Math.max(this.dirty.x1, x1);
+            this.dirty.y1 = Math.max(this.dirty.y1, y1);
+        }
+    }
+
+    // Bring the dirty region up to date
+    update() {
+        if (!this.dirty) return;
+        const { x0, y0, x1, y1 } = this.dirty;
+        this.dirty = null;
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                this.values[y * this.pathfinder.width + x] = this.computeCell(x, y);
+            }
+        }
+    }
+
+    computeCell(x, y) {
+        const pf = this.pathfinder;
+        if (pf.isBlocked(x, y)) return 0;
+
+        // Map edges count as walls
+        let best = Math.min(
+            x + 0.5, pf.width - x - 0.5,
+            y + 0.5, pf.height - y - 0.5,
+            this.maxClearance
+        );
+        for (const { dx, dy, d } of this.offsets) {
+            if (d >= best) break;
+            const nx = x + dx, ny = y + dy;
+            if (pf.isValid(nx, ny) && pf.isBlocked(nx, ny)) {
+                best = d;
+                break;
+            }
+        }
+        return best;
+    }
+
+    // Clearance in cells of a grid cell (call update() first)
+    at(gx, gy) {
+        if (!this.pathfinder.isValid(gx, gy)) return 0;
+        return this.values[gy * this.pathfinder.width + gx];
+    }
+}
@@ -0,0 +1,186 @@
+// Combat for the Simulation: every tick each armed unit keeps or picks a
+// target, closes in on it or stands and fires once it is in range, shots in
+// flight move on, and units out of hit points are removed. Weapons and hit
+// points come from the unit's archetype (UNIT_TYPES); ranges are measured
+// edge to edge, as in SC2. Plain numbers and no randomness, so fights replay
+// tick for tick like everything else in the simulation.
+//
+// Whether a unit engages depends on its current order:
+//   move      never: a move order walks past enemies
+//   hold      fires at enemies in weapon range, never moves
+//   attack, patrol, or idle (no orders)
+//             acquires the nearest enemy within ACQUIRE_MARGIN of weapon range
+//             that it can walk straight to, closes in and fires; afterwards its
+//             order is picked up again from wherever the fight left it
+//
+// The simulation reports each shot as an 'attack' event ({ attacker, target,
+// projectile }; projectile is null for instant hits) and each removal as a
+// 'death' event ({ unit }).
+
+const ACQUIRE_MARGIN = 3; // How far beyond weapon range units notice and chase enemies
+const FIRE_ANGLE = Math.PI / 6; // Must face the target within this to fire
+const HASH_SLACK = 0.5; // Units move after the spatial hash is filled (see query)
+
+export class Combat {
+    constructor(sim) {
+        this.sim = sim;
+        // Shots in flight: { x, z, previousX, previousZ, target, targetX, targetZ, damage, speed, attackerId }
+        this.projectiles = [];
+        this.candidates = []; // Scratch list for spatial hash queries
+    }
+
+    // Units were replaced: drop the shots aimed at the old ones
+    reset() {
+        this.projectiles = [];
+    }
+
+    update(dt) {
+        const sim = this.sim;
+        this.moveProjectiles(dt);
+
+        // A single team (the usual demo and every test without enemies) has nothing to fight
+        let maxRadius = 0;
+        let armies = 0;
+        let firstTeam = null;
+        sim.units.forEach(unit => {
+            maxRadius = Math.max(maxRadius, unit.radius);
+            if (firstTeam === null) firstTeam = unit.team;
+            else if (unit.team !== firstTeam) armies = 2;
+        });
+        if (armies > 1) sim.units.forEach(unit => this.updateUnit(unit, dt, maxRadius));
+
+        const dead = sim.units.filter(unit => unit.health <= 0);
+        if (dead.length === 0) return;
+        dead.forEach(unit => sim.removeUnit(unit));
+        sim.units.forEach(unit => {
+            if (unit.target && unit.target.health <= 0) this.disengage(unit);
+        });
+    }
+
+    updateUnit(unit, dt, maxRadius) {
+        const weapon = unit.weapon;
+        if (!weapon) return;
+        unit.weaponCooldown = Math.max(0, unit.weaponCooldown - dt);
+
+        const current = unit.orderQueue[0];
+        if (current && current.type === 'move') {
+            if (unit.target) this.disengage(unit);
+            return;
+        }
+        const chases = !current || current.type !== 'hold';
+        const reach = weapon.range + (chases ? ACQUIRE_MARGIN : 0);
+
+        let target = unit.target;
+        if (target && (target.health <= 0 || gap(unit, target) > reach)) target = null;
+        if (!target) target = this.findTarget(unit, reach, maxRadius);
+        if (!target) {
+            if (unit.target) this.disengage(unit);
+            return;
+        }
+        unit.target = target;
+
+        if (gap(unit, target) > weapon.range) {
+            unit.chasing = true; // Unit.update closes in
+            return;
+        }
+        const dx = target.position.x - unit.position.x;
+        const dz = target.position.z - unit.position.z;
+        const off = Math.atan2(dx, dz) - unit.heading;
+        if (unit.weaponCooldown > 0 || Math.abs(Math.atan2(Math.sin(off), Math.cos(off))) > FIRE_ANGLE) return;
+        this.fire(unit, target);
+    }
+
+    // Nearest living enemy within reach (edge to edge; ties go to the lower id).
+    // One that is out of weapon range is only taken if the unit can walk
+    // straight to it, since chasing does not follow a path.
+    findTarget(unit, reach, maxRadius) {
+        const sim = this.sim;
+        const { x, z } = unit.position;
+        const candidates = sim.useSpatialHash
+            ? sim.unitHash.query(x, z, unit.radius + reach + maxRadius + HASH_SLACK, this.candidates)
+            : sim.units;
+
+        let best = null;
+        let bestGap = Infinity;
+        for (const other of candidates) {
+            if (other.team === unit.team || other.health <= 0) continue;
+            const distance = gap(unit, other);
+            if (distance > reach) continue;
+            if (distance < bestGap || (distance === bestGap && other.id < best.id)) {
+                best = other;
+                bestGap = distance;
+            }
+        }
+        if (best && bestGap > unit.weapon.range &&
+            !sim.pathfinder.hasLineOfSight(unit.position, best.position, unit.radius)) {
+            return null;
+        }
+        return best;
+    }
+
+    fire(unit, target) {
+        const weapon = unit.weapon;
+        unit.weaponCooldown = weapon.cooldown;
+        let projectile = null;
+        if (weapon.projectileSpeed > 0) {
+            const { x, z } = unit.position;
+            projectile = {
+                x, z,
+                previousX: x,
+                previousZ: z,
+                target,
+                targetX: target.position.x,
+                targetZ: target.position.z,
+                damage: weapon.damage,
+                speed: weapon.projectileSpeed,
+                attackerId: unit.id
+            };
+            this.projectiles.push(projectile);
+        } else {
+            target.health -= weapon.damage;
+        }
+        this.sim.dispatchEvent({ type: 'attack', attacker: unit, target, projectile });
+    }
+
+    // Shots home in on their target; one whose target died flies on to where
+    // it was and does nothing
+    moveProjectiles(dt) {
+        if (this.projectiles.length === 0) return;
+        this.projectiles = this.projectiles.filter(p => {
+            p.previousX = p.x;
+            p.previousZ = p.z;
+            const alive = p.target.health > 0;
+            if (alive) {
+                p.targetX = p.target.position.x;
+                p.targetZ = p.target.position.z;
+            }
+            const dx = p.targetX - p.x;
+            const dz = p.targetZ - p.z;
+            const dist = Math.hypot(dx, dz);
+            const step = p.speed * dt;
+            if (dist <= step) {
+                p.x = p.targetX;
+                p.z = p.targetZ;
+                if (alive) p.target.health -= p.damage;
+                return false;
+            }
+            p.x += dx / dist * step;
+            p.z += dz / dist * step;
+            return true;
+        });
+    }
+
+    // Stop engaging; a unit that left its path to chase finds it again
+    disengage(unit) {
+        unit.target = null;
+        if (!unit.chasing) return;
+        unit.chasing = false;
+        const current = unit.orderQueue[0];
+        if (current && current.type !== 'move' && current.type !== 'hold') this.sim.startNextOrder(unit);
+    }
+}
+
+// Distance between the two units' edges
+function gap(a, b) {
+    return Math.hypot(a.position.x - b.position.x, a.position.z - b.position.z) - a.radius - b.radius;
+}
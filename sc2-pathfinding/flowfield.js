@@ -0,0 +1,233 @@
+import { BinaryHeap } from './heap.js';
+import { NEIGHBORS, findNearestWalkable } from './pathfinding.js';
+
+// Flow field towards a single goal cell.
+// The integration field holds the path cost from every cell to the goal
+// (Dijkstra outward from the goal, same movement rules and terrain costs as
+// the A* search), and the direction field points each cell at its cheapest
+// neighbour. Any number of units can then steer by sampling it instead of
+// running their own search.
+export class FlowField {
+    constructor(pathfinder, goalX, goalZ, options = {}) {
+        this.pathfinder = pathfinder;
+        this.goalX = goalX;
+        this.goalZ = goalZ;
+        this.radius = options.radius || 0;
+
+        // A goal inside a wall moves to the nearest cell the agents fit in
+        const minClearance = pathfinder.minClearanceFor(this.radius);
+        if (minClearance > 0) pathfinder.clearance.update();
+        const goal = pathfinder.resolveCell(pathfinder.toGridX(goalX), pathfinder.toGridY(goalZ), minClearance);
+        this.goalCell = goal ? goal.y * pathfinder.width + goal.x : -1;
+        this.goalAdjusted = !!(goal && goal.adjusted);
+        if (this.goalAdjusted) {
+            const centre = pathfinder.cellToWorld(goal.x, goal.y);
+            this.goalX = centre.x;
+            this.goalZ = centre.z;
+        }
+
+        const size = pathfinder.width * pathfinder.height;
+        this.integration = new Float64Array(size).fill(Infinity);
+        this.directions = new Float32Array(size * 2); // Unit vector (x, z) per cell, 0 at goal/unreachable
+
+        const started = performance.now();
+        this.build();
+        this.buildMs = performance.now() - started;
+    }
+
+    // What building the field took, in the shape of Pathfinder.findPath's
+    // diagnostics: every cell the field reached, costed from the goal. There
+    // is no path; units sample the field instead.
+    diagnostics() {
+        const expanded = [];
+        const expandedCost = [];
+        this.integration.forEach((cost, cell) => {
+            if (cost === Infinity) return;
+            expanded.push(cell);
+            expandedCost.push(cost);
+        });
+        return {
+            algorithm: 'flow',
+            found: this.goalCell !== -1,
+            iterations: expanded.length,
+            expanded,
+            expandedCost,
+            rawPath: [],
+            path: [],
+            elapsedMs: this.buildMs
+        };
+    }
+
+    build() {
+        const pf = this.pathfinder;
+        const { width, height } = pf;
+        const size = width * height;
+        if (this.goalCell === -1) return;
+
+        // Agent radius works as in findPath: low-clearance cells count as walls.
+        // beginSearch routes isBlockedForSearch through that clearance.
+        pf.beginSearch(pf.minClearanceFor(this.radius));
+
+        const cost = this.integration;
+        const order = new Uint32Array(size);
+        const open = new BinaryHeap(size, cost, order);
+        const done = new Uint8Array(size);
+        let sequence = 0;
+
+        cost[this.goalCell] = 0;
+        open.push(this.goalCell);
+
+        // 1. Integration field
+        while (!open.isEmpty()) {
+            const current = open.pop();
+            done[current] = 1;
+            const cx = current % width;
+            const cy = (current - cx) / width;
+
+            for (const offset of NEIGHBORS) {
+                const nx = cx + offset.x;
+                const ny = cy + offset.y;
+                if (!pf.isValid(nx, ny) || pf.isBlockedForSearch(nx, ny)) continue;
+                if (offset.x !== 0 && offset.y !== 0 &&
+                    (pf.isBlockedForSearch(cx + offset.x, cy) || pf.isBlockedForSearch(cx, cy + offset.y))) continue;
+
+                const n = ny * width + nx;
+                if (done[n]) continue;
+                const g = cost[current] + pf.stepCost(current, n, offset.x !== 0 && offset.y !== 0);
+                if (g < cost[n]) {
+                    const isNew = cost[n] === Infinity;
+                    cost[n] = g;
+                    if (isNew) {
+                        order[n] = sequence++;
+                        open.push(n);
+                    } else {
+                        open.decreaseKey(n);
+                    }
+                }
+            }
+        }
+
+        // 2. Direction field: point at the reachable neighbour with the lowest cost
+        for (let i = 0; i < size; i++) {
+            if (cost[i] === Infinity || i === this.goalCell) continue;
+            const cx = i % width;
+            const cy = (i - cx) / width;
+            let best = cost[i];
+            let bx = 0, by = 0;
+            for (const offset of NEIGHBORS) {
+                const nx = cx + offset.x;
+                const ny = cy + offset.y;
+                if (!pf.isValid(nx, ny)) continue;
+                if (offset.x !== 0 && offset.y !== 0 &&
+                    (pf.isBlockedForSearch(cx + offset.x, cy) || pf.isBlockedForSearch(cx, cy + offset.y))) continue;
+                const c = cost[ny * width + nx];
+                if (c < best) {
+                    best = c;
+                    bx = offset.x;
+                    by = offset.y;
+                }
+            }
+            const length = Math.hypot(bx, by) || 1;
+            this.directions[i * 2] = bx / length;
+            this.directions[i * 2 + 1] = by / length;
+        }
+    }
+
+    // True if the goal can be reached from this world position
+    isReachable(x, z) {
+        const pf = this.pathfinder;
+        const gx = pf.toGridX(x);
+        const gy = pf.toGridY(z);
+        return pf.isValid(gx, gy) && this.integration[gy * pf.width + gx] !== Infinity;
+    }
+
+    // Where a unit ordered to (x, z) should end up when steering by this field:
+    // the point itself if it lies in the goal cell, otherwise (the field is
+    // shared with an order to another spot, or the goal was moved out of a
+    // wall or onto the map) the centre of the goal cell
+    goalFor(x, z) {
+        const pf = this.pathfinder;
+        const gx = pf.toGridX(x);
+        const gy = pf.toGridY(z);
+        if (this.goalCell !== -1 && pf.isValid(gx, gy) && gy * pf.width + gx === this.goalCell) return { x, z };
+        if (this.goalCell === -1) return { x: this.goalX, z: this.goalZ };
+        const centre = pf.cellToWorld(this.goalCell % pf.width, Math.floor(this.goalCell / pf.width));
+        return { x: centre.x, z: centre.z };
+    }
+
+    // Steering direction at a world position, written into out {x, z}.
+    // Inside the goal cell it aims straight at the goal point (the unit's own,
+    // see goalFor; the field's by default). A unit pushed into a wall (or off
+    // the reachable area) heads for the nearest cell that has a direction.
+    sample(x, z, out = { x: 0, z: 0 }, goalX = this.goalX, goalZ = this.goalZ) {
+        const pf = this.pathfinder;
+        const gx = pf.toGridX(x);
+        const gy = pf.toGridY(z);
+        const i = gy * pf.width + gx;
+        let targetX = goalX;
+        let targetZ = goalZ;
+
+        if (pf.isValid(gx, gy) && i !== this.goalCell) {
+            out.x = this.directions[i * 2];
+            out.z = this.directions[i * 2 + 1];
+            if (out.x !== 0 || out.z !== 0) return out;
+        }
+        if (i !== this.goalCell && this.goalCell !== -1) {
+            const escape = this.findNearestReachable(gx, gy);
+            if (escape !== -1) {
+                const centre = pf.cellToWorld(escape % pf.width, Math.floor(escape / pf.width));
+                targetX = centre.x;
+                targetZ = centre.z;
+            }
+        }
+
+        const dx = targetX - x;
+        const dz = targetZ - z;
+        const length = Math.hypot(dx, dz) || 1;
+        out.x = dx / length;
+        out.z = dz / length;
+        return out;
+    }
+
+    // Closest cell with a finite cost, or -1
+    findNearestReachable(gx, gy) {
+        const pf = this.pathfinder;
+        return findNearestWalkable(pf, gx, gy, (x, y) => this.integration[y * pf.width + x] !== Infinity);
+    }
+}
+
+// Shares flow fields between orders to the same goal cell. Fields are kept
+// while the goal cell (and agent radius) stays the same; clear() drops them
+// all, e.g. after the grid changes. A shared field keeps the goal it was
+// built for: each order steers to its own point through goalFor.
+export class FlowFieldCache {
+    constructor(pathfinder, maxEntries = 8) {
+        this.pathfinder = pathfinder;
+        this.maxEntries = maxEntries;
+        this.fields = new Map(); // Insertion order doubles as LRU order
+    }
+
+    get(goalX, goalZ, radius = 0) {
+        const pf = this.pathfinder;
+        // Off-map goals are clamped onto the map, as FlowField does when resolving them
+        const gx = Math.min(Math.max(pf.toGridX(goalX), 0), pf.width - 1);
+        const gy = Math.min(Math.max(pf.toGridY(goalZ), 0), pf.height - 1);
+        const key = (gy * pf.width + gx) + ':' + radius;
+
+        let field = this.fields.get(key);
+        if (field) {
+            this.fields.delete(key);
+        } else {
+            field = new FlowField(pf, goalX, goalZ, { radius });
+            if (this.fields.size >= this.maxEntries) {
+                this.fields.delete(this.fields.keys().next().value);
+            }
+        }
+        this.fields.set(key, field);
+        return field;
+    }
+
+    clear() {
+        this.fields.clear();
+    }
+}
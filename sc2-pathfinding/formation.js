@@ -0,0 +1,189 @@
+// Target slots for a group move order.
+//
+// 'box' is SC2's magic box: a group that is already clustered keeps every
+// unit's offset from the group centre and arrives in the shape it left in,
+// while a spread-out group (or one sent to a point inside its own cluster)
+// converges on a compact grid around the target. 'line', 'wedge' and 'column'
+// lay the group out in that shape, facing the direction of the move.
+// Units are matched to slots so the total distance walked is as small as
+// possible, which also keeps their paths from crossing: exactly (Hungarian
+// algorithm) for normal selections, greedily for very large ones.
+
+export const FORMATIONS = ['box', 'line', 'wedge', 'column'];
+
+const HUNGARIAN_LIMIT = 150; // Larger groups use the O(n^2) greedy match instead
+const COLUMN_WIDTH = 2; // Units abreast in a column
+
+// positions: [{ x, z }] of the units; returns one { x, z } slot per unit, same order.
+// options: formation (see FORMATIONS), spacing (world units between neighbouring slots)
+export function formationSlots(positions, targetX, targetZ, options = {}) {
+    const n = positions.length;
+    if (n === 0) return [];
+    const formation = options.formation || 'box';
+    const spacing = options.spacing || 1.5;
+
+    let cx = 0, cz = 0;
+    positions.forEach(p => { cx += p.x; cz += p.z; });
+    cx /= n;
+    cz /= n;
+
+    // Facing: from the group towards the target (+z when already there)
+    let fx = targetX - cx;
+    let fz = targetZ - cz;
+    const travel = Math.hypot(fx, fz);
+    if (travel > 1e-9) {
+        fx /= travel;
+        fz /= travel;
+    } else {
+        fx = 0;
+        fz = 1;
+    }
+
+    if (formation === 'box') {
+        // Clustered: nobody further from the centre than the compact grid is wide
+        let spread = 0;
+        positions.forEach(p => { spread = Math.max(spread, Math.hypot(p.x - cx, p.z - cz)); });
+        const clusterRadius = Math.max(spacing * 2, spacing * Math.ceil(Math.sqrt(n)));
+        if (spread <= clusterRadius && travel > spread) {
+            return positions.map(p => ({ x: targetX + p.x - cx, z: targetZ + p.z - cz }));
+        }
+    }
+
+    // Slot offsets in the formation's own frame: side (across the heading) and ahead
+    const local = layoutOffsets(formation, n);
+    let meanSide = 0, meanAhead = 0;
+    local.forEach(o => { meanSide += o.side; meanAhead += o.ahead; });
+    meanSide /= n;
+    meanAhead /= n;
+    if (formation === 'wedge') meanSide = 0; // Tip stays on the line of travel
+
+    // Centred on the target, rotated to face along (fx, fz)
+    const slots = local.map(o => {
+        const side = (o.side - meanSide) * spacing;
+        const ahead = (o.ahead - meanAhead) * spacing;
+        return { x: targetX + fz * side + fx * ahead, z: targetZ - fx * side + fz * ahead };
+    });
+
+    const assignment = n <= HUNGARIAN_LIMIT
+        ? assignHungarian(positions, slots)
+        : assignGreedy(positions, slots, targetX, targetZ);
+    return assignment.map(slot => slots[slot]);
+}
+
+// Offsets in units of spacing; the first slot leads (wedge tip, column head)
+function layoutOffsets(formation, n) {
+    const offsets = [];
+    for (let i = 0; i < n; i++) {
+        switch (formation) {
+            case 'line':
+                offsets.push({ side: i, ahead: 0 });
+                break;
+            case 'column':
+                offsets.push({ side: i % COLUMN_WIDTH, ahead: -Math.floor(i / COLUMN_WIDTH) });
+                break;
+            case 'wedge': {
+                // Tip, then one unit further out on each side per rank
+                const rank = Math.ceil(i / 2);
+                const sign = i % 2 === 1 ? -1 : 1;
+                offsets.push({ side: sign * rank, ahead: -rank });
+                break;
+            }
+            default: { // 'box': square grid, filled rank by rank from the front
+                const cols = Math.ceil(Math.sqrt(n));
+                offsets.push({ side: i % cols, ahead: -Math.floor(i / cols) });
+            }
+        }
+    }
+    return offsets;
+}
+
+// Minimum total distance matching (Hungarian algorithm with potentials, O(n^3)).
+// Returns the slot index for each position.
+export function assignHungarian(positions, slots) {
+    const n = positions.length;
+    const cost = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            cost[i * n + j] = Math.hypot(positions[i].x - slots[j].x, positions[i].z - slots[j].z);
+        }
+    }
+
+    // Rows are positions, columns slots, both 1-based; column 0 is a sentinel
+    const u = new Float64Array(n + 1);
+    const v = new Float64Array(n + 1);
+    const owner = new Int32Array(n + 1); // Column -> row matched to it (0 = none)
+    const way = new Int32Array(n + 1);
+    const minv = new Float64Array(n + 1);
+    const used = new Uint8Array(n + 1);
+
+    for (let i = 1; i <= n; i++) {
+        owner[0] = i;
+        let j0 = 0;
+        minv.fill(Infinity);
+        used.fill(0);
+        do {
+            used[j0] = 1;
+            const i0 = owner[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const reduced = cost[(i0 - 1) * n + j - 1] - u[i0] - v[j];
+                if (reduced < minv[j]) {
+                    minv[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[owner[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (owner[j0] !== 0);
+
+        // Flip the augmenting path
+        do {
+            const j1 = way[j0];
+            owner[j0] = owner[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const assignment = new Array(n);
+    for (let j = 1; j <= n; j++) assignment[owner[j] - 1] = j - 1;
+    return assignment;
+}
+
+// Units furthest from the target pick first, each taking its nearest free slot
+function assignGreedy(positions, slots, targetX, targetZ) {
+    const n = positions.length;
+    const order = positions.map((p, i) => i);
+    const far = positions.map(p => Math.hypot(p.x - targetX, p.z - targetZ));
+    order.sort((a, b) => far[b] - far[a] || a - b);
+
+    const taken = new Uint8Array(n);
+    const assignment = new Array(n);
+    for (const i of order) {
+        let best = -1;
+        let bestDist = Infinity;
+        for (let j = 0; j < n; j++) {
+            if (taken[j]) continue;
+            const d = Math.hypot(positions[i].x - slots[j].x, positions[i].z - slots[j].z);
+            if (d < bestDist) {
+                bestDist = d;
+                best = j;
+            }
+        }
+        taken[best] = 1;
+        assignment[i] = best;
+    }
+    return assignment;
+}
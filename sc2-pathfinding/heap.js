@@ -0,0 +1,85 @@
+// Indexed binary min-heap over integer ids (grid cell indices).
+// Priorities live in caller-owned typed arrays so the heap itself never allocates
+// per node, and decrease-key is O(log n) through the position lookup table.
+export class BinaryHeap {
+    constructor(capacity, score, order) {
+        this.items = new Int32Array(capacity);
+        this.positions = new Int32Array(capacity); // id -> slot in items
+        this.score = score; // Primary key (lower first)
+        this.order = order; // Tie-break key (lower first), e.g. insertion sequence
+        this.size = 0;
+    }
+
+    clear() {
+        this.size = 0;
+    }
+
+    isEmpty() {
+        return this.size === 0;
+    }
+
+    push(id) {
+        this.items[this.size] = id;
+        this.positions[id] = this.size;
+        this.size++;
+        this.siftUp(this.size - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        this.size--;
+        if (this.size > 0) {
+            this.items[0] = this.items[this.size];
+            this.positions[this.items[0]] = 0;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    // Call after lowering score[id] for an id already in the heap
+    decreaseKey(id) {
+        this.siftUp(this.positions[id]);
+    }
+
+    less(a, b) {
+        const sa = this.score[a];
+        const sb = this.score[b];
+        if (sa !== sb) return sa < sb;
+        return this.order[a] < this.order[b];
+    }
+
+    siftUp(pos) {
+        const items = this.items;
+        const id = items[pos];
+        while (pos > 0) {
+            const parentPos = (pos - 1) >> 1;
+            const parentId = items[parentPos];
+            if (!this.less(id, parentId)) break;
+            items[pos] = parentId;
+            this.positions[parentId] = pos;
+            pos = parentPos;
+        }
+        items[pos] = id;
+        this.positions[id] = pos;
+    }
+
+    siftDown(pos) {
+        const items = this.items;
+        const id = items[pos];
+        const half = this.size >> 1;
+        while (pos < half) {
+            let childPos = 2 * pos + 1;
+            const rightPos = childPos + 1;
+            if (rightPos < this.size && this.less(items[rightPos], items[childPos])) {
+                childPos = rightPos;
+            }
+            const childId = items[childPos];
+            if (!this.less(childId, id)) break;
+            items[pos] = childId;
+            this.positions[childId] = pos;
+            pos = childPos;
+        }
+        items[pos] = id;
+        this.positions[id] = pos;
+    }
+}
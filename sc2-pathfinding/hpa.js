@@ -0,0 +1,444 @@
+import { BinaryHeap } from './heap.js';
+import { NEIGHBORS } from './pathfinding.js';
+
+// Border runs at least this long get two transitions (one per end) instead of one
+const LONG_ENTRANCE = 6;
+
+// Hierarchical pathfinding (HPA*) over a Pathfinder grid.
+// The grid is cut into square clusters. Where two clusters share a walkable
+// stretch of border (an entrance) a pair of transition nodes is placed, one
+// cell on each side, and the transitions of each cluster are linked by their
+// exact path cost inside that cluster. A query connects its start and end to
+// their clusters' transitions, searches that small abstract graph, and only
+// then runs grid A* inside the clusters the abstract path passes through.
+// Grid 'change' events mark nearby clusters dirty; they are rebuilt on the
+// next query. findPath has the same signature and return shape as Pathfinder.findPath.
+export class HierarchicalPathfinder {
+    constructor(pathfinder, options = {}) {
+        this.pathfinder = pathfinder;
+        this.clusterSize = options.clusterSize || 16;
+        this.clustersX = Math.ceil(pathfinder.width / this.clusterSize);
+        this.clustersY = Math.ceil(pathfinder.height / this.clusterSize);
+
+        // One abstract graph per agent clearance, built on first use
+        this.layers = new Map();
+
+        this.onChange = (event) => this.markDirty(event.bounds);
+        pathfinder.addEventListener('change', this.onChange);
+    }
+
+    static fromPathfinder(pathfinder, options) {
+        return new HierarchicalPathfinder(pathfinder, options);
+    }
+
+    // Stop listening to the pathfinder (call before dropping this instance)
+    dispose() {
+        this.pathfinder.removeEventListener('change', this.onChange);
+    }
+
+    get clusterCount() {
+        return this.clustersX * this.clustersY;
+    }
+
+    clusterAt(x, y) {
+        return Math.floor(y / this.clusterSize) * this.clustersX + Math.floor(x / this.clusterSize);
+    }
+
+    // Inclusive cell bounds of a cluster
+    clusterBounds(cluster) {
+        const S = this.clusterSize;
+        const cx = cluster % this.clustersX;
+        const cy = Math.floor(cluster / this.clustersX);
+        return {
+            x0: cx * S,
+            y0: cy * S,
+            x1: Math.min((cx + 1) * S, this.pathfinder.width) - 1,
+            y1: Math.min((cy + 1) * S, this.pathfinder.height) - 1
+        };
+    }
+
+    // Cells in a grid rectangle changed: rebuild the clusters they can affect
+    markDirty(bounds) {
+        const S = this.clusterSize;
+        for (const layer of this.layers.values()) {
+            // Clearance spreads a change up to maxClearance cells; one more
+            // cell covers diagonal corner checks and the far side of a border
+            const margin = (layer.minClearance > 0 ? Math.ceil(this.pathfinder.clearance.maxClearance) : 0) + 1;
+            const cx0 = Math.max(0, Math.floor((bounds.x0 - margin) / S));
+            const cy0 = Math.max(0, Math.floor((bounds.y0 - margin) / S));
+            const cx1 = Math.min(this.clustersX - 1, Math.floor((bounds.x1 + margin) / S));
+            const cy1 = Math.min(this.clustersY - 1, Math.floor((bounds.y1 + margin) / S));
+            for (let cy = cy0; cy <= cy1; cy++) {
+                for (let cx = cx0; cx <= cx1; cx++) layer.dirty.add(cy * this.clustersX + cx);
+            }
+        }
+    }
+
+    // Up-to-date abstract graph for agents needing minClearance (in cells)
+    layer(minClearance = 0) {
+        let layer = this.layers.get(minClearance);
+        if (!layer) {
+            layer = new AbstractGraph(this, minClearance);
+            this.layers.set(minClearance, layer);
+        }
+        if (minClearance > 0) this.pathfinder.clearance.update();
+        layer.rebuild();
+        return layer;
+    }
+
+    // Cell indices of every transition node, for the debug overlay
+    entranceCells(radius = 0) {
+        const cells = [];
+        for (const node of this.layer(this.pathfinder.minClearanceFor(radius)).nodes) {
+            if (node && node.border !== null) cells.push(node.cell);
+        }
+        return cells;
+    }
+
+    // Same contract as Pathfinder.findPath (options.radius, options.report,
+    // options.diagnostics). Diagnostics count the abstract search's nodes in
+    // iterations, but expanded only holds the grid cells closed by the
+    // searches inside clusters.
+    findPath(startX, startZ, endX, endZ, options = {}) {
+        const pf = this.pathfinder;
+        const diagnostics = options.diagnostics || null;
+        const started = diagnostics ? performance.now() : 0;
+        const radius = options.radius || 0;
+        const minClearance = pf.minClearanceFor(radius);
+        const layer = this.layer(minClearance);
+
+        const { start, end } = pf.resolveEndpoints(startX, startZ, endX, endZ, minClearance, options.report);
+        if (!start || !end) return pf.recordDiagnostics(diagnostics, started, null, null, []);
+
+        // Grid search id -> route cost where that search started, and nodes popped
+        const search = diagnostics ? { costOffsets: new Map(), routeCost: 0, iterations: 0 } : null;
+        const readSearch = search && (() => {
+            const closed = pf.closedCells(search.costOffsets);
+            return { ...closed, iterations: search.iterations + closed.expanded.length };
+        });
+        const cells = layer.findCells(start.y * pf.width + start.x, end.y * pf.width + end.x, search);
+        if (!cells) return pf.recordDiagnostics(diagnostics, started, 'hpa', null, [], readSearch); // No path found
+
+        const raw = cells.map(i => pf.cellToWorld(i % pf.width, Math.floor(i / pf.width)));
+        const rawPath = diagnostics ? raw.slice() : null; // smoothPath may hand back its input
+        const path = pf.smoothPath(raw, radius);
+        // Stuck inside a wall: the first leg walks out to the resolved cell
+        if (start.adjusted) path.unshift(pf.createPoint(startX, startZ));
+        return pf.recordDiagnostics(diagnostics, started, 'hpa', rawPath, path, readSearch);
+    }
+}
+
+// Transition nodes and edges for one agent clearance.
+// nodes[id] = { cell, cluster, border, rank, edges: Map(id -> cost) } or null
+// once freed; border is the key of the border the node sits on, null for the
+// temporary start/end nodes of a query. Ids are reused, so they depend on the
+// order clusters were rebuilt in; rank only depends on where the node is, and
+// is what ties are broken by, so a graph patched edit by edit finds the same
+// paths as one built fresh on the same grid.
+class AbstractGraph {
+    constructor(hpa, minClearance) {
+        this.hpa = hpa;
+        this.minClearance = minClearance;
+        this.nodes = [];
+        this.freeIds = [];
+        this.clusterNodes = Array.from({ length: hpa.clusterCount }, () => new Set());
+        this.borderNodes = new Map(); // Border key -> node ids
+        this.dirty = new Set(Array.from({ length: hpa.clusterCount }, (_, c) => c));
+
+        // Scratch space for searches inside one cluster
+        const S = hpa.clusterSize;
+        this.distance = new Float64Array(S * S);
+        this.order = new Uint32Array(S * S);
+        this.done = new Uint8Array(S * S);
+        this.heap = new BinaryHeap(S * S, this.distance, this.order);
+    }
+
+    // --- Construction ---
+
+    rebuild() {
+        if (this.dirty.size === 0) return;
+        const hpa = this.hpa;
+        const CX = hpa.clustersX;
+
+        // Borders on any side of a dirty cluster. 'v' + c is the border between
+        // cluster c and its right neighbour, 'h' + c between c and the one below.
+        const borders = new Set();
+        for (const c of this.dirty) {
+            const cx = c % CX;
+            const cy = Math.floor(c / CX);
+            if (cx < CX - 1) borders.add('v' + c);
+            if (cx > 0) borders.add('v' + (c - 1));
+            if (cy < hpa.clustersY - 1) borders.add('h' + c);
+            if (cy > 0) borders.add('h' + (c - CX));
+        }
+        this.dirty.clear();
+
+        // Replace the transitions on those borders; both clusters of each
+        // border then need their internal edges recomputed
+        const touched = new Set();
+        for (const key of borders) {
+            for (const id of this.borderNodes.get(key) || []) this.removeNode(id);
+            this.borderNodes.set(key, []);
+            const c = Number(key.slice(1));
+            touched.add(c);
+            touched.add(key[0] === 'v' ? c + 1 : c + CX);
+            this.buildEntrances(key);
+        }
+        for (const c of touched) this.linkCluster(c);
+    }
+
+    // Find the walkable runs along a border and place transition pairs on them
+    buildEntrances(key) {
+        const hpa = this.hpa;
+        const pf = hpa.pathfinder;
+        const vertical = key[0] === 'v';
+        const c = Number(key.slice(1));
+        const a = hpa.clusterBounds(c);
+        const b = hpa.clusterBounds(vertical ? c + 1 : c + hpa.clustersX);
+
+        // Walk along the border; (x, y) is on side a, (x + dx, y + dy) on side b
+        const length = vertical ? a.y1 - a.y0 + 1 : a.x1 - a.x0 + 1;
+        const cellA = (t) => vertical ? (a.y0 + t) * pf.width + a.x1 : a.y1 * pf.width + a.x0 + t;
+        const cellB = (t) => vertical ? (a.y0 + t) * pf.width + b.x0 : b.y0 * pf.width + a.x0 + t;
+        const open = (t) => {
+            const ia = cellA(t);
+            const ib = cellB(t);
+            return pf.isStandable(ia % pf.width, Math.floor(ia / pf.width), this.minClearance) &&
+                pf.isStandable(ib % pf.width, Math.floor(ib / pf.width), this.minClearance);
+        };
+
+        let runStart = -1;
+        for (let t = 0; t <= length; t++) {
+            if (t < length && open(t)) {
+                if (runStart === -1) runStart = t;
+                continue;
+            }
+            if (runStart === -1) continue;
+            const runEnd = t - 1;
+            const picks = runEnd - runStart + 1 >= LONG_ENTRANCE
+                ? [runStart, runEnd]
+                : [Math.floor((runStart + runEnd) / 2)];
+            for (const p of picks) {
+                const na = this.addNode(cellA(p), c, key);
+                const nb = this.addNode(cellB(p), vertical ? c + 1 : c + hpa.clustersX, key);
+                const cost = pf.stepCost(cellA(p), cellB(p), false);
+                this.nodes[na].edges.set(nb, cost);
+                this.nodes[nb].edges.set(na, cost);
+            }
+            runStart = -1;
+        }
+    }
+
+    // Recompute the edges between the transitions of one cluster
+    linkCluster(cluster) {
+        const ids = [...this.clusterNodes[cluster]].sort((a, b) => this.nodes[a].rank - this.nodes[b].rank);
+        for (const id of ids) {
+            for (const other of ids) this.nodes[id].edges.delete(other);
+        }
+        for (const id of ids) this.connect(id, ids);
+    }
+
+    // Edges from node id to the given nodes of its cluster that it can reach inside the cluster
+    connect(id, ids) {
+        const node = this.nodes[id];
+        const bounds = this.hpa.clusterBounds(node.cluster);
+        this.searchCluster(node.cell, bounds);
+        for (const other of ids) {
+            if (other === id) continue;
+            const d = this.distance[this.localIndex(this.nodes[other].cell, bounds)];
+            if (d === Infinity) continue;
+            node.edges.set(other, d);
+            this.nodes[other].edges.set(id, d);
+        }
+    }
+
+    addNode(cell, cluster, border) {
+        const id = this.freeIds.length > 0 ? this.freeIds.pop() : this.nodes.length;
+        // A cell can hold a transition for a vertical and a horizontal border, and a query endpoint
+        const rank = cell * 3 + (border === null ? 2 : border[0] === 'v' ? 0 : 1);
+        this.nodes[id] = { cell, cluster, border, rank, edges: new Map() };
+        this.clusterNodes[cluster].add(id);
+        if (border !== null) this.borderNodes.get(border).push(id);
+        return id;
+    }
+
+    removeNode(id) {
+        const node = this.nodes[id];
+        for (const other of node.edges.keys()) this.nodes[other].edges.delete(id);
+        this.clusterNodes[node.cluster].delete(id);
+        this.nodes[id] = null;
+        this.freeIds.push(id);
+    }
+
+    localIndex(cell, bounds) {
+        const width = this.hpa.pathfinder.width;
+        return (Math.floor(cell / width) - bounds.y0) * this.hpa.clusterSize + (cell % width - bounds.x0);
+    }
+
+    // Dijkstra from a cell, never leaving bounds. Fills this.distance (local indices).
+    searchCluster(fromCell, bounds) {
+        const pf = this.hpa.pathfinder;
+        const S = this.hpa.clusterSize;
+        const { distance, order, done, heap } = this;
+        distance.fill(Infinity);
+        done.fill(0);
+        heap.clear();
+        pf.beginSearch(this.minClearance);
+
+        let sequence = 0;
+        const start = this.localIndex(fromCell, bounds);
+        distance[start] = 0;
+        order[start] = sequence++;
+        heap.push(start);
+
+        while (!heap.isEmpty()) {
+            const current = heap.pop();
+            done[current] = 1;
+            const cx = bounds.x0 + current % S;
+            const cy = bounds.y0 + Math.floor(current / S);
+
+            for (const offset of NEIGHBORS) {
+                const nx = cx + offset.x;
+                const ny = cy + offset.y;
+                if (nx < bounds.x0 || nx > bounds.x1 || ny < bounds.y0 || ny > bounds.y1) continue;
+                if (pf.isBlockedForSearch(nx, ny)) continue;
+                const diagonal = offset.x !== 0 && offset.y !== 0;
+                if (diagonal && (pf.isBlockedForSearch(nx, cy) || pf.isBlockedForSearch(cx, ny))) continue;
+
+                const n = (ny - bounds.y0) * S + (nx - bounds.x0);
+                if (done[n]) continue;
+                const d = distance[current] + pf.stepCost(cy * pf.width + cx, ny * pf.width + nx, diagonal);
+                if (d < distance[n]) {
+                    const isNew = distance[n] === Infinity;
+                    distance[n] = d;
+                    if (isNew) {
+                        order[n] = sequence++;
+                        heap.push(n);
+                    } else {
+                        heap.decreaseKey(n);
+                    }
+                }
+            }
+        }
+    }
+
+    // --- Queries ---
+
+    // Grid cells from startCell to endCell, or null. search, if given, keeps
+    // count of the work done for diagnostics (see HierarchicalPathfinder.findPath).
+    findCells(startCell, endCell, search = null) {
+        const hpa = this.hpa;
+        const pf = hpa.pathfinder;
+        const width = pf.width;
+        const startCluster = hpa.clusterAt(startCell % width, Math.floor(startCell / width));
+        const endCluster = hpa.clusterAt(endCell % width, Math.floor(endCell / width));
+
+        // Short trips that stay inside one cluster need no abstract search
+        if (startCluster === endCluster) {
+            const cells = this.refine(startCell, endCell, startCluster, search);
+            if (cells) return cells;
+        }
+
+        // Hook the endpoints into the abstract graph for this query only. Both
+        // are linked to their cluster's transitions even when they share the
+        // cluster: a route between them may have to leave it and come back.
+        const s = this.addNode(startCell, startCluster, null);
+        const e = this.addNode(endCell, endCluster, null);
+        this.connect(s, [...this.clusterNodes[startCluster]]);
+        this.connect(e, [...this.clusterNodes[endCluster]]);
+
+        const route = this.searchAbstract(s, e, search);
+        this.removeNode(s);
+        this.removeNode(e);
+        if (!route) return null;
+
+        // Refine each leg into grid cells
+        const cells = [startCell];
+        for (let k = 1; k < route.length; k++) {
+            const from = route[k - 1];
+            const to = route[k];
+            if (from.cell === to.cell) continue;
+            if (from.cluster !== to.cluster) {
+                cells.push(to.cell); // Border crossing between neighbouring cells
+                if (search) search.routeCost += pf.stepCost(from.cell, to.cell, false);
+                continue;
+            }
+            const leg = this.refine(from.cell, to.cell, from.cluster, search);
+            if (!leg) return null;
+            for (let i = 1; i < leg.length; i++) cells.push(leg[i]);
+        }
+        return cells;
+    }
+
+    // Grid A* between two cells of one cluster
+    refine(fromCell, toCell, cluster, search = null) {
+        const pf = this.hpa.pathfinder;
+        if (fromCell === toCell) return [fromCell];
+        const cells = pf.searchGrid(
+            fromCell % pf.width, Math.floor(fromCell / pf.width),
+            toCell % pf.width, Math.floor(toCell / pf.width),
+            this.minClearance, this.hpa.clusterBounds(cluster)
+        );
+        if (search) {
+            // Its closed cells are read back after the query, by search id
+            search.costOffsets.set(pf.searchId, search.routeCost);
+            if (cells) {
+                search.iterations++; // The goal, popped but never closed
+                search.routeCost += pf.gScore[toCell];
+            }
+        }
+        return cells;
+    }
+
+    // A* over the transition nodes. Returns the node objects from s to e, or null.
+    searchAbstract(s, e, search = null) {
+        const pf = this.hpa.pathfinder;
+        const count = this.nodes.length;
+        const gScore = new Float64Array(count).fill(Infinity);
+        const fScore = new Float64Array(count);
+        const order = new Uint32Array(count);
+        const parent = new Int32Array(count).fill(-1);
+        const closed = new Uint8Array(count);
+        const open = new BinaryHeap(count, fScore, order);
+        const target = this.nodes[e].cell;
+        const tx = target % pf.width;
+        const ty = Math.floor(target / pf.width);
+        const heuristic = (id) => {
+            const cell = this.nodes[id].cell;
+            return Math.hypot(cell % pf.width - tx, Math.floor(cell / pf.width) - ty) * pf.minCost;
+        };
+
+        gScore[s] = 0;
+        fScore[s] = heuristic(s);
+        order[s] = this.nodes[s].rank;
+        open.push(s);
+
+        while (!open.isEmpty()) {
+            const current = open.pop();
+            if (search) search.iterations++;
+            if (current === e) {
+                const route = [];
+                for (let id = current; id !== -1; id = parent[id]) route.push(this.nodes[id]);
+                return route.reverse();
+            }
+            closed[current] = 1;
+
+            for (const [next, cost] of this.nodes[current].edges) {
+                if (closed[next]) continue;
+                const g = gScore[current] + cost;
+                if (g >= gScore[next]) continue;
+                const isNew = gScore[next] === Infinity;
+                gScore[next] = g;
+                fScore[next] = g + heuristic(next);
+                parent[next] = current;
+                if (isNew) {
+                    order[next] = this.nodes[next].rank;
+                    open.push(next);
+                } else {
+                    open.decreaseKey(next);
+                }
+            }
+        }
+        return null;
+    }
+}
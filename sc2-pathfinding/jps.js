@@ -0,0 +1,224 @@
+import { DIAGONAL_COST } from './pathfinding.js';
+
+// Jump Point Search over a Pathfinder grid.
+// Same movement rules as the A* search (8 directions, diagonals only when both
+// orthogonal neighbours are open), so on uniform-cost grids it returns paths of
+// the same length while only pushing jump points onto the open list.
+// Reuses the Pathfinder's typed-array search state and heap; minClearance works
+// as in searchGrid (low-clearance cells count as walls).
+// The jump scans are the hot loop, so they read the grid through the
+// module-level view below instead of Pathfinder methods, and the pruned
+// directions go into a fixed buffer.
+let W = 0, H = 0;
+let grid = null;
+let clearance = null;
+let minClear = 0;
+const directions = new Int8Array(16); // Up to 8 flat dx, dy pairs
+
+export function jumpPointSearch(pf, sx, sy, ex, ey, minClearance = 0) {
+    const width = pf.width;
+    const { gScore, fScore, openOrder, parent, visited, closed, open } = pf;
+    const id = pf.beginSearch(minClearance);
+    W = width;
+    H = pf.height;
+    grid = pf.grid;
+    clearance = pf.clearance.values;
+    minClear = minClearance;
+
+    const startIdx = sy * width + sx;
+    const endIdx = ey * width + ex;
+    let sequence = 0;
+
+    visited[startIdx] = id;
+    gScore[startIdx] = 0;
+    fScore[startIdx] = 0;
+    parent[startIdx] = -1;
+    openOrder[startIdx] = sequence++;
+    open.push(startIdx);
+
+    while (!open.isEmpty()) {
+        const current = open.pop();
+
+        if (current === endIdx) {
+            const jumpPoints = [];
+            for (let i = current; i !== -1; i = parent[i]) jumpPoints.push(i);
+            return expandJumpPoints(jumpPoints.reverse(), width);
+        }
+
+        closed[current] = id;
+        const cx = current % width;
+        const cy = (current - cx) / width;
+
+        const count = prunedDirections(cx, cy, parent[current]);
+
+        for (let i = 0; i < count; i += 2) {
+            const dx = directions[i];
+            const dy = directions[i + 1];
+            const jp = jump(cx + dx, cy + dy, dx, dy, ex, ey);
+            if (jp === -1 || closed[jp] === id) continue;
+
+            const jx = jp % width;
+            const jy = (jp - jx) / width;
+            const g = gScore[current] + octile(Math.abs(jx - cx), Math.abs(jy - cy));
+            const hx = jx - ex;
+            const hy = jy - ey;
+
+            if (visited[jp] !== id) {
+                visited[jp] = id;
+                gScore[jp] = g;
+                fScore[jp] = g + Math.sqrt(hx * hx + hy * hy);
+                parent[jp] = current;
+                openOrder[jp] = sequence++;
+                open.push(jp);
+            } else if (g < gScore[jp]) {
+                gScore[jp] = g;
+                fScore[jp] = g + Math.sqrt(hx * hx + hy * hy);
+                parent[jp] = current;
+                open.decreaseKey(jp);
+            }
+        }
+    }
+
+    return null;
+}
+
+// Open for the running search: on the map, not a wall, and wide enough
+function walkable(x, y) {
+    return x >= 0 && x < W && y >= 0 && y < H && openAt(y * W + x);
+}
+
+// Same for a cell index known to be on the map
+function openAt(i) {
+    return grid[i] === 0 && (minClear <= 0 || clearance[i] >= minClear);
+}
+
+function octile(adx, ady) {
+    const diag = Math.min(adx, ady);
+    return diag * DIAGONAL_COST + (Math.max(adx, ady) - diag);
+}
+
+// Directions worth exploring from (x, y), given where we arrived from.
+// Written into `directions` as flat dx, dy pairs; returns how many numbers.
+function prunedDirections(x, y, parentIdx) {
+    const out = directions;
+    let n = 0;
+
+    if (parentIdx === -1) {
+        // Start node: every legal move
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                if (!walkable(x + dx, y + dy)) continue;
+                if (dx !== 0 && dy !== 0 && (!walkable(x + dx, y) || !walkable(x, y + dy))) continue;
+                out[n++] = dx;
+                out[n++] = dy;
+            }
+        }
+        return n;
+    }
+
+    const px = parentIdx % W;
+    const py = (parentIdx - px) / W;
+    const dx = Math.sign(x - px);
+    const dy = Math.sign(y - py);
+
+    if (dx !== 0 && dy !== 0) {
+        const canX = walkable(x + dx, y);
+        const canY = walkable(x, y + dy);
+        if (canY) { out[n++] = 0; out[n++] = dy; }
+        if (canX) { out[n++] = dx; out[n++] = 0; }
+        if (canX && canY && walkable(x + dx, y + dy)) { out[n++] = dx; out[n++] = dy; }
+    } else if (dx !== 0) {
+        const canNext = walkable(x + dx, y);
+        const canUp = walkable(x, y + 1);
+        const canDown = walkable(x, y - 1);
+        if (canNext) {
+            out[n++] = dx; out[n++] = 0;
+            if (canUp && walkable(x + dx, y + 1)) { out[n++] = dx; out[n++] = 1; }
+            if (canDown && walkable(x + dx, y - 1)) { out[n++] = dx; out[n++] = -1; }
+        }
+        if (canUp) { out[n++] = 0; out[n++] = 1; }
+        if (canDown) { out[n++] = 0; out[n++] = -1; }
+    } else {
+        const canNext = walkable(x, y + dy);
+        const canRight = walkable(x + 1, y);
+        const canLeft = walkable(x - 1, y);
+        if (canNext) {
+            out[n++] = 0; out[n++] = dy;
+            if (canRight && walkable(x + 1, y + dy)) { out[n++] = 1; out[n++] = dy; }
+            if (canLeft && walkable(x - 1, y + dy)) { out[n++] = -1; out[n++] = dy; }
+        }
+        if (canRight) { out[n++] = 1; out[n++] = 0; }
+        if (canLeft) { out[n++] = -1; out[n++] = 0; }
+    }
+    return n;
+}
+
+// Walk from (x, y) in direction (dx, dy) until a jump point, the goal, or a wall.
+// Returns the cell index of the jump point, or -1.
+function jump(x, y, dx, dy, ex, ey) {
+    if (dx === 0) return jumpVertical(x, y, dy, ex, ey);
+    if (dy === 0) return jumpHorizontal(x, y, dx, ex, ey);
+    const step = dy * W + dx;
+    for (let i = y * W + x; x >= 0 && x < W && y >= 0 && y < H; x += dx, y += dy, i += step) {
+        if (!openAt(i)) return -1;
+        if (x === ex && y === ey) return i;
+        // A diagonal cell is a jump point if either straight scan from it finds one
+        if (jumpHorizontal(x + dx, y, dx, ex, ey) !== -1 || jumpVertical(x, y + dy, dy, ex, ey) !== -1) return i;
+        // No corner cutting on the next diagonal step
+        if (!walkable(x + dx, y) || !walkable(x, y + dy)) return -1;
+    }
+    return -1;
+}
+
+// Straight scans along a row or a column, stepping by cell index. A cell is
+// a jump point when a wall beside the scan just ended (a forced neighbour).
+function jumpHorizontal(x, y, dx, ex, ey) {
+    if (y < 0 || y >= H) return -1;
+    const row = y * W;
+    const hasAbove = y > 0;
+    const hasBelow = y < H - 1;
+    for (; x >= 0 && x < W; x += dx) {
+        const i = row + x;
+        if (!openAt(i)) return -1;
+        if (x === ex && y === ey) return i;
+        // The cell behind (x - dx) is always on the map: the scan came from it
+        if (hasAbove && openAt(i - W) && !openAt(i - W - dx)) return i;
+        if (hasBelow && openAt(i + W) && !openAt(i + W - dx)) return i;
+    }
+    return -1;
+}
+
+function jumpVertical(x, y, dy, ex, ey) {
+    if (x < 0 || x >= W) return -1;
+    const step = dy * W;
+    const hasLeft = x > 0;
+    const hasRight = x < W - 1;
+    for (let i = y * W + x; y >= 0 && y < H; y += dy, i += step) {
+        if (!openAt(i)) return -1;
+        if (x === ex && y === ey) return i;
+        if (hasLeft && openAt(i - 1) && !openAt(i - 1 - step)) return i;
+        if (hasRight && openAt(i + 1) && !openAt(i + 1 - step)) return i;
+    }
+    return -1;
+}
+
+// Fill in the straight/diagonal runs between consecutive jump points so callers
+// get the same cell-by-cell path shape as plain A*
+function expandJumpPoints(jumpPoints, width) {
+    const cells = [jumpPoints[0]];
+    for (let i = 1; i < jumpPoints.length; i++) {
+        let x = jumpPoints[i - 1] % width;
+        let y = Math.floor(jumpPoints[i - 1] / width);
+        const tx = jumpPoints[i] % width;
+        const ty = Math.floor(jumpPoints[i] / width);
+        const dx = Math.sign(tx - x);
+        const dy = Math.sign(ty - y);
+        while (x !== tx || y !== ty) {
+            x += dx;
+            y += dy;
+            cells.push(y * width + x);
+        }
+    }
+    return cells;
+}
@@ -1,30 +1,159 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { Pathfinder } from './pathfinding.js';
-import { Unit } from './unit.js';
+import { NavMesh } from './navmesh.js';
+import { HierarchicalPathfinder } from './hpa.js';
+import { PathfindingService } from './pathservice.js';
+import { UnitView } from './unitview.js';
+import { Simulation } from './simulation.js';
+import { UNIT_TYPES } from './unit.js';
+import { TERRAIN_COSTS, parseMap, emptyMap } from './mapformat.js';
+import { FORMATIONS } from './formation.js';
+import { Minimap } from './minimap.js';
+import { AIController } from './ai.js';
 
 // --- Globals ---
 let scene, camera, renderer, controls;
 let raycaster, mouse;
 let clock;
-let pathfinder;
-let units = [];
-let obstacles = [];
+let sim; // Fixed-tick simulation: map, units and the input log
+let unitViews = new Map(); // Unit -> UnitView
+let pathfinder; // sim.pathfinder
+let pathService; // Worker that finds paths for move orders ahead of their tick
+let navMesh;
+let useNavMesh = false;
+let navMeshDebug;
+let hpa; // Main-thread copy for the cluster overlay (queries run in the path worker)
+let useHpa = false;
+let hpaDebug;
+let useFlowField = false;
+let formation = 'box'; // Slot layout for group moves, cycled with V
+let targetedOrder = null; // 'attack' or 'patrol' armed by Q / P for the next right click
+let orderQueueDebug; // Lines and markers of the selected units' queued orders
+let orderQueueTick = -1; // Tick they were drawn for
+let destinationMarkers = [];
+let minimap;
+
+// Teams: the player is team 0 and only selects and orders its own units
+const PLAYER_TEAM = 0;
+const ENEMY_TEAM = 1; // Played by the AI (J) and given the squads dropped with K
+
+// Unit colours per team: [regular, large]
+const TEAM_COLORS = [
+    [0x00aaff, 0x0066cc],
+    [0xdd3333, 0x992222],
+    [0x33cc55, 0x1f8a3a],
+    [0xddbb33, 0x9a7f1f]
+];
+
+// Combat Visuals
+let combatEffects = []; // Fading beams and death rings: { object, life, duration }
+let projectilePoints; // One point per shot in flight
+const ENEMY_SQUAD = ['infantry', 'infantry', 'infantry', 'infantry', 'heavy'];
+const BEAM_SECONDS = 0.12;
+const DEATH_RING_SECONDS = 0.6;
+
+// Stats
+let statsElement;
+let frameStats = { frame: 0, update: 0, timer: 0 }; // Smoothed ms
+let obstacles = new Map(); // Grid cell index -> wall mesh
+let obstacleGeo, obstacleMat;
+let ground, gridHelper; // Sized to the current map
+let groundTexture; // One texel per grid cell, coloured by terrain
+
+// Fog of War State (the player's vision, see visibility.js)
+let useFog = true; // Toggled with Y; off while editing maps
+let fogMesh, fogTexture; // Plane over the ground, one texel per grid cell
+let fogVersion = -1; // Visibility version the texture was painted from
+const FOG_EXPLORED_ALPHA = 110; // Seen before, not now
+const FOG_UNEXPLORED_ALPHA = 225;
+
+// Wall Building State
+let buildMode = false;
+let isPaintingWalls = false;
+let wallPaintValue = true;
+
+// Map Editor State
+let editorMode = false;
+let editorTool = 'wall'; // See EDITOR_TOOLS
+let isPaintingTerrain = false;
+let editorPanel, mapStatusElement;
+let spawnMarkers; // Group of rings, one per spawn, shown while editing
+let markedSpawns = null, markedSpawnCount = 0; // The spawns they were drawn for
+let currentMap = null; // Map a reset starts from; null generates one from the seed
+
+// Path Debug Overlay State
+let pathDebug = false; // Toggled with I
+let pathDebugOverlay; // Heat map and path lines
+let pathDebugPanel;
+let pathDebugSources = null; // Unit -> the path or field the overlay was drawn for (null: draw again)
+const PATH_DEBUG_LINES = 16; // Queries listed in the panel; the rest are drawn and counted
 
 // Selection State
 let isSelecting = false;
 let selectionStart = new THREE.Vector2();
 let selectionBoxElement;
+let selectionPanel;
+let controlGroups = new Map(); // Digit 1-9 -> unit ids
+let lastGroupRecall = { digit: 0, time: 0 }; // For double-tapping a group key
+const DOUBLE_TAP_MS = 300;
+const SELECTION_PANEL_ROWS = 12; // Units listed before the rest are summed up
 
 // Camera Panning State
 const PAN_SPEED = 20.0;
 const PAN_BORDER = 20; // Pixels from edge
 let mouseX = 0, mouseY = 0;
+let pointerInside = false; // No edge scrolling before the pointer arrives or after it leaves
 let panUp = false, panDown = false, panLeft = false, panRight = false;
 
-// Map Config
-const MAP_SIZE = 50;
+// Map Config (open with ?size=512 for a large map, ?seed=N to repeat a map)
+const params = new URLSearchParams(window.location.search);
+const MAP_SIZE = Number(params.get('size')) || 50;
 const GRID_SCALE = 1;
+let nextSeed = Number(params.get('seed')) || Math.floor(Math.random() * 2 ** 32);
+let useOpponent = params.get('ai') === '1'; // ?ai=1 starts against the AI (toggle with J)
+
+// Shipped maps in maps/ (open one with ?map=name)
+const SAMPLE_MAPS = ['chokepoints', 'maze', 'open-field'];
+
+// Editor brushes: terrain painted per cell, or a spawn placed/removed per click
+const EDITOR_TOOLS = {
+    wall: { label: 'Wall', wall: true },
+    ground: { label: 'Ground', cost: 1 },
+    road: { label: 'Road', cost: TERRAIN_COSTS.road },
+    creep: { label: 'Creep', cost: TERRAIN_COSTS.creep },
+    mud: { label: 'Mud', cost: TERRAIN_COSTS.mud },
+    infantry: { label: 'Spawn Infantry', spawn: 'infantry' },
+    heavy: { label: 'Spawn Heavy', spawn: 'heavy' },
+    swarm: { label: 'Spawn Swarm', spawn: 'swarm' },
+    enemyInfantry: { label: 'Enemy Infantry', spawn: 'infantry', team: ENEMY_TEAM },
+    enemyHeavy: { label: 'Enemy Heavy', spawn: 'heavy', team: ENEMY_TEAM },
+    erase: { label: 'Remove Spawn', removeSpawn: true }
+};
+
+// Queued order colours; plain moves match the debug path
+const ORDER_COLORS = {
+    move: 0xffff00,
+    attack: 0xff4444,
+    patrol: 0x44ccff
+};
+const orderQueueLineMaterial = new THREE.LineBasicMaterial({ vertexColors: true });
+const orderQueueMarkerMaterial = new THREE.PointsMaterial({ size: 0.6, vertexColors: true });
+
+// Path debug overlay: grid path before and after smoothing
+const pathDebugRawMaterial = new THREE.LineBasicMaterial({ color: 0xff8800 });
+const pathDebugSmoothedMaterial = new THREE.LineBasicMaterial({ color: 0xffff00 });
+
+// Editor spawn rings, coloured like the units they spawn (colour -> material)
+const spawnMarkerMaterials = new Map();
+
+// Ground colour per terrain type (see TERRAIN_COSTS)
+const GROUND_COLOR = 0x333333;
+const WALL_COLOR = 0x666666;
+const TERRAIN_COLORS = {
+    road: 0x6b6150,
+    creep: 0x4a2a55,
+    mud: 0x3d2e14
+};
 
 // --- Init ---
 
@@ -72,37 +201,38 @@ function init() {
     dirLight.shadow.camera.bottom = -50;
     scene.add(dirLight);
 
-    // Ground
-    const groundGeo = new THREE.PlaneGeometry(MAP_SIZE, MAP_SIZE);
-    const groundMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8 });
-    const ground = new THREE.Mesh(groundGeo, groundMat);
-    ground.rotation.x = -Math.PI / 2;
-    ground.receiveShadow = true;
-    scene.add(ground);
-
-    // Grid Helper
-    const gridHelper = new THREE.GridHelper(MAP_SIZE, MAP_SIZE, 0x555555, 0x444444);
-    scene.add(gridHelper);
-
-    // Pathfinder
-    pathfinder = new Pathfinder(MAP_SIZE, MAP_SIZE, GRID_SCALE);
-
-    // Generate Obstacles
-    generateMap();
+    // Spawn markers for the map editor (ground and grid come with each map)
+    spawnMarkers = new THREE.Group();
+    spawnMarkers.visible = false;
+    scene.add(spawnMarkers);
+
+    // Shots in flight, moved to the simulation's projectiles every frame
+    projectilePoints = new THREE.Points(
+        new THREE.BufferGeometry(),
+        new THREE.PointsMaterial({ color: 0xffaa33, size: 0.35 })
+    );
+    projectilePoints.frustumCulled = false;
+    scene.add(projectilePoints);
+
+    // Minimap: left click/drag moves the camera, right click orders the selection there
+    minimap = new Minimap(document.getElementById('minimap'), {
+        size: 200,
+        cellColor: cell => pathfinder.grid[cell] === 1 ? WALL_COLOR : terrainColor(cell),
+        unitColor: unit => unit.selected ? '#00ff00' : `#${unitColor(unit).toString(16).padStart(6, '0')}`,
+        onCamera: (x, z) => lookAtGround(x, z),
+        onOrder: (x, z, event) => moveSelectedUnits({ x, z }, event.shiftKey)
+    });
 
-    // Units
-    for (let i = 0; i < 10; i++) {
-        const x = (Math.random() - 0.5) * 10 - 15;
-        const z = (Math.random() - 0.5) * 10 - 15;
-        // Ensure not inside obstacle
-        if (pathfinder.isWalkableAt(x, z)) {
-            const unit = new Unit(scene, x, z);
-            units.push(unit);
-        }
-    }
+    // Simulation (map, obstacles and units)
+    startSimulation(createSimulation({ seed: nextSeed++ }));
 
     // UI & Events
     selectionBoxElement = document.getElementById('selection-box');
+    statsElement = document.getElementById('stats');
+    selectionPanel = document.getElementById('selection-panel');
+    pathDebugPanel = document.getElementById('path-debug');
+    initEditorPanel();
+    if (params.get('map')) loadSampleMap(params.get('map'));
     raycaster = new THREE.Raycaster();
     mouse = new THREE.Vector2();
 
@@ -110,10 +240,32 @@ function init() {
     window.addEventListener('mousedown', onMouseDown);
     window.addEventListener('mousemove', onMouseMove);
     window.addEventListener('mouseup', onMouseUp);
+    document.documentElement.addEventListener('mouseleave', () => { pointerInside = false; });
 
     // Keyboard Pan
     window.addEventListener('keydown', (e) => {
+        if (e.target.closest('input, select')) return; // Typing in the editor panel
         if (e.code === 'Space') resetScene();
+        if (e.code === 'KeyN') toggleNavMesh();
+        if (e.code === 'KeyH') toggleHpa();
+        if (e.code === 'KeyF') toggleFlowField();
+        if (e.code === 'KeyB') toggleBuildMode();
+        if (e.code === 'KeyE') toggleEditorMode();
+        if (e.code === 'KeyI') togglePathDebug();
+        if (e.code === 'KeyT') toggleStressMode();
+        if (e.code === 'KeyG') issueCommand({ type: 'spatialHash', enabled: !sim.useSpatialHash });
+        if (e.code === 'KeyO') toggleSteering();
+        if (e.code === 'KeyR') replayRecording();
+        if (e.code === 'KeyV') formation = FORMATIONS[(FORMATIONS.indexOf(formation) + 1) % FORMATIONS.length];
+        if (e.code === 'KeyQ') armTargetedOrder('attack');
+        if (e.code === 'KeyP') armTargetedOrder('patrol');
+        if (e.code === 'Escape') armTargetedOrder(null);
+        if (e.code === 'KeyL') orderSelectedUnits({ type: 'hold', queued: e.shiftKey });
+        if (e.code === 'KeyX') orderSelectedUnits({ type: 'stop' });
+        if (e.code === 'KeyK') dropEnemySquad();
+        if (e.code === 'KeyJ') toggleOpponent();
+        if (e.code === 'KeyY') toggleFog();
+        if (/^Digit[1-9]$/.test(e.code)) onControlGroupKey(Number(e.code.slice(5)), e);
         switch (e.code) {
             case 'ArrowUp': case 'KeyW': panUp = true; break;
             case 'ArrowDown': case 'KeyS': panDown = true; break;
@@ -137,53 +289,515 @@ function init() {
     animate();
 }
 
-function generateMap() {
-    // Clear old
+function createSimulation(options) {
+    return new Simulation({ mapSize: MAP_SIZE, gridScale: GRID_SCALE, opponent: useOpponent, ...options });
+}
+
+// Swap in a new simulation and rebuild everything drawn from its map
+function startSimulation(next) {
+    unitViews.forEach(view => view.dispose());
+    unitViews.clear();
     obstacles.forEach(o => scene.remove(o));
-    obstacles = [];
+    obstacles = new Map();
+
+    sim = next;
+    sim.pathDiagnostics = pathDebug;
+    pathfinder = sim.pathfinder;
+    if (useOpponent) sim.addController(new AIController(sim, ENEMY_TEAM));
+    buildGround();
+    for (let cell = 0; cell < pathfinder.grid.length; cell++) {
+        if (pathfinder.grid[cell] === 1) addObstacleMesh(cell);
+    }
+    buildPlanners();
+    updateGroundTexture();
+    minimap.setPathfinder(pathfinder);
+    pathfinder.addEventListener('change', onGridChange);
+    sim.addEventListener('order', onOrder);
+    sim.addEventListener('attack', onAttack);
+    sim.addEventListener('death', onDeath);
+    sim.visibilityFor(PLAYER_TEAM); // Kept up to date by the simulation from now on
+    fogVersion = -1;
+    clearCombatEffects();
+    drawDebugPath(null);
+    drawDebugFlowField(null);
+    orderQueueTick = -1;
+    markedSpawns = null;
+    pathDebugSources = null;
+    controlGroups.clear(); // Unit ids start over with the new run
+}
 
-    // Random blocks
-    const obstacleGeo = new THREE.BoxGeometry(GRID_SCALE, 2, GRID_SCALE);
-    const obstacleMat = new THREE.MeshStandardMaterial({ color: 0x666666 });
+// Ground plane, terrain texture, grid lines and wall box for the new map's
+// size; kept as they are when it matches the last one
+function buildGround() {
+    const { width, height, scale } = pathfinder;
+    if (ground && groundTexture.image.width === width && groundTexture.image.height === height &&
+        obstacleGeo.parameters.width === scale) {
+        return;
+    }
+    if (ground) {
+        scene.remove(ground, gridHelper, fogMesh);
+        ground.geometry.dispose();
+        ground.material.dispose();
+        groundTexture.dispose();
+        fogMesh.geometry.dispose();
+        fogMesh.material.dispose();
+        fogTexture.dispose();
+        gridHelper.geometry.dispose();
+        gridHelper.material.dispose();
+        obstacleGeo.dispose();
+    }
 
-    for (let i = 0; i < 80; i++) {
-        const x = Math.floor((Math.random() - 0.5) * MAP_SIZE);
-        const z = Math.floor((Math.random() - 0.5) * MAP_SIZE);
+    groundTexture = new THREE.DataTexture(new Uint8Array(width * height * 4), width, height);
+    groundTexture.magFilter = THREE.NearestFilter;
+    groundTexture.colorSpace = THREE.SRGBColorSpace;
+    const groundMat = new THREE.MeshStandardMaterial({ map: groundTexture, roughness: 0.8 });
+    ground = new THREE.Mesh(new THREE.PlaneGeometry(width * scale, height * scale), groundMat);
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    scene.add(ground);
 
-        // Keep center somewhat clear
-        if (Math.abs(x) < 5 && Math.abs(z) < 5) continue;
+    // Grid Helper (square, so it covers the longer side)
+    const size = Math.max(width, height);
+    gridHelper = new THREE.GridHelper(size * scale, size, 0x555555, 0x444444);
+    scene.add(gridHelper);
 
-        // Check pathfinder
-        if (pathfinder.isWalkableAt(x, z)) {
-            pathfinder.setObstacle(x, z, true);
+    obstacleGeo = new THREE.BoxGeometry(scale, 2, scale);
+
+    // Fog: black, as opaque as the cell is unseen; smoothed between cells
+    fogTexture = new THREE.DataTexture(new Uint8Array(width * height * 4), width, height);
+    fogTexture.magFilter = THREE.LinearFilter;
+    fogMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(width * scale, height * scale),
+        new THREE.MeshBasicMaterial({ map: fogTexture, transparent: true, depthWrite: false })
+    );
+    fogMesh.rotation.x = -Math.PI / 2;
+    fogMesh.position.y = 0.05;
+    fogMesh.renderOrder = 1;
+    scene.add(fogMesh);
+}
 
-            const obs = new THREE.Mesh(obstacleGeo, obstacleMat);
-            obs.position.set(x * GRID_SCALE, 1, z * GRID_SCALE); // Center
-            obs.castShadow = true;
-            obs.receiveShadow = true;
-            scene.add(obs);
-            obstacles.push(obs);
+// Repaint the fog when the player's vision changed since the last frame
+function updateFog() {
+    fogMesh.visible = fogActive();
+    if (!fogMesh.visible) return;
+    const vision = sim.visibilityFor(PLAYER_TEAM);
+    if (vision.version === fogVersion) return;
+    fogVersion = vision.version;
+
+    const { width, height } = pathfinder;
+    const data = fogTexture.image.data;
+    for (let gy = 0; gy < height; gy++) {
+        for (let gx = 0; gx < width; gx++) {
+            const cell = gy * width + gx;
+            // Rows flipped as for the ground texture
+            const i = ((height - 1 - gy) * width + gx) * 4;
+            data[i + 3] = vision.visible[cell] ? 0 : vision.explored[cell] ? FOG_EXPLORED_ALPHA : FOG_UNEXPLORED_ALPHA;
         }
     }
+    fogTexture.needsUpdate = true;
 }
 
-function resetScene() {
-    // Re-gen map
-    pathfinder = new Pathfinder(MAP_SIZE, MAP_SIZE, GRID_SCALE);
-    generateMap();
-    // Reset units
-    units.forEach(u => scene.remove(u.mesh));
-    units = [];
-    for (let i = 0; i < 10; i++) {
-        const x = (Math.random() - 0.5) * 10 - 15;
-        const z = (Math.random() - 0.5) * 10 - 15;
-        if (pathfinder.isWalkableAt(x, z)) {
-            const unit = new Unit(scene, x, z);
-            units.push(unit);
+function fogActive() {
+    return useFog && !editorMode;
+}
+
+// Whether the player gets to see this unit: its own, and others in view
+function playerSees(unit) {
+    return !fogActive() || sim.visibilityFor(PLAYER_TEAM).canSee(unit);
+}
+
+function playerSeesPoint(x, z) {
+    return !fogActive() || sim.visibilityFor(PLAYER_TEAM).isVisibleAt(x, z);
+}
+
+function toggleFog() {
+    useFog = !useFog;
+    fogVersion = -1;
+}
+
+// Player input goes through the simulation's log; ignored while a replay runs
+function issueCommand(command) {
+    if (sim.isReplaying) return null;
+    return sim.issue(command);
+}
+
+// Restart from the current run's seed and play its recorded input back
+function replayRecording() {
+    if (sim.isReplaying) return;
+    startSimulation(Simulation.fromRecording(sim.recording()));
+}
+
+// Colour the ground texels of the given cells (all cells if omitted) by terrain cost
+function updateGroundTexture(cells) {
+    const data = groundTexture.image.data;
+    const paint = (cell) => {
+        const gx = cell % pathfinder.width;
+        const gy = Math.floor(cell / pathfinder.width);
+        const color = terrainColor(cell);
+        // Texture rows run from +z (v = 0) to -z once the plane is laid flat
+        const i = ((pathfinder.height - 1 - gy) * pathfinder.width + gx) * 4;
+        data[i] = (color >> 16) & 255;
+        data[i + 1] = (color >> 8) & 255;
+        data[i + 2] = color & 255;
+        data[i + 3] = 255;
+    };
+    if (cells) cells.forEach(paint);
+    else for (let cell = 0; cell < pathfinder.width * pathfinder.height; cell++) paint(cell);
+    groundTexture.needsUpdate = true;
+}
+
+function terrainColor(cell) {
+    const cost = pathfinder.costs[cell];
+    const terrain = Object.keys(TERRAIN_COSTS).find(name => TERRAIN_COSTS[name] === cost);
+    return terrain ? TERRAIN_COLORS[terrain] : GROUND_COLOR;
+}
+
+function addObstacleMesh(cell) {
+    if (obstacles.has(cell)) return;
+    if (!obstacleMat) obstacleMat = new THREE.MeshStandardMaterial({ color: WALL_COLOR });
+    const centre = pathfinder.cellToWorld(cell % pathfinder.width, Math.floor(cell / pathfinder.width));
+    const obs = new THREE.Mesh(obstacleGeo, obstacleMat);
+    obs.position.set(centre.x, 1, centre.z);
+    obs.castShadow = true;
+    obs.receiveShadow = true;
+    scene.add(obs);
+    obstacles.set(cell, obs);
+}
+
+function removeObstacleMesh(cell) {
+    const obs = obstacles.get(cell);
+    if (!obs) return;
+    scene.remove(obs);
+    obstacles.delete(cell);
+}
+
+// Walls or terrain changed at runtime
+function onGridChange(event) {
+    event.cells.forEach(cell => {
+        if (pathfinder.grid[cell] === 1) addObstacleMesh(cell);
+        else removeObstacleMesh(cell);
+    });
+    updateGroundTexture(event.cells);
+    minimap.updateCells(event.cells);
+    // The navmesh is rebuilt from scratch, so only while it is in use
+    // (HPA* updates the affected clusters by itself)
+    if (useNavMesh) buildNavMesh();
+    else navMesh = null;
+    if (useHpa) drawHpaEntrances();
+}
+
+function toggleBuildMode() {
+    buildMode = !buildMode;
+    document.body.classList.toggle('build-mode', buildMode);
+}
+
+// Place or remove the wall under the cursor (build mode)
+function paintWall(event) {
+    const point = groundPointFromEvent(event);
+    if (!point || pathfinder.isWalkableAt(point.x, point.z) !== wallPaintValue) return;
+    issueCommand({ type: 'wall', x: point.x, z: point.z, value: wallPaintValue });
+}
+
+// --- Map Editor ---
+
+// E: paint walls and terrain, place spawns, and save/load map files
+function toggleEditorMode() {
+    editorMode = !editorMode;
+    if (editorMode && buildMode) toggleBuildMode();
+    document.body.classList.toggle('editor-mode', editorMode);
+    spawnMarkers.visible = editorMode;
+    if (editorMode) {
+        document.getElementById('map-name').value = sim.exportMap().name;
+        document.getElementById('map-size').value = pathfinder.width;
+    }
+}
+
+function initEditorPanel() {
+    editorPanel = document.getElementById('editor-panel');
+    mapStatusElement = document.getElementById('map-status');
+    // Clicks in the panel must not paint or select on the map behind it
+    editorPanel.addEventListener('mousedown', event => event.stopPropagation());
+
+    const tools = document.getElementById('editor-tools');
+    Object.keys(EDITOR_TOOLS).forEach(tool => {
+        const button = document.createElement('button');
+        button.textContent = EDITOR_TOOLS[tool].label;
+        button.dataset.tool = tool;
+        button.classList.toggle('active', tool === editorTool);
+        button.addEventListener('click', () => {
+            editorTool = tool;
+            tools.querySelectorAll('button').forEach(b => b.classList.toggle('active', b === button));
+        });
+        tools.appendChild(button);
+    });
+
+    const samples = document.getElementById('map-sample');
+    SAMPLE_MAPS.forEach(name => samples.add(new Option(name, name)));
+    samples.addEventListener('change', () => {
+        if (samples.value) loadSampleMap(samples.value);
+        samples.value = '';
+    });
+
+    const fileInput = document.getElementById('map-file');
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            loadMap(parseMap(await file.text()));
+        } catch (error) {
+            showMapStatus(`${file.name}: ${error.message}`, true);
+        }
+    });
+    document.getElementById('map-load').addEventListener('click', () => fileInput.click());
+    document.getElementById('map-save').addEventListener('click', saveMap);
+    document.getElementById('map-new').addEventListener('click', () => {
+        const size = Number(document.getElementById('map-size').value);
+        if (!Number.isInteger(size) || size < 10 || size > 512) {
+            showMapStatus('Size must be a whole number from 10 to 512', true);
+            return;
+        }
+        loadMap(emptyMap(size, size, mapNameFromPanel()));
+    });
+    // Restart on the map as edited, with units at its spawns
+    document.getElementById('map-play').addEventListener('click', () => loadMap(sim.exportMap(mapNameFromPanel())));
+    document.getElementById('map-random').addEventListener('click', () => {
+        currentMap = null;
+        startSimulation(createSimulation({ seed: nextSeed++ }));
+        showMapStatus(`Generated from seed ${sim.seed}`);
+    });
+}
+
+function mapNameFromPanel() {
+    return document.getElementById('map-name').value.trim() || 'Untitled';
+}
+
+function showMapStatus(text, isError = false) {
+    mapStatusElement.textContent = text;
+    mapStatusElement.classList.toggle('error', isError);
+}
+
+// Rebuild the pathfinder grid, walls and units from a parsed map
+function loadMap(map) {
+    currentMap = map;
+    startSimulation(createSimulation({ seed: nextSeed++, map }));
+    document.getElementById('map-name').value = map.name;
+    document.getElementById('map-size').value = map.width;
+    showMapStatus(`Loaded ${map.name} (${map.width}x${map.height}, ${map.spawns.length} spawns)`);
+}
+
+async function loadSampleMap(name) {
+    try {
+        const response = await fetch(`maps/${name}.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        loadMap(parseMap(await response.text()));
+    } catch (error) {
+        showMapStatus(`maps/${name}.json: ${error.message}`, true);
+    }
+}
+
+// Download the current walls, terrain and spawns as a map file
+function saveMap() {
+    const map = sim.exportMap(mapNameFromPanel());
+    const blob = new Blob([JSON.stringify(map, null, 4) + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') + '.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    showMapStatus(`Saved ${link.download}`);
+}
+
+// Apply the editor tool under the cursor; dragging only paints terrain
+function paintEditorTool(event, dragging = false) {
+    const tool = EDITOR_TOOLS[editorTool];
+    const point = groundPointFromEvent(event);
+    if (!point) return;
+
+    if (tool.spawn) {
+        if (!dragging && pathfinder.isWalkableAt(point.x, point.z)) {
+            issueCommand({ type: 'spawnPoint', x: point.x, z: point.z, unitType: tool.spawn, team: tool.team || 0 });
         }
+    } else if (tool.removeSpawn) {
+        if (!dragging) issueCommand({ type: 'spawnPoint', x: point.x, z: point.z, remove: true });
+    } else if (tool.wall) {
+        if (pathfinder.isWalkableAt(point.x, point.z)) issueCommand({ type: 'wall', x: point.x, z: point.z, value: true });
+    } else {
+        const walkable = pathfinder.isWalkableAt(point.x, point.z);
+        if (walkable && pathfinder.getCostAt(point.x, point.z) === tool.cost) return;
+        if (!walkable) issueCommand({ type: 'wall', x: point.x, z: point.z, value: false });
+        issueCommand({ type: 'terrain', x: point.x, z: point.z, cost: tool.cost });
     }
 }
 
+// Rings where units start, redrawn when the spawns change
+function drawSpawnMarkers() {
+    const spawns = sim.spawns || [];
+    if (spawns === markedSpawns && spawns.length === markedSpawnCount) return;
+    markedSpawns = spawns;
+    markedSpawnCount = spawns.length;
+
+    spawnMarkers.children.forEach(marker => marker.geometry.dispose());
+    spawnMarkers.clear();
+    spawns.forEach(spawn => {
+        const radius = UNIT_TYPES[spawn.type].radius;
+        const color = teamColor(spawn.team || 0, radius);
+        if (!spawnMarkerMaterials.has(color)) {
+            spawnMarkerMaterials.set(color, new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide }));
+        }
+        const marker = new THREE.Mesh(new THREE.RingGeometry(radius * 0.7, radius, 24), spawnMarkerMaterials.get(color));
+        marker.rotation.x = -Math.PI / 2;
+        marker.position.set(spawn.x, 0.08, spawn.z);
+        spawnMarkers.add(marker);
+    });
+}
+
+// Planners and their overlays for a freshly generated map
+function buildPlanners() {
+    if (pathService) pathService.dispose();
+    pathService = new PathfindingService(pathfinder);
+    navMesh = null;
+    if (useNavMesh) buildNavMesh();
+
+    if (hpa) hpa.dispose();
+    hpa = HierarchicalPathfinder.fromPathfinder(pathfinder);
+    drawHpaClusters();
+}
+
+// Planner for move orders: grid search, navmesh, HPA* or a shared flow field
+function plannerName() {
+    if (useFlowField) return 'flow';
+    if (useHpa) return 'hpa';
+    if (useNavMesh) return 'navmesh';
+    return 'grid';
+}
+
+// Ask the worker for an order's paths now so they are usually ready by the
+// time the order runs (see ORDER_DELAY); the simulation finds any that are not
+function prefetchPaths(order) {
+    order.legs.forEach(leg => {
+        const report = {};
+        const diagnostics = pathDebug ? {} : undefined; // For the overlay, along with the path
+        pathService.findPath(leg.startX, leg.startZ, leg.x, leg.z, {
+            radius: leg.unit.radius,
+            planner: order.command.planner,
+            report,
+            diagnostics,
+            key: leg.unit
+        }).then(path => {
+            if (path) order.prefetched.set(leg.unit.id, { path, report, diagnostics });
+        });
+    });
+}
+
+function buildNavMesh() {
+    navMesh = NavMesh.fromPathfinder(pathfinder);
+
+    // Wireframe of the triangles, shown while the navmesh is in use
+    if (navMeshDebug) scene.remove(navMeshDebug);
+    const points = [];
+    const v = navMesh.vertices;
+    for (let t = 0; t < navMesh.triangleCount; t++) {
+        for (let e = 0; e < 3; e++) {
+            const a = navMesh.triangles[t * 3 + e] * 2;
+            const b = navMesh.triangles[t * 3 + (e + 1) % 3] * 2;
+            points.push(new THREE.Vector3(v[a], 0.05, v[a + 1]), new THREE.Vector3(v[b], 0.05, v[b + 1]));
+        }
+    }
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: 0x3388ff, transparent: true, opacity: 0.5 });
+    navMeshDebug = new THREE.LineSegments(geometry, material);
+    navMeshDebug.visible = useNavMesh;
+    scene.add(navMeshDebug);
+}
+
+function toggleNavMesh() {
+    useNavMesh = !useNavMesh;
+    if (useNavMesh && useHpa) toggleHpa();
+    if (useNavMesh && !navMesh) buildNavMesh();
+    if (navMeshDebug) navMeshDebug.visible = useNavMesh;
+}
+
+// Cluster borders of the HPA* abstraction; entrances are added by drawHpaEntrances
+function drawHpaClusters() {
+    if (hpaDebug) scene.remove(hpaDebug);
+    hpaDebug = new THREE.Group();
+    hpaDebug.visible = useHpa;
+    scene.add(hpaDebug);
+
+    const points = [];
+    const { width, height, scale } = pathfinder;
+    const halfW = width * scale / 2;
+    const halfH = height * scale / 2;
+    const step = hpa.clusterSize * scale;
+    for (let c = step; c < width * scale; c += step) {
+        points.push(new THREE.Vector3(c - halfW, 0.06, -halfH), new THREE.Vector3(c - halfW, 0.06, halfH));
+    }
+    for (let c = step; c < height * scale; c += step) {
+        points.push(new THREE.Vector3(-halfW, 0.06, c - halfH), new THREE.Vector3(halfW, 0.06, c - halfH));
+    }
+    const borders = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: 0xffcc00, transparent: true, opacity: 0.6 })
+    );
+    hpaDebug.add(borders);
+    if (useHpa) drawHpaEntrances();
+}
+
+// Transition cells of the abstract graph (radius 0 layer)
+function drawHpaEntrances() {
+    const old = hpaDebug.getObjectByName('entrances');
+    if (old) {
+        hpaDebug.remove(old);
+        old.geometry.dispose();
+    }
+    const points = hpa.entranceCells().map(cell => {
+        const p = pathfinder.cellToWorld(cell % pathfinder.width, Math.floor(cell / pathfinder.width));
+        return new THREE.Vector3(p.x, 0.1, p.z);
+    });
+    const entrances = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.PointsMaterial({ color: 0xffcc00, size: 0.4 * pathfinder.scale })
+    );
+    entrances.name = 'entrances';
+    hpaDebug.add(entrances);
+}
+
+function toggleHpa() {
+    useHpa = !useHpa;
+    if (useHpa && useNavMesh) toggleNavMesh();
+    if (useHpa) drawHpaEntrances();
+    hpaDebug.visible = useHpa;
+}
+
+function toggleFlowField() {
+    useFlowField = !useFlowField;
+    if (!useFlowField) drawDebugFlowField(null);
+}
+
+// Start over on the current map (a new one from the next seed if it was
+// generated), with the same kind of crowd
+function resetScene() {
+    startSimulation(createSimulation({ seed: nextSeed++, stress: sim.stress, map: currentMap }));
+}
+
+// Start again with (or without) an AI-played army in the opposite corner.
+// On a loaded map the AI plays the map's team 1 spawns.
+function toggleOpponent() {
+    useOpponent = !useOpponent;
+    resetScene();
+}
+
+// Swap the ten demo units for a 1000-unit crowd spread over the map, and back
+function toggleStressMode() {
+    issueCommand({ type: 'spawn', stress: !sim.stress });
+}
+
+// Separation push vs ORCA reciprocal avoidance, for every unit
+function toggleSteering() {
+    issueCommand({ type: 'steering', mode: sim.steering === 'orca' ? 'separation' : 'orca' });
+}
+
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
@@ -192,8 +806,26 @@ function onWindowResize() {
 
 // --- Input Handling ---
 
+function groundPointFromEvent(event) {
+    mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, camera);
+    const intersects = raycaster.intersectObject(ground);
+    return intersects.length > 0 ? intersects[0].point : null;
+}
+
 function onMouseDown(event) {
-    if (event.button === 0) { // Left Click: Select Start
+    if (event.button === 0 && editorMode) { // Left Click: Paint with the editor tool, drag to keep painting
+        isPaintingTerrain = true;
+        paintEditorTool(event);
+    } else if (event.button === 0 && buildMode) { // Left Click: Toggle Wall, drag to paint
+        const point = groundPointFromEvent(event);
+        if (!point) return;
+        wallPaintValue = pathfinder.isWalkableAt(point.x, point.z);
+        isPaintingWalls = true;
+        paintWall(event);
+    } else if (event.button === 0) { // Left Click: Select Start
         isSelecting = true;
         selectionStart.set(event.clientX, event.clientY);
 
@@ -203,24 +835,19 @@ function onMouseDown(event) {
         selectionBoxElement.style.width = '0px';
         selectionBoxElement.style.height = '0px';
 
-    } else if (event.button === 2) { // Right Click: Move
-        mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-
-        raycaster.setFromCamera(mouse, camera);
-        const ground = scene.children.find(c => c.geometry instanceof THREE.PlaneGeometry);
-        const intersects = raycaster.intersectObject(ground);
-
-        if (intersects.length > 0) {
-            const target = intersects[0].point;
-            moveSelectedUnits(target);
-        }
+    } else if (event.button === 2) { // Right Click: Move (Shift: add a waypoint)
+        const target = groundPointFromEvent(event);
+        if (target) moveSelectedUnits(target, event.shiftKey);
     }
 }
 
 function onMouseMove(event) {
     mouseX = event.clientX;
     mouseY = event.clientY;
+    pointerInside = true;
+
+    if (isPaintingWalls) paintWall(event);
+    if (isPaintingTerrain) paintEditorTool(event, true);
 
     if (isSelecting) {
         const currentX = event.clientX;
@@ -244,11 +871,13 @@ function updateCamera(dt) {
     let dx = 0;
     let dz = 0;
 
-    // Check Edges
-    if (mouseX < PAN_BORDER) dx -= 1;
-    if (mouseX > window.innerWidth - PAN_BORDER) dx += 1;
-    if (mouseY < PAN_BORDER) dz -= 1;
-    if (mouseY > window.innerHeight - PAN_BORDER) dz += 1;
+    // Check Edges (not while using the minimap or the editor panel)
+    if (pointerInside && !minimap.pointerOver && !minimap.dragging && !editorPanel.matches(':hover')) {
+        if (mouseX < PAN_BORDER) dx -= 1;
+        if (mouseX > window.innerWidth - PAN_BORDER) dx += 1;
+        if (mouseY < PAN_BORDER) dz -= 1;
+        if (mouseY > window.innerHeight - PAN_BORDER) dz += 1;
+    }
 
     // Check Keys
     if (panLeft) dx -= 1;
@@ -285,6 +914,9 @@ function updateCamera(dt) {
 }
 
 function onMouseUp(event) {
+    isPaintingWalls = false;
+    isPaintingTerrain = false;
+
     if (isSelecting) {
         isSelecting = false;
         selectionBoxElement.style.display = 'none';
@@ -295,92 +927,291 @@ function onMouseUp(event) {
         const startY = Math.min(selectionStart.y, event.clientY);
         const endY = Math.max(selectionStart.y, event.clientY);
 
-        // Convert to canvas coordinates if needed, but clientX is fine for simple DOM overlay check relative to viewport
-
-        // Deselect all unless shift held (not implemented)
-        units.forEach(u => u.setSelected(false));
+        // Screen-space box check, or a click on a single unit if the box is tiny
+        // Only the player's own units can be selected
+        const isClick = endX - startX < 5 && endY - startY < 5;
+        const own = sim.units.filter(unit => unit.team === PLAYER_TEAM);
+        let picked = own.filter(unit => {
+            const screen = screenPosition(unit);
+            return screen.visible && screen.x >= startX && screen.x <= endX && screen.y >= startY && screen.y <= endY;
+        });
+        let clicked = isClick ? unitAtScreenPoint(event.clientX, event.clientY) : null;
+        if (clicked && clicked.team !== PLAYER_TEAM) clicked = null;
+        if (picked.length === 0 && clicked) picked = [clicked];
+
+        let ids = picked.map(unit => unit.id);
+        if (clicked && event.detail >= 2) {
+            // Double-click: every unit of that type on screen
+            ids = own.filter(unit => unit.type === clicked.type && screenPosition(unit).visible).map(unit => unit.id);
+        } else if (clicked && event.ctrlKey) {
+            // Ctrl-click: add or remove that one unit
+            ids = selectedIds().filter(id => id !== clicked.id);
+            if (!clicked.selected) ids.push(clicked.id);
+        } else if (event.shiftKey) {
+            ids = [...new Set([...selectedIds(), ...ids])];
+        }
 
-        // Frustum / Screen Space Selection
-        // Simple 2D check for now
-        let count = 0;
-        units.forEach(unit => {
-            // Project unit position to screen
-            const pos = unit.mesh.position.clone();
-            pos.project(camera);
+        issueCommand({ type: 'select', ids });
+    }
+}
 
-            // pos is in NDC (-1 to 1)
-            const screenX = (pos.x * 0.5 + 0.5) * window.innerWidth;
-            const screenY = (-(pos.y * 0.5) + 0.5) * window.innerHeight;
+// Where a unit's mesh is on screen, in client pixels; visible when it is
+// in front of the camera and inside the window
+function screenPosition(unit) {
+    const view = unitViews.get(unit);
+    if (!view) return { x: 0, y: 0, visible: false }; // Spawned since the last frame
+    const pos = view.mesh.position.clone().project(camera);
+    const x = (pos.x * 0.5 + 0.5) * window.innerWidth;
+    const y = (-(pos.y * 0.5) + 0.5) * window.innerHeight;
+    const visible = pos.z < 1 && x >= 0 && x <= window.innerWidth && y >= 0 && y <= window.innerHeight;
+    return { x, y, visible };
+}
 
-            if (screenX >= startX && screenX <= endX && screenY >= startY && screenY <= endY) {
-                unit.setSelected(true);
-                count++;
+// The unit whose mesh is under the cursor, if any
+function unitAtScreenPoint(clientX, clientY) {
+    mouse.x = (clientX / window.innerWidth) * 2 - 1;
+    mouse.y = -(clientY / window.innerHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+
+    const intersects = raycaster.intersectObjects(scene.children, true);
+    for (let hit of intersects) {
+        const unit = sim.units.find(u => {
+            const view = unitViews.get(u);
+            let obj = hit.object;
+            while (obj) {
+                if (view && obj === view.mesh) return true;
+                obj = obj.parent;
             }
+            return false;
         });
+        if (unit) return unit;
+    }
+    return null;
+}
 
-        // Click selection (if box is tiny)
-        if (count === 0 && Math.abs(event.clientX - selectionStart.x) < 5) {
-            // Raycast for single unit
-            mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-            mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
-            raycaster.setFromCamera(mouse, camera);
-
-            // Check unit meshes
-            // Simplified: distance check in 2D for robustness
-            const intersects = raycaster.intersectObjects(scene.children, true);
-            for (let hit of intersects) {
-                const unit = units.find(u => {
-                    let obj = hit.object;
-                    while (obj) {
-                        if (obj === u.mesh) return true;
-                        obj = obj.parent;
-                    }
-                    return false;
-                });
-                if (unit) {
-                    unit.setSelected(true);
-                    break;
-                }
-            }
-        }
+function selectedIds() {
+    return sim.units.filter(u => u.selected).map(u => u.id);
+}
+
+// Ctrl (or Alt, as browsers keep Ctrl+digit for tabs) + 1-9 stores the
+// selection as a control group and Shift + digit adds it to the group. The
+// digit alone selects the group again; tapping it twice centres the camera on it.
+function onControlGroupKey(digit, event) {
+    if (event.ctrlKey || event.altKey || event.metaKey) {
+        event.preventDefault();
+        controlGroups.set(digit, selectedIds());
+        return;
     }
+    if (event.shiftKey) {
+        const group = controlGroupUnits(digit).map(unit => unit.id);
+        controlGroups.set(digit, [...new Set([...group, ...selectedIds()])]);
+        return;
+    }
+
+    const group = controlGroupUnits(digit);
+    if (group.length === 0) return;
+    const now = performance.now();
+    if (lastGroupRecall.digit === digit && now - lastGroupRecall.time < DOUBLE_TAP_MS) centreCameraOn(group);
+    lastGroupRecall = { digit, time: now };
+    issueCommand({ type: 'select', ids: group.map(unit => unit.id) });
+}
+
+// Units of a control group that are still alive
+function controlGroupUnits(digit) {
+    return (controlGroups.get(digit) || []).map(id => sim.unitsById.get(id)).filter(Boolean);
 }
 
-function moveSelectedUnits(target) {
-    const selected = units.filter(u => u.selected);
-    if (selected.length === 0) return;
+function centreCameraOn(units) {
+    let x = 0, z = 0;
+    units.forEach(unit => { x += unit.position.x; z += unit.position.z; });
+    lookAtGround(x / units.length, z / units.length);
+}
+
+// Slide the camera, keeping its angle and distance, so it looks at this ground point
+function lookAtGround(x, z) {
+    const move = new THREE.Vector3(x - controls.target.x, 0, z - controls.target.z);
+    camera.position.add(move);
+    controls.target.add(move);
+}
 
-    // Formation / Offset Logic
-    // Just finding the same path for all causes stacking
-    // But individual paths are expensive if 100 units
-    // SC2 optimization: Group pathfinding or flow field
+// Ground corners the camera sees, for the minimap; corner rays that miss the
+// ground (above the horizon) are cut off at the far plane
+const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const footprintRaycaster = new THREE.Raycaster();
+function cameraFootprint() {
+    return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([x, y]) => {
+        footprintRaycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+        const ray = footprintRaycaster.ray;
+        return ray.intersectPlane(groundPlane, new THREE.Vector3()) || ray.at(camera.far, new THREE.Vector3());
+    });
+}
 
-    // For PoC: Calculate path for the group center to target, then offset?
-    // Or just pathfind individually but offset the TARGET slightly
+// Selected units with their current orders, plus the control groups; only
+// touches the DOM when the text changes
+function updateSelectionPanel() {
+    const selected = sim.units.filter(u => u.selected);
+    const counts = new Map();
+    selected.forEach(unit => counts.set(unit.type, (counts.get(unit.type) || 0) + 1));
+    const groups = [...controlGroups.keys()].sort()
+        .map(digit => [digit, controlGroupUnits(digit).length])
+        .filter(([, size]) => size > 0);
+
+    const lines = [];
+    lines.push(selected.length === 0
+        ? 'Nothing selected'
+        : `Selected: ${selected.length} (${[...counts].map(([type, n]) => `${type} ${n}`).join(', ')})`);
+    if (groups.length > 0) lines.push(`Groups: ${groups.map(([digit, size]) => `[${digit}] ${size}`).join('  ')}`);
+    selected.slice(0, SELECTION_PANEL_ROWS).forEach(unit => {
+        const current = unit.orderQueue[0];
+        const queued = unit.orderQueue.length > 1 ? ` (+${unit.orderQueue.length - 1} queued)` : '';
+        const target = unit.target ? ` -> #${unit.target.id}` : '';
+        lines.push(`#${unit.id} ${unit.type} ${Math.ceil(unit.health)}/${unit.maxHealth} hp - ${current ? current.type : 'idle'}${queued}${target}`);
+    });
+    if (selected.length > SELECTION_PANEL_ROWS) lines.push(`... and ${selected.length - SELECTION_PANEL_ROWS} more`);
 
-    // Magic Box offset:
-    // Create a spiral or grid of target points around the main target
-    const spacing = 1.5;
-    const cols = Math.ceil(Math.sqrt(selected.length));
+    const text = lines.join('\n');
+    if (selectionPanel.textContent !== text) selectionPanel.textContent = text;
+}
 
-    selected.forEach((unit, i) => {
-        // Offset target
-        const col = i % cols;
-        const row = Math.floor(i / cols);
-        const offsetX = (col - cols / 2) * spacing;
-        const offsetZ = (row - cols / 2) * spacing;
+// Group move: the simulation gives each unit a slot in the current formation
+// (see formation.js) or hands the group one shared flow field per agent size.
+// A move armed with Q is an attack-move, with P a patrol; queued moves are
+// carried out after the units' current orders.
+function moveSelectedUnits(target, queued) {
+    const planner = plannerName();
+    const command = { x: target.x, z: target.z, planner, formation, queued };
+    if (targetedOrder === 'patrol') command.type = 'patrol';
+    else Object.assign(command, { type: 'move', attack: targetedOrder === 'attack' });
+    armTargetedOrder(null);
+
+    const order = orderSelectedUnits(command);
+    // Queued legs start from where earlier orders end, so only fresh orders are worth prefetching
+    if (order && !queued && planner !== 'flow') prefetchPaths(order);
+}
 
-        const unitTarget = new THREE.Vector3(target.x + offsetX, 0, target.z + offsetZ);
+function orderSelectedUnits(command) {
+    const ids = selectedIds();
+    if (ids.length === 0) return null;
+    return issueCommand({ ...command, ids });
+}
 
-        // Find path
-        const path = pathfinder.findPath(unit.mesh.position.x, unit.mesh.position.z, unitTarget.x, unitTarget.z);
-        if (path && path.length > 0) {
-            unit.setPath(path);
-            if (i === 0) drawDebugPath(path);
+function armTargetedOrder(type) {
+    targetedOrder = type;
+    document.body.classList.toggle('targeting', type !== null);
+}
+
+// A move order ran: show its first path (or flow field), and where the
+// destination had to be moved out of a wall
+function onOrder(event) {
+    if (event.field) {
+        drawDebugPath(null);
+        drawDebugFlowField(event.field);
+        if (event.field.goalAdjusted) showDestinationMarker(new THREE.Vector3(event.field.goalX, 0, event.field.goalZ));
+        return;
+    }
+    const lead = event.legs[0];
+    if (!lead || !lead.path || lead.path.length === 0) return;
+    drawDebugPath(lead.path);
+    if (lead.report && lead.report.endAdjusted) showDestinationMarker(lead.report.endPoint);
+}
+
+// K: an enemy squad at the cursor. It fights anything of ours that comes near.
+function dropEnemySquad() {
+    const point = groundPointFromEvent({ clientX: mouseX, clientY: mouseY });
+    if (point) issueCommand({ type: 'spawnGroup', x: point.x, z: point.z, team: ENEMY_TEAM, units: ENEMY_SQUAD });
+}
+
+// A shot: instant hits draw a beam from the attacker to the target, shots
+// with a projectile show up in updateProjectiles until they land
+function onAttack(event) {
+    if (event.projectile) return;
+    const { attacker, target } = event;
+    if (!playerSees(attacker) && !playerSees(target)) return;
+    const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(attacker.position.x, 0.5, attacker.position.z),
+        new THREE.Vector3(target.position.x, 0.5, target.position.z)
+    ]);
+    const material = new THREE.LineBasicMaterial({ color: attacker.team === ENEMY_TEAM ? 0xff6644 : 0x66ddff, transparent: true });
+    addCombatEffect(new THREE.Line(geometry, material), BEAM_SECONDS);
+}
+
+// A unit died: a ring where it stood (its view goes in syncUnitViews)
+function onDeath(event) {
+    const { unit } = event;
+    if (!playerSeesPoint(unit.position.x, unit.position.z)) return;
+    const geometry = new THREE.RingGeometry(unit.radius * 0.8, unit.radius * 1.2, 24);
+    const material = new THREE.MeshBasicMaterial({ color: 0xff5522, side: THREE.DoubleSide, transparent: true });
+    const ring = new THREE.Mesh(geometry, material);
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.set(unit.position.x, 0.04, unit.position.z);
+    addCombatEffect(ring, DEATH_RING_SECONDS);
+}
+
+function addCombatEffect(object, duration) {
+    scene.add(object);
+    combatEffects.push({ object, life: duration, duration });
+}
+
+// Beams fade out; death rings fade and spread
+function updateCombatEffects(dt) {
+    combatEffects = combatEffects.filter(effect => {
+        effect.life -= dt;
+        const { object } = effect;
+        if (effect.life <= 0) {
+            scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+            return false;
         }
+        const fade = effect.life / effect.duration;
+        object.material.opacity = fade;
+        if (object.isMesh) object.scale.setScalar(2 - fade);
+        return true;
+    });
+}
+
+function clearCombatEffects() {
+    combatEffects.forEach(effect => effect.life = 0);
+    updateCombatEffects(0);
+}
+
+// Shots in flight, drawn between their previous and current tick like the units
+function updateProjectiles(alpha) {
+    const projectiles = sim.combat.projectiles.filter(p => playerSeesPoint(p.x, p.z));
+    const positions = new Float32Array(projectiles.length * 3);
+    projectiles.forEach((p, i) => {
+        positions[i * 3] = p.previousX + (p.x - p.previousX) * alpha;
+        positions[i * 3 + 1] = 0.6;
+        positions[i * 3 + 2] = p.previousZ + (p.z - p.previousZ) * alpha;
     });
+    projectilePoints.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
 }
 
+// Short-lived ring marking a destination that was moved out of a wall
+function showDestinationMarker(point) {
+    const geometry = new THREE.RingGeometry(0.3, 0.45, 24);
+    const material = new THREE.MeshBasicMaterial({ color: 0xff8800, side: THREE.DoubleSide, transparent: true, opacity: 0.9 });
+    const marker = new THREE.Mesh(geometry, material);
+    marker.rotation.x = -Math.PI / 2;
+    marker.position.set(point.x, 0.03, point.z);
+    marker.userData.life = 1.5; // Seconds
+    scene.add(marker);
+    destinationMarkers.push(marker);
+}
+
+function updateDestinationMarkers(dt) {
+    destinationMarkers = destinationMarkers.filter(marker => {
+        marker.userData.life -= dt;
+        if (marker.userData.life <= 0) {
+            scene.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+            return false;
+        }
+        marker.material.opacity = Math.min(0.9, marker.userData.life);
+        return true;
+    });
+}
 
 let debugLine;
 function drawDebugPath(path) {
@@ -394,13 +1225,287 @@ function drawDebugPath(path) {
     scene.add(debugLine);
 }
 
+// The selected units' order queues, redrawn once per tick: the rest of the
+// current path, then a straight line on to each queued destination, with a
+// marker where every order ends. Patrols also show their way back.
+function drawOrderQueues() {
+    if (orderQueueTick === sim.tick) return;
+    orderQueueTick = sim.tick;
+    if (orderQueueDebug) {
+        scene.remove(orderQueueDebug);
+        orderQueueDebug.children.forEach(child => child.geometry.dispose());
+        orderQueueDebug = null;
+    }
+
+    const lines = [], lineColors = [];
+    const markers = [], markerColors = [];
+    const color = new THREE.Color();
+    const segment = (from, to) => {
+        lines.push(from.x, 0.5, from.z, to.x, 0.5, to.z);
+        lineColors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+    };
+    const marker = (point) => {
+        markers.push(point.x, 0.5, point.z);
+        markerColors.push(color.r, color.g, color.b);
+    };
+
+    sim.units.forEach(unit => {
+        if (!unit.selected) return;
+        let from = unit.position;
+        unit.orderQueue.forEach((order, k) => {
+            if (order.type === 'hold') return;
+            color.set(ORDER_COLORS[order.type]);
+            const route = k === 0 && unit.isMoving && unit.path.length > 0
+                ? unit.path.slice(unit.currentWaypointIndex)
+                : [order];
+            route.forEach(point => {
+                segment(from, point);
+                from = point;
+            });
+            marker(order);
+            if (order.type === 'patrol') {
+                const back = { x: order.fromX, z: order.fromZ };
+                segment(order, back);
+                marker(back);
+            }
+        });
+    });
+    if (lines.length === 0) return;
+
+    orderQueueDebug = new THREE.Group();
+    const lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(lines, 3));
+    lineGeometry.setAttribute('color', new THREE.Float32BufferAttribute(lineColors, 3));
+    orderQueueDebug.add(new THREE.LineSegments(lineGeometry, orderQueueLineMaterial));
+    const markerGeometry = new THREE.BufferGeometry();
+    markerGeometry.setAttribute('position', new THREE.Float32BufferAttribute(markers, 3));
+    markerGeometry.setAttribute('color', new THREE.Float32BufferAttribute(markerColors, 3));
+    orderQueueDebug.add(new THREE.Points(markerGeometry, orderQueueMarkerMaterial));
+    scene.add(orderQueueDebug);
+}
+
+// Heat map of the cells each selected unit's search closed (blue near the
+// start, red furthest), its raw path (orange) and smoothed path (yellow), and
+// per-query stats. These are the diagnostics of the query that found the
+// unit's path, by whichever planner ran it (worker or simulation): while the
+// overlay is on, orders ask for them along with the paths. Units on a flow
+// field show what building the shared field took.
+function togglePathDebug() {
+    pathDebug = !pathDebug;
+    sim.pathDiagnostics = pathDebug;
+    pathDebugPanel.style.display = pathDebug ? 'block' : 'none';
+    pathDebugSources = null;
+    if (!pathDebug) drawPathDebug(null);
+}
+
+// What a unit's overlay is drawn from: its flow field, or its current path's
+// diagnostics (the path itself if it was found before the overlay was on)
+function pathDebugSource(unit) {
+    if (unit.flowField) return unit.flowField;
+    if (unit.path.length === 0) return null; // Idle or holding
+    return unit.pathDiagnostics || unit.path;
+}
+
+// Redraws when the selection or a selected unit's path changed
+function updatePathDebug() {
+    if (!pathDebug) return;
+    const units = sim.units.filter(unit => unit.selected);
+    const changed = !pathDebugSources || pathDebugSources.size !== units.length ||
+        units.some(unit => pathDebugSources.get(unit) !== pathDebugSource(unit));
+    if (!changed) return;
+    pathDebugSources = new Map(units.map(unit => [unit, pathDebugSource(unit)]));
+
+    // Diagnostics -> the units they belong to (one query per flow field)
+    const queries = new Map();
+    const fields = new Map();
+    let unrecorded = 0;
+    units.forEach(unit => {
+        const source = pathDebugSource(unit);
+        if (!source) return;
+        let d = source;
+        if (unit.flowField) {
+            if (!fields.has(source)) fields.set(source, source.diagnostics());
+            d = fields.get(source);
+        } else if (source === unit.path) {
+            unrecorded++;
+            return;
+        }
+        if (!queries.has(d)) queries.set(d, []);
+        queries.get(d).push(unit);
+    });
+    const searches = [...queries.keys()];
+    drawPathDebug(searches);
+
+    const total = searches.reduce((sum, d) => sum + d.elapsedMs, 0);
+    const lines = [`Path queries: ${searches.length} for ${units.length} selected units, ${total.toFixed(2)} ms`];
+    if (unrecorded > 0) lines.push(`(${unrecorded} paths found before the overlay was on: order again to see them)`);
+    searches.slice(0, PATH_DEBUG_LINES).forEach(d => {
+        const owners = queries.get(d);
+        const who = owners.length === 1 ? `#${String(owners[0].id).padEnd(4)} ${owners[0].type}` : `${owners.length} units`;
+        const result = d.algorithm === 'flow' ? `${d.expanded.length} cells reached`
+            : d.found ? `raw ${d.rawPath.length} -> ${d.path.length} pts` : 'no path';
+        lines.push(
+            `${who.padEnd(13)} ${(d.algorithm || '-').padEnd(7)} ` +
+            `${String(d.iterations).padStart(6)} iter ${String(d.expanded.length).padStart(6)} closed  ` +
+            `${result.padEnd(18)} ${d.elapsedMs.toFixed(2)} ms`
+        );
+    });
+    if (searches.length > PATH_DEBUG_LINES) lines.push(`... and ${searches.length - PATH_DEBUG_LINES} more queries, drawn but not listed`);
+    pathDebugPanel.textContent = lines.join('\n');
+}
+
+// searches: findPath diagnostics objects, or null to clear the overlay
+function drawPathDebug(searches) {
+    if (pathDebugOverlay) {
+        scene.remove(pathDebugOverlay);
+        pathDebugOverlay.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material && object.material.map) object.material.map.dispose();
+        });
+        pathDebugOverlay = null;
+    }
+    if (!searches) return;
+    pathDebugOverlay = new THREE.Group();
+    scene.add(pathDebugOverlay);
+
+    // Heat per cell, the hottest of any query that closed it; each query is
+    // scaled by its own furthest cost
+    const { width, height, scale } = pathfinder;
+    const heat = new Float32Array(width * height);
+    const raw = [];
+    const smoothed = [];
+    const addSegments = (path, points, y) => {
+        for (let i = 1; i < path.length; i++) {
+            points.push(new THREE.Vector3(path[i - 1].x, y, path[i - 1].z), new THREE.Vector3(path[i].x, y, path[i].z));
+        }
+    };
+    searches.forEach(d => {
+        let furthest = 0;
+        d.expandedCost.forEach(cost => { furthest = Math.max(furthest, cost); });
+        d.expanded.forEach((cell, i) => {
+            heat[cell] = Math.max(heat[cell], 0.2 + 0.8 * (furthest > 0 ? d.expandedCost[i] / furthest : 0));
+        });
+        addSegments(d.rawPath, raw, 0.3);
+        addSegments(d.path, smoothed, 0.5);
+    });
+
+    const data = new Uint8Array(width * height * 4);
+    for (let cell = 0; cell < heat.length; cell++) {
+        if (heat[cell] === 0) continue;
+        // Texture rows run from +z to -z, as on the ground
+        const i = ((height - 1 - Math.floor(cell / width)) * width + cell % width) * 4;
+        data[i] = 255 * heat[cell];
+        data[i + 1] = 60;
+        data[i + 2] = 255 * (1 - heat[cell]);
+        data[i + 3] = 150;
+    }
+    const texture = new THREE.DataTexture(data, width, height);
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    const heatMap = new THREE.Mesh(
+        new THREE.PlaneGeometry(width * scale, height * scale),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+    );
+    heatMap.rotation.x = -Math.PI / 2;
+    heatMap.position.y = 0.03;
+    pathDebugOverlay.add(heatMap);
+
+    pathDebugOverlay.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(raw), pathDebugRawMaterial));
+    pathDebugOverlay.add(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(smoothed), pathDebugSmoothedMaterial));
+}
+
+let debugFlowField;
+function drawDebugFlowField(field) {
+    if (debugFlowField) scene.remove(debugFlowField);
+    debugFlowField = null;
+    if (!field) return;
+
+    // One short line per cell, pointing downstream
+    const points = [];
+    for (let y = 0; y < pathfinder.height; y++) {
+        for (let x = 0; x < pathfinder.width; x++) {
+            const i = y * pathfinder.width + x;
+            const dx = field.directions[i * 2];
+            const dz = field.directions[i * 2 + 1];
+            if (dx === 0 && dz === 0) continue;
+            const c = pathfinder.cellToWorld(x, y);
+            points.push(
+                new THREE.Vector3(c.x - dx * 0.3, 0.1, c.z - dz * 0.3),
+                new THREE.Vector3(c.x + dx * 0.3, 0.1, c.z + dz * 0.3)
+            );
+        }
+    }
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: 0x66ffcc, transparent: true, opacity: 0.4 });
+    debugFlowField = new THREE.LineSegments(geometry, material);
+    scene.add(debugFlowField);
+}
+
+// One view per simulation unit (large units orange), created and dropped as
+// units come and go
+function syncUnitViews(alpha) {
+    sim.units.forEach(unit => {
+        let view = unitViews.get(unit);
+        if (!view) {
+            view = new UnitView(scene, unit, unitColor(unit));
+            unitViews.set(unit, view);
+        }
+        view.sync(alpha, playerSees(unit));
+    });
+    if (unitViews.size > sim.units.length) {
+        unitViews.forEach((view, unit) => {
+            if (sim.unitsById.get(unit.id) === unit) return;
+            view.dispose();
+            unitViews.delete(unit);
+        });
+    }
+}
+
+function unitColor(unit) {
+    return teamColor(unit.team, unit.radius);
+}
+
+// The team's colour, in a darker shade for large units
+function teamColor(team, radius) {
+    const colors = TEAM_COLORS[team % TEAM_COLORS.length];
+    return radius > 0.5 ? colors[1] : colors[0];
+}
+
+function updateFrameStats(dt, updateMs) {
+    frameStats.frame += (dt * 1000 - frameStats.frame) * 0.1;
+    frameStats.update += (updateMs - frameStats.update) * 0.1;
+    frameStats.timer -= dt;
+    if (frameStats.timer > 0) return;
+    frameStats.timer = 0.25;
+    statsElement.textContent =
+        `Units: ${sim.units.length} | Frame: ${frameStats.frame.toFixed(1)} ms | ` +
+        `Unit update: ${frameStats.update.toFixed(2)} ms | ` +
+        `Neighbors: ${sim.useSpatialHash ? 'spatial hash' : 'all units'} | Steering: ${sim.steering} | ` +
+        `Formation: ${formation}${targetedOrder ? ` | Next click: ${targetedOrder}` : ''} | ` +
+        `${useOpponent ? 'AI opponent | ' : ''}${sim.map ? `Map: ${sim.map.name}` : `Seed: ${sim.seed}`} | Tick: ${sim.tick}${sim.isReplaying ? ' (replaying)' : ''}`;
+}
+
 function animate() {
     requestAnimationFrame(animate);
 
     const dt = clock.getDelta();
+    updateCamera(dt);
     controls.update();
 
-    units.forEach(unit => unit.update(dt, units));
+    // The simulation runs whole ticks; meshes are drawn part way to the next one
+    const updateStart = performance.now();
+    const alpha = sim.advance(dt);
+    updateFrameStats(dt, performance.now() - updateStart);
+    syncUnitViews(alpha);
+    updateProjectiles(alpha);
+    drawOrderQueues();
+    updatePathDebug();
+    updateSelectionPanel();
+    updateDestinationMarkers(dt);
+    updateCombatEffects(dt);
+    updateFog();
+    minimap.draw(sim.units.filter(playerSees), cameraFootprint(), fogActive() ? sim.visibilityFor(PLAYER_TEAM) : null);
+    if (editorMode) drawSpawnMarkers();
 
     renderer.render(scene, camera);
 }
@@ -0,0 +1,145 @@
+// JSON map files for the demo (sample maps live in maps/). A map is:
+//
+//   {
+//     "format": "sc2-pathfinding-map",
+//     "version": 1,
+//     "name": "Chokepoints",
+//     "width": 50, "height": 50,   grid cells
+//     "scale": 1,                  world units per cell
+//     "rows": ["....##rr..", ...], one string of `width` characters per grid
+//                                  row, from -z (first) to +z (last), each
+//                                  character one cell from -x to +x:
+//                                    '.' ground  '#' wall
+//                                    'r' road    'c' creep    'm' mud
+//     "spawns": [{ "x": -15, "z": -15, "type": "infantry", "team": 0 }, ...]
+//                                  world positions on the map units start at;
+//                                  type is a UNIT_TYPES key ('infantry' by default);
+//                                  team 0 is the player, and is the default
+//   }
+//
+// Terrain costs are TERRAIN_COSTS; cells with any other cost are saved as ground.
+
+import { UNIT_TYPES } from './unit.js';
+
+export const MAP_FORMAT = 'sc2-pathfinding-map';
+export const MAP_VERSION = 1;
+
+// Terrain cost multipliers (plain ground is 1)
+export const TERRAIN_COSTS = {
+    road: 0.5,
+    creep: 0.75,
+    mud: 3.0
+};
+
+const WALL = '#';
+const GROUND = '.';
+const TERRAIN_CHARS = { road: 'r', creep: 'c', mud: 'm' };
+
+// Check a map (JSON text or parsed object) and return a clean copy.
+// Throws an Error saying what is wrong with it.
+export function parseMap(input) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    const fail = (message) => { throw new Error(`Invalid map: ${message}`); };
+
+    if (!data || data.format !== MAP_FORMAT) fail(`format must be "${MAP_FORMAT}"`);
+    if (data.version !== MAP_VERSION) fail(`unsupported version ${data.version}`);
+    const { width, height } = data;
+    const scale = data.scale === undefined ? 1 : data.scale;
+    if (!Number.isInteger(width) || width < 1 || !Number.isInteger(height) || height < 1) {
+        fail('width and height must be positive integers');
+    }
+    if (!(scale > 0)) fail('scale must be positive');
+    if (!Array.isArray(data.rows) || data.rows.length !== height) fail(`rows must hold ${height} strings`);
+
+    const known = new Set([WALL, GROUND, ...Object.values(TERRAIN_CHARS)]);
+    data.rows.forEach((row, y) => {
+        if (typeof row !== 'string' || row.length !== width) fail(`row ${y} must be ${width} characters`);
+        for (const ch of row) {
+            if (!known.has(ch)) fail(`row ${y} has unknown cell '${ch}'`);
+        }
+    });
+
+    const halfX = width * scale / 2;
+    const halfZ = height * scale / 2;
+    const spawns = (data.spawns || []).map((spawn, i) => {
+        if (!Number.isFinite(spawn.x) || !Number.isFinite(spawn.z)) fail(`spawn ${i} needs numeric x and z`);
+        if (spawn.x < -halfX || spawn.x >= halfX || spawn.z < -halfZ || spawn.z >= halfZ) fail(`spawn ${i} is off the map`);
+        const type = spawn.type === undefined ? 'infantry' : spawn.type;
+        if (!Object.hasOwn(UNIT_TYPES, type)) fail(`spawn ${i} has unknown unit type '${type}'`);
+        const team = spawn.team === undefined ? 0 : spawn.team;
+        if (!Number.isInteger(team) || team < 0) fail(`spawn ${i} team must be a non-negative integer`);
+        return { x: spawn.x, z: spawn.z, type, team };
+    });
+
+    return {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        name: String(data.name || 'Untitled'),
+        width,
+        height,
+        scale,
+        rows: data.rows.slice(),
+        spawns
+    };
+}
+
+// Blank map of plain ground with no spawns
+export function emptyMap(width, height, name = 'Untitled', scale = 1) {
+    return {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        name,
+        width,
+        height,
+        scale,
+        rows: new Array(height).fill(GROUND.repeat(width)),
+        spawns: []
+    };
+}
+
+// Paint a parsed map's walls and terrain onto a Pathfinder of its size
+export function applyMap(pathfinder, map) {
+    const costByChar = {};
+    Object.keys(TERRAIN_CHARS).forEach(name => { costByChar[TERRAIN_CHARS[name]] = TERRAIN_COSTS[name]; });
+
+    pathfinder.batch(() => {
+        map.rows.forEach((row, gy) => {
+            for (let gx = 0; gx < row.length; gx++) {
+                const centre = pathfinder.cellToWorld(gx, gy);
+                const ch = row[gx];
+                if (ch === WALL) pathfinder.setObstacle(centre.x, centre.z, true);
+                else if (costByChar[ch]) pathfinder.setCost(centre.x, centre.z, costByChar[ch]);
+            }
+        });
+    });
+}
+
+// The map a Pathfinder's current walls and terrain, plus spawns, make up
+export function exportMap(pathfinder, spawns, name = 'Untitled') {
+    const charByCost = new Map();
+    Object.keys(TERRAIN_CHARS).forEach(name => charByCost.set(TERRAIN_COSTS[name], TERRAIN_CHARS[name]));
+
+    const rows = [];
+    for (let gy = 0; gy < pathfinder.height; gy++) {
+        let row = '';
+        for (let gx = 0; gx < pathfinder.width; gx++) {
+            const i = gy * pathfinder.width + gx;
+            row += pathfinder.grid[i] === 1 ? WALL : charByCost.get(pathfinder.costs[i]) || GROUND;
+        }
+        rows.push(row);
+    }
+    return {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        name,
+        width: pathfinder.width,
+        height: pathfinder.height,
+        scale: pathfinder.scale,
+        rows,
+        spawns: spawns.map(spawn => ({ x: round2(spawn.x), z: round2(spawn.z), type: spawn.type, team: spawn.team || 0 }))
+    };
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
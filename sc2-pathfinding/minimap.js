@@ -0,0 +1,159 @@
+// Top-down overview of the whole map: terrain and walls from the Pathfinder
+// grid, the fog of war, units as dots, and the patch of ground the camera can see. Left click
+// (or drag) moves the camera there, right click gives an order there. Plain 2D
+// canvas with no Three.js; world +z is drawn downwards, as the camera sees it.
+export class Minimap {
+    // options:
+    //   size             canvas size in CSS pixels
+    //   cellColor(cell)  0xRRGGBB for a grid cell
+    //   unitColor(unit)  CSS colour for a unit's dot
+    //   onCamera(x, z)   look at this world point
+    //   onOrder(x, z, event)  right click on this world point
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.options = options;
+        this.size = options.size || 200;
+        this.pathfinder = null;
+        this.pointerOver = false; // Lets the page skip edge scrolling over the minimap
+        this.dragging = false;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = this.size * ratio;
+        canvas.height = this.size * ratio;
+        canvas.style.width = this.size + 'px';
+        canvas.style.height = this.size + 'px';
+        this.context = canvas.getContext('2d');
+        this.context.scale(ratio, ratio);
+
+        // Grid colours at one texel per cell, stretched over the canvas when drawn
+        this.terrain = document.createElement('canvas');
+        this.terrainImage = null;
+        // Fog the same way, redrawn when the visibility changes
+        this.fog = document.createElement('canvas');
+        this.fogImage = null;
+        this.fogVersion = -1;
+
+        // Clicks here must not also start a selection box on the page behind
+        canvas.addEventListener('mousedown', (event) => {
+            event.stopPropagation();
+            const point = this.worldFromEvent(event);
+            if (event.button === 0) {
+                this.dragging = true;
+                this.options.onCamera(point.x, point.z);
+            } else if (event.button === 2) {
+                this.options.onOrder(point.x, point.z, event);
+            }
+        });
+        canvas.addEventListener('mouseenter', () => { this.pointerOver = true; });
+        canvas.addEventListener('mouseleave', () => { this.pointerOver = false; });
+        window.addEventListener('mousemove', (event) => {
+            if (!this.dragging) return;
+            const point = this.worldFromEvent(event);
+            this.options.onCamera(point.x, point.z);
+        });
+        window.addEventListener('mouseup', () => { this.dragging = false; });
+    }
+
+    // Show a (new) map; repaints every cell
+    setPathfinder(pathfinder) {
+        this.pathfinder = pathfinder;
+        this.terrain.width = pathfinder.width;
+        this.terrain.height = pathfinder.height;
+        this.terrainImage = this.terrain.getContext('2d').createImageData(pathfinder.width, pathfinder.height);
+        this.fog.width = pathfinder.width;
+        this.fog.height = pathfinder.height;
+        this.fogImage = this.fog.getContext('2d').createImageData(pathfinder.width, pathfinder.height);
+        this.fogVersion = -1;
+        this.updateCells();
+    }
+
+    // Repaint the given grid cells (all if omitted) after walls or terrain changed
+    updateCells(cells) {
+        const pf = this.pathfinder;
+        const data = this.terrainImage.data;
+        const paint = (cell) => {
+            const color = this.options.cellColor(cell);
+            data[cell * 4] = (color >> 16) & 255;
+            data[cell * 4 + 1] = (color >> 8) & 255;
+            data[cell * 4 + 2] = color & 255;
+            data[cell * 4 + 3] = 255;
+        };
+        if (cells) cells.forEach(paint);
+        else for (let cell = 0; cell < pf.width * pf.height; cell++) paint(cell);
+        this.terrain.getContext('2d').putImageData(this.terrainImage, 0, 0);
+    }
+
+    // footprint: the ground corners the camera sees ([{ x, z }], in order), or null;
+    // fog: the viewer's Visibility (visibility.js), or null for no fog. Units
+    // hidden in it should be left out of units.
+    draw(units, footprint, fog = null) {
+        const ctx = this.context;
+        const pf = this.pathfinder;
+        const scale = this.pixelsPerWorldUnit();
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.terrain, 0, 0, pf.width * pf.scale * scale, pf.height * pf.scale * scale);
+        if (fog) {
+            this.updateFog(fog);
+            ctx.drawImage(this.fog, 0, 0, pf.width * pf.scale * scale, pf.height * pf.scale * scale);
+        }
+
+        units.forEach(unit => {
+            const p = this.toMinimap(unit.position.x, unit.position.z);
+            ctx.fillStyle = this.options.unitColor(unit);
+            ctx.fillRect(p.x - 1.5, p.y - 1.5, 3, 3);
+        });
+
+        if (footprint) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            footprint.forEach((corner, i) => {
+                const p = this.toMinimap(corner.x, corner.z);
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.closePath();
+            ctx.stroke();
+        }
+    }
+
+    updateFog(fog) {
+        if (fog.version === this.fogVersion) return;
+        this.fogVersion = fog.version;
+        const data = this.fogImage.data;
+        for (let cell = 0; cell < fog.visible.length; cell++) {
+            data[cell * 4 + 3] = fog.visible[cell] ? 0 : fog.explored[cell] ? 110 : 230;
+        }
+        this.fog.getContext('2d').putImageData(this.fogImage, 0, 0);
+    }
+
+    pixelsPerWorldUnit() {
+        const pf = this.pathfinder;
+        return this.size / (Math.max(pf.width, pf.height) * pf.scale);
+    }
+
+    toMinimap(x, z) {
+        const pf = this.pathfinder;
+        const scale = this.pixelsPerWorldUnit();
+        return {
+            x: (x + pf.width * pf.scale / 2) * scale,
+            y: (z + pf.height * pf.scale / 2) * scale
+        };
+    }
+
+    // World point under the pointer, clamped onto the map
+    worldFromEvent(event) {
+        const pf = this.pathfinder;
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.pixelsPerWorldUnit();
+        const halfW = pf.width * pf.scale / 2;
+        const halfH = pf.height * pf.scale / 2;
+        const x = (event.clientX - rect.left) / scale - halfW;
+        const z = (event.clientY - rect.top) / scale - halfH;
+        return {
+            x: Math.min(Math.max(x, -halfW), halfW),
+            z: Math.min(Math.max(z, -halfH), halfH)
+        };
+    }
+}
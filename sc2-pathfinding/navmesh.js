@@ -0,0 +1,504 @@
+import { BinaryHeap } from './heap.js';
+
+// Navigation mesh built from a Pathfinder grid.
+// Walkable cells are merged into maximal rectangles. Each rectangle's border
+// is split wherever a neighbouring rectangle starts or ends, so adjacent
+// triangles always share a full edge, and then ear-clipped into triangles.
+// Queries run A* over the triangles and pull the string through the portal
+// edges with the Simple Stupid Funnel algorithm.
+// findPath has the same signature and return shape as Pathfinder.findPath.
+export class NavMesh {
+    constructor(pathfinder, options = {}) {
+        this.pathfinder = pathfinder;
+        this.createPoint = options.createPoint || pathfinder.createPoint;
+
+        this.vertices = []; // Flat [x, z, x, z, ...] in world space
+        this.triangles = []; // Flat [a, b, c, ...] vertex indices
+        this.neighbors = []; // Flat, per triangle edge (ab, bc, ca): triangle index or -1
+        this.rects = []; // { x, y, w, h, firstTri, triCount } in grid cells
+        this.cellOwner = new Int32Array(pathfinder.width * pathfinder.height).fill(-1);
+
+        this.build();
+
+        const count = this.triangleCount;
+        this.centroids = new Float64Array(count * 2);
+        for (let t = 0; t < count; t++) {
+            const [ax, az, bx, bz, cx, cz] = this.triangleCoords(t);
+            this.centroids[t * 2] = (ax + bx + cx) / 3;
+            this.centroids[t * 2 + 1] = (az + bz + cz) / 3;
+        }
+
+        // A* state, reused across queries
+        this.gScore = new Float64Array(count);
+        this.fScore = new Float64Array(count);
+        this.openOrder = new Uint32Array(count);
+        this.parent = new Int32Array(count);
+        this.visited = new Uint32Array(count);
+        this.closed = new Uint32Array(count);
+        this.entry = new Float64Array(count * 2); // Where the search entered each triangle
+        this.searchId = 0;
+        this.open = new BinaryHeap(Math.max(1, count), this.fScore, this.openOrder);
+    }
+
+    static fromPathfinder(pathfinder, options) {
+        return new NavMesh(pathfinder, options);
+    }
+
+    get triangleCount() {
+        return this.triangles.length / 3;
+    }
+
+    // --- Construction ---
+
+    build() {
+        const pf = this.pathfinder;
+        const { width, height } = pf;
+        const owner = this.cellOwner;
+
+        // 1. Greedy rectangle decomposition of walkable cells
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (pf.isBlocked(x, y) || owner[y * width + x] !== -1) continue;
+
+                let w = 1;
+                while (x + w < width && !pf.isBlocked(x + w, y) && owner[y * width + x + w] === -1) w++;
+
+                let h = 1;
+                grow: while (y + h < height) {
+                    for (let i = x; i < x + w; i++) {
+                        if (pf.isBlocked(i, y + h) || owner[(y + h) * width + i] !== -1) break grow;
+                    }
+                    h++;
+                }
+
+                const id = this.rects.length;
+                this.rects.push({ x, y, w, h, firstTri: 0, triCount: 0 });
+                for (let j = y; j < y + h; j++) {
+                    for (let i = x; i < x + w; i++) owner[j * width + i] = id;
+                }
+            }
+        }
+
+        // 2. Split each rectangle border at the ends of every neighbour overlap,
+        // then triangulate it
+        const vertexIds = new Map();
+        const vertex = (gx, gy) => {
+            const key = gx + ',' + gy;
+            let id = vertexIds.get(key);
+            if (id === undefined) {
+                id = this.vertices.length / 2;
+                vertexIds.set(key, id);
+                this.vertices.push((gx - width / 2) * pf.scale, (gy - height / 2) * pf.scale);
+            }
+            return id;
+        };
+
+        for (let r = 0; r < this.rects.length; r++) {
+            const rect = this.rects[r];
+            const x0 = rect.x, y0 = rect.y, x1 = rect.x + rect.w, y1 = rect.y + rect.h;
+
+            // Walk the border in grid space: top (y0) left->right, right (x1) top->bottom,
+            // bottom (y1) right->left, left (x0) bottom->top
+            const top = this.splitPoints(x0, x1, i => this.ownerAt(i, y0 - 1));
+            const right = this.splitPoints(y0, y1, j => this.ownerAt(x1, j));
+            const bottom = this.splitPoints(x0, x1, i => this.ownerAt(i, y1));
+            const left = this.splitPoints(y0, y1, j => this.ownerAt(x0 - 1, j));
+
+            const ring = [];
+            for (let k = 0; k < top.length - 1; k++) ring.push(vertex(top[k], y0));
+            for (let k = 0; k < right.length - 1; k++) ring.push(vertex(x1, right[k]));
+            for (let k = bottom.length - 1; k > 0; k--) ring.push(vertex(bottom[k], y1));
+            for (let k = left.length - 1; k > 0; k--) ring.push(vertex(x0, left[k]));
+
+            rect.firstTri = this.triangleCount;
+            this.triangulateConvex(ring);
+            rect.triCount = this.triangleCount - rect.firstTri;
+        }
+
+        // 3. Edge adjacency
+        this.neighbors = new Array(this.triangles.length).fill(-1);
+        const edges = new Map();
+        for (let t = 0; t < this.triangleCount; t++) {
+            for (let e = 0; e < 3; e++) {
+                const a = this.triangles[t * 3 + e];
+                const b = this.triangles[t * 3 + (e + 1) % 3];
+                const key = a < b ? a + ',' + b : b + ',' + a;
+                const other = edges.get(key);
+                if (other === undefined) {
+                    edges.set(key, t * 3 + e);
+                } else {
+                    this.neighbors[t * 3 + e] = Math.floor(other / 3);
+                    this.neighbors[other] = t;
+                }
+            }
+        }
+    }
+
+    // Ear-clip a convex ring whose sides may carry collinear split vertices.
+    // Only strictly convex corners are clipped so no triangle is degenerate, and
+    // every vertex stays on the rectangle border (no interior waypoints).
+    triangulateConvex(ring) {
+        const v = this.vertices;
+        const ids = ring.slice();
+        while (ids.length > 3) {
+            let best = -1;
+            let bestLength = Infinity;
+            for (let k = 0; k < ids.length; k++) {
+                const a = ids[(k + ids.length - 1) % ids.length] * 2;
+                const b = ids[k] * 2;
+                const c = ids[(k + 1) % ids.length] * 2;
+                if (Math.abs(cross(v[a], v[a + 1], v[b], v[b + 1], v[c], v[c + 1])) < 1e-9) continue;
+                // Prefer the shortest new diagonal to keep triangles compact
+                const length = Math.hypot(v[c] - v[a], v[c + 1] - v[a + 1]);
+                if (length < bestLength) {
+                    bestLength = length;
+                    best = k;
+                }
+            }
+            const prev = ids[(best + ids.length - 1) % ids.length];
+            const next = ids[(best + 1) % ids.length];
+            this.triangles.push(prev, ids[best], next);
+            ids.splice(best, 1);
+        }
+        this.triangles.push(ids[0], ids[1], ids[2]);
+    }
+
+    ownerAt(x, y) {
+        if (!this.pathfinder.isValid(x, y)) return -1;
+        return this.cellOwner[y * this.pathfinder.width + x];
+    }
+
+    // Positions along [from, to] where the rectangle on the other side changes
+    splitPoints(from, to, ownerOf) {
+        const points = [from];
+        for (let i = from + 1; i < to; i++) {
+            if (ownerOf(i) !== ownerOf(i - 1)) points.push(i);
+        }
+        points.push(to);
+        return points;
+    }
+
+    triangleCoords(t) {
+        const v = this.vertices;
+        const a = this.triangles[t * 3] * 2, b = this.triangles[t * 3 + 1] * 2, c = this.triangles[t * 3 + 2] * 2;
+        return [v[a], v[a + 1], v[b], v[b + 1], v[c], v[c + 1]];
+    }
+
+    // Triangle containing a world position, or -1 if it is off the mesh
+    findTriangle(x, z) {
+        const pf = this.pathfinder;
+        const r = this.ownerAt(pf.toGridX(x), pf.toGridY(z));
+        if (r === -1) return -1;
+
+        const rect = this.rects[r];
+        let best = rect.firstTri;
+        let bestScore = -Infinity;
+        for (let t = rect.firstTri; t < rect.firstTri + rect.triCount; t++) {
+            const [ax, az, bx, bz, cx, cz] = this.triangleCoords(t);
+            // Smallest signed edge distance: >= 0 means inside. Keep the best
+            // candidate so points on shared edges still resolve.
+            const score = Math.min(
+                cross(ax, az, bx, bz, x, z),
+                cross(bx, bz, cx, cz, x, z),
+                cross(cx, cz, ax, az, x, z)
+            ) * orientation(ax, az, bx, bz, cx, cz);
+            if (score >= 0) return t;
+            if (score > bestScore) {
+                bestScore = score;
+                best = t;
+            }
+        }
+        return best;
+    }
+
+    // --- Queries ---
+
+    // options.report and options.diagnostics work as in Pathfinder.findPath
+    // (see recordDiagnostics). Off-mesh endpoints snap to the centre of the
+    // nearest walkable grid cell.
+    findPath(startX, startZ, endX, endZ, options = {}) {
+        const diagnostics = options.diagnostics || null;
+        const started = diagnostics ? performance.now() : 0;
+        const start = this.resolvePoint(startX, startZ);
+        const end = this.resolvePoint(endX, endZ);
+
+        const report = options.report;
+        if (report) {
+            const pf = this.pathfinder;
+            report.start = start && { x: pf.toGridX(start.x), y: pf.toGridY(start.z) };
+            report.end = end && { x: pf.toGridX(end.x), y: pf.toGridY(end.z) };
+            report.startAdjusted = !!(start && start.adjusted);
+            report.endAdjusted = !!(end && end.adjusted);
+            report.endPoint = end && this.createPoint(end.x, end.z);
+        }
+        if (!start || !end) return this.pathfinder.recordDiagnostics(diagnostics, started, null, null, []);
+
+        const corridor = this.searchTriangles(start.tri, end.tri, start.x, start.z, end.x, end.z);
+        if (!corridor) return this.recordDiagnostics(diagnostics, started, null, []);
+
+        const points = this.stringPull(corridor, start.x, start.z, end.x, end.z);
+        // Stuck inside a wall: the first leg walks out to the resolved point
+        if (start.adjusted) points.unshift({ x: startX, z: startZ });
+        const path = points.map(p => this.createPoint(p.x, p.z));
+        return this.recordDiagnostics(diagnostics, started, corridor, path, end);
+    }
+
+    // Pathfinder.recordDiagnostics for a triangle search: iterations counts
+    // triangles, expanded holds the grid cells of every rectangle with a
+    // closed triangle (at that triangle's cost), and rawPath the points where
+    // the search entered each triangle of the corridor, before the funnel
+    recordDiagnostics(diagnostics, started, corridor, path, end = null) {
+        if (!diagnostics) return path;
+        const pf = this.pathfinder;
+        const rawPath = corridor && [
+            ...corridor.map(t => this.createPoint(this.entry[t * 2], this.entry[t * 2 + 1])),
+            this.createPoint(end.x, end.z)
+        ];
+        return pf.recordDiagnostics(diagnostics, started, 'navmesh', rawPath, path, () => {
+            const expanded = [];
+            const expandedCost = [];
+            let closed = 0;
+            for (const rect of this.rects) {
+                let cost = Infinity;
+                for (let t = rect.firstTri; t < rect.firstTri + rect.triCount; t++) {
+                    if (this.closed[t] !== this.searchId) continue;
+                    closed++;
+                    cost = Math.min(cost, this.gScore[t]);
+                }
+                if (cost === Infinity) continue;
+                for (let y = rect.y; y < rect.y + rect.h; y++) {
+                    for (let x = rect.x; x < rect.x + rect.w; x++) {
+                        expanded.push(y * pf.width + x);
+                        expandedCost.push(cost);
+                    }
+                }
+            }
+            // The goal triangle is taken off the open list but never closed
+            return { expanded, expandedCost, iterations: closed + (corridor ? 1 : 0) };
+        });
+    }
+
+    // { x, z, tri, adjusted } for a world position, or null
+    resolvePoint(x, z) {
+        const tri = this.findTriangle(x, z);
+        if (tri !== -1) return { x, z, tri, adjusted: false };
+
+        const pf = this.pathfinder;
+        const cell = pf.resolveCell(pf.toGridX(x), pf.toGridY(z));
+        if (!cell) return null;
+        const centre = pf.cellToWorld(cell.x, cell.y);
+        return { x: centre.x, z: centre.z, tri: this.findTriangle(centre.x, centre.z), adjusted: true };
+    }
+
+    // A* over triangle adjacency. Returns the triangle corridor, or null.
+    // Each triangle is measured at the point where the search entered it: the
+    // spot on the shared edge that minimises the detour towards the goal. Long
+    // rectangle strips make centroid distances badly misleading.
+    searchTriangles(startTri, endTri, startX, startZ, endX, endZ) {
+        const { gScore, fScore, openOrder, parent, visited, closed, open, entry } = this;
+
+        this.searchId++;
+        if (this.searchId === 0xffffffff) {
+            visited.fill(0);
+            closed.fill(0);
+            this.searchId = 1;
+        }
+        const id = this.searchId;
+        open.clear();
+
+        let sequence = 0;
+        visited[startTri] = id;
+        gScore[startTri] = 0;
+        fScore[startTri] = Math.hypot(endX - startX, endZ - startZ);
+        parent[startTri] = -1;
+        entry[startTri * 2] = startX;
+        entry[startTri * 2 + 1] = startZ;
+        openOrder[startTri] = sequence++;
+        open.push(startTri);
+
+        const point = { x: 0, z: 0 };
+
+        while (!open.isEmpty()) {
+            const current = open.pop();
+            if (current === endTri) {
+                const corridor = [];
+                for (let t = current; t !== -1; t = parent[t]) corridor.push(t);
+                return corridor.reverse();
+            }
+            closed[current] = id;
+
+            const cx = entry[current * 2];
+            const cz = entry[current * 2 + 1];
+
+            for (let e = 0; e < 3; e++) {
+                const next = this.neighbors[current * 3 + e];
+                if (next === -1 || closed[next] === id) continue;
+
+                if (next === endTri) {
+                    point.x = endX;
+                    point.z = endZ;
+                } else {
+                    this.edgeCrossing(current, e, cx, cz, endX, endZ, point);
+                }
+                const g = gScore[current] + Math.hypot(point.x - cx, point.z - cz);
+
+                if (visited[next] !== id || g < gScore[next]) {
+                    const isNew = visited[next] !== id;
+                    visited[next] = id;
+                    gScore[next] = g;
+                    fScore[next] = g + Math.hypot(endX - point.x, endZ - point.z);
+                    parent[next] = current;
+                    entry[next * 2] = point.x;
+                    entry[next * 2 + 1] = point.z;
+                    if (isNew) {
+                        openOrder[next] = sequence++;
+                        open.push(next);
+                    } else {
+                        open.decreaseKey(next);
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    // Point on edge `e` of triangle `t` minimising |from -> p| + |p -> to|:
+    // where from->to crosses the edge, else the better endpoint
+    edgeCrossing(t, e, fromX, fromZ, toX, toZ, out) {
+        const v = this.vertices;
+        const a = this.triangles[t * 3 + e] * 2;
+        const b = this.triangles[t * 3 + (e + 1) % 3] * 2;
+        const ax = v[a], az = v[a + 1], bx = v[b], bz = v[b + 1];
+
+        const dx = toX - fromX, dz = toZ - fromZ;
+        const ex = bx - ax, ez = bz - az;
+        const denom = dx * ez - dz * ex;
+        if (Math.abs(denom) > 1e-12) {
+            const s = ((ax - fromX) * dz - (az - fromZ) * dx) / denom; // Along the edge
+            const u = ((ax - fromX) * ez - (az - fromZ) * ex) / denom; // Along from->to
+            if (s >= 0 && s <= 1 && u >= 0) {
+                out.x = ax + ex * s;
+                out.z = az + ez * s;
+                return out;
+            }
+        }
+
+        const viaA = Math.hypot(ax - fromX, az - fromZ) + Math.hypot(toX - ax, toZ - az);
+        const viaB = Math.hypot(bx - fromX, bz - fromZ) + Math.hypot(toX - bx, toZ - bz);
+        out.x = viaA <= viaB ? ax : bx;
+        out.z = viaA <= viaB ? az : bz;
+        return out;
+    }
+
+    // Shared edge between two adjacent triangles as { left, right }, seen when
+    // travelling from `from` into `to`
+    portal(from, to) {
+        const v = this.vertices;
+        for (let e = 0; e < 3; e++) {
+            if (this.neighbors[from * 3 + e] !== to) continue;
+            const a = this.triangles[from * 3 + e];
+            const b = this.triangles[from * 3 + (e + 1) % 3];
+            const pa = { x: v[a * 2], z: v[a * 2 + 1] };
+            const pb = { x: v[b * 2], z: v[b * 2 + 1] };
+            const cx = this.centroids[from * 2], cz = this.centroids[from * 2 + 1];
+            // `from` winds consistently, so a is on one side and b on the other
+            return cross(cx, cz, pa.x, pa.z, pb.x, pb.z) > 0
+                ? { left: pb, right: pa }
+                : { left: pa, right: pb };
+        }
+        return null;
+    }
+
+    // Simple Stupid Funnel Algorithm (Mononen) over the corridor's portal edges
+    stringPull(corridor, startX, startZ, endX, endZ) {
+        const start = { x: startX, z: startZ };
+        const end = { x: endX, z: endZ };
+
+        const edges = [];
+        for (let i = 0; i < corridor.length - 1; i++) {
+            edges.push(this.portal(corridor[i], corridor[i + 1]));
+        }
+        // An endpoint sitting exactly on a portal edge (cell centres on a diagonal
+        // do) would make the funnel 180 degrees wide, so start past it
+        while (edges.length > 0 && onSegment(start, edges[0])) edges.shift();
+        while (edges.length > 0 && onSegment(end, edges[edges.length - 1])) edges.pop();
+
+        const portals = [{ left: start, right: start }, ...edges, { left: end, right: end }];
+
+        const path = [start];
+        let apex = start;
+        let portalLeft = start;
+        let portalRight = start;
+        let apexIndex = 0, leftIndex = 0, rightIndex = 0;
+
+        for (let i = 1; i < portals.length; i++) {
+            const { left, right } = portals[i];
+
+            // Tighten the right side of the funnel
+            if (triarea2(apex, portalRight, right) <= 0) {
+                if (samePoint(apex, portalRight) || triarea2(apex, portalLeft, right) > 0) {
+                    portalRight = right;
+                    rightIndex = i;
+                } else {
+                    // Right crossed over left: left corner becomes a waypoint
+                    apex = portalLeft;
+                    apexIndex = leftIndex;
+                    pushUnique(path, apex);
+                    portalLeft = portalRight = apex;
+                    leftIndex = rightIndex = apexIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+
+            // Tighten the left side of the funnel
+            if (triarea2(apex, portalLeft, left) >= 0) {
+                if (samePoint(apex, portalLeft) || triarea2(apex, portalRight, left) < 0) {
+                    portalLeft = left;
+                    leftIndex = i;
+                } else {
+                    // Left crossed over right: right corner becomes a waypoint
+                    apex = portalRight;
+                    apexIndex = rightIndex;
+                    pushUnique(path, apex);
+                    portalLeft = portalRight = apex;
+                    leftIndex = rightIndex = apexIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+        }
+
+        pushUnique(path, end);
+        return path;
+    }
+}
+
+// Twice the signed area of (a, b, c), in the funnel's left/right convention
+function triarea2(a, b, c) {
+    const ax = b.x - a.x, az = b.z - a.z;
+    const bx = c.x - a.x, bz = c.z - a.z;
+    return bx * az - ax * bz;
+}
+
+// z-component of (b - a) x (p - a)
+function cross(ax, az, bx, bz, px, pz) {
+    return (bx - ax) * (pz - az) - (bz - az) * (px - ax);
+}
+
+function orientation(ax, az, bx, bz, cx, cz) {
+    return cross(ax, az, bx, bz, cx, cz) >= 0 ? 1 : -1;
+}
+
+function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.z - b.z) < 1e-6;
+}
+
+function onSegment(p, { left, right }) {
+    if (Math.abs(triarea2(left, right, p)) > 1e-9) return false;
+    return (p.x - left.x) * (p.x - right.x) + (p.z - left.z) * (p.z - right.z) <= 1e-9;
+}
+
+function pushUnique(path, p) {
+    if (!samePoint(path[path.length - 1], p)) path.push(p);
+}
@@ -0,0 +1,370 @@
+// Optimal Reciprocal Collision Avoidance (ORCA), after the RVO2 library
+// (van den Berg et al.). Every neighbour and nearby wall segment contributes a
+// half-plane of allowed velocities; a small 2D linear program picks the
+// allowed velocity closest to the one the agent wants. Plain numbers only, so
+// it runs without Three.js. Vectors are { x, y } with y standing for world z.
+
+const EPSILON = 1e-5;
+
+// New velocity for one agent.
+// agent: { x, z, vx, vz, radius, maxSpeed, prefVx, prefVz }
+// neighbors: [{ x, z, vx, vz, radius }] (not including the agent)
+// segments: flat [x1, z1, x2, z2, ...] wall edges, blocked side on the left (see gridObstacleSegments)
+// options: timeHorizon (s, other agents), timeHorizonObst (s, walls), timeStep (s)
+export function computeOrcaVelocity(agent, neighbors, segments, options = {}) {
+    const timeHorizon = options.timeHorizon || 2;
+    const timeHorizonObst = options.timeHorizonObst || 1;
+    const timeStep = options.timeStep || 1 / 60;
+    const radius = agent.radius;
+    const velocity = { x: agent.vx, y: agent.vz };
+    const lines = [];
+
+    // 1. Static obstacles (one-sided: the agent alone has to avoid them)
+    const invTimeHorizonObst = 1 / timeHorizonObst;
+    const radiusSq = radius * radius;
+    for (let k = 0; k < segments.length; k += 4) {
+        const p1 = { x: segments[k], y: segments[k + 1] };
+        const p2 = { x: segments[k + 2], y: segments[k + 3] };
+        const rel1 = { x: p1.x - agent.x, y: p1.y - agent.z };
+        const rel2 = { x: p2.x - agent.x, y: p2.y - agent.z };
+
+        // Skip walls whose velocity obstacle earlier lines already exclude
+        let covered = false;
+        for (const line of lines) {
+            if (det(sub(scale(rel1, invTimeHorizonObst), line.point), line.direction) - invTimeHorizonObst * radius >= -EPSILON &&
+                det(sub(scale(rel2, invTimeHorizonObst), line.point), line.direction) - invTimeHorizonObst * radius >= -EPSILON) {
+                covered = true;
+                break;
+            }
+        }
+        if (covered) continue;
+
+        const obstacleVector = sub(p2, p1);
+        const unitDir = normalize(obstacleVector);
+        const distSq1 = absSq(rel1);
+        const distSq2 = absSq(rel2);
+        const s = -dot(rel1, obstacleVector) / absSq(obstacleVector);
+        const distSqLine = absSq(sub(scale(rel1, -1), scale(obstacleVector, s)));
+
+        // Already touching the wall: only velocities leading away are allowed
+        if (s < 0 && distSq1 <= radiusSq) {
+            lines.push({ point: { x: 0, y: 0 }, direction: normalize({ x: -rel1.y, y: rel1.x }) });
+            continue;
+        }
+        if (s > 1 && distSq2 <= radiusSq) {
+            lines.push({ point: { x: 0, y: 0 }, direction: normalize({ x: -rel2.y, y: rel2.x }) });
+            continue;
+        }
+        if (s >= 0 && s < 1 && distSqLine <= radiusSq) {
+            lines.push({ point: { x: 0, y: 0 }, direction: scale(unitDir, -1) });
+            continue;
+        }
+
+        // No collision: the velocity obstacle is bounded by two legs and a cut-off
+        // line. Seen end-on, a single vertex defines both legs.
+        let left = p1;
+        let right = p2;
+        let leftLeg, rightLeg;
+        if (s < 0 && distSqLine <= radiusSq) {
+            right = p1;
+            leftLeg = legLeft(rel1, distSq1, radius);
+            rightLeg = legRight(rel1, distSq1, radius);
+        } else if (s > 1 && distSqLine <= radiusSq) {
+            left = p2;
+            leftLeg = legLeft(rel2, distSq2, radius);
+            rightLeg = legRight(rel2, distSq2, radius);
+        } else {
+            leftLeg = legLeft(rel1, distSq1, radius);
+            rightLeg = legRight(rel2, distSq2, radius);
+        }
+        const single = left === right;
+
+        const leftCutoff = scale({ x: left.x - agent.x, y: left.y - agent.z }, invTimeHorizonObst);
+        const rightCutoff = scale({ x: right.x - agent.x, y: right.y - agent.z }, invTimeHorizonObst);
+        const cutoffVec = sub(rightCutoff, leftCutoff);
+
+        // Project the current velocity onto the velocity obstacle
+        const t = single ? 0.5 : dot(sub(velocity, leftCutoff), cutoffVec) / absSq(cutoffVec);
+        const tLeft = dot(sub(velocity, leftCutoff), leftLeg);
+        const tRight = dot(sub(velocity, rightCutoff), rightLeg);
+
+        if ((t < 0 && tLeft < 0) || (single && tLeft < 0 && tRight < 0)) {
+            // Left cut-off circle
+            const unitW = normalize(sub(velocity, leftCutoff));
+            lines.push({
+                direction: { x: unitW.y, y: -unitW.x },
+                point: add(leftCutoff, scale(unitW, radius * invTimeHorizonObst))
+            });
+            continue;
+        }
+        if (t > 1 && tRight < 0) {
+            // Right cut-off circle
+            const unitW = normalize(sub(velocity, rightCutoff));
+            lines.push({
+                direction: { x: unitW.y, y: -unitW.x },
+                point: add(rightCutoff, scale(unitW, radius * invTimeHorizonObst))
+            });
+            continue;
+        }
+
+        // Whichever of cut-off line, left leg and right leg is closest
+        const distSqCutoff = (t < 0 || t > 1 || single) ? Infinity : absSq(sub(velocity, add(leftCutoff, scale(cutoffVec, t))));
+        const distSqLeft = tLeft < 0 ? Infinity : absSq(sub(velocity, add(leftCutoff, scale(leftLeg, tLeft))));
+        const distSqRight = tRight < 0 ? Infinity : absSq(sub(velocity, add(rightCutoff, scale(rightLeg, tRight))));
+
+        let direction, origin;
+        if (distSqCutoff <= distSqLeft && distSqCutoff <= distSqRight) {
+            direction = scale(unitDir, -1);
+            origin = leftCutoff;
+        } else if (distSqLeft <= distSqRight) {
+            direction = leftLeg;
+            origin = leftCutoff;
+        } else {
+            direction = scale(rightLeg, -1);
+            origin = rightCutoff;
+        }
+        lines.push({
+            direction,
+            point: add(origin, scale({ x: -direction.y, y: direction.x }, radius * invTimeHorizonObst))
+        });
+    }
+    const obstacleLines = lines.length;
+
+    // 2. Other agents (reciprocal: each side takes half the correction)
+    const invTimeHorizon = 1 / timeHorizon;
+    for (const other of neighbors) {
+        const relativePosition = { x: other.x - agent.x, y: other.z - agent.z };
+        const relativeVelocity = { x: agent.vx - other.vx, y: agent.vz - other.vz };
+        const distSq = absSq(relativePosition);
+        const combinedRadius = radius + other.radius;
+        const combinedRadiusSq = combinedRadius * combinedRadius;
+        let direction, u;
+
+        if (distSq > combinedRadiusSq) {
+            // Vector from cut-off centre to relative velocity
+            const w = sub(relativeVelocity, scale(relativePosition, invTimeHorizon));
+            const wLengthSq = absSq(w);
+            const dotProduct = dot(w, relativePosition);
+
+            if (dotProduct < 0 && dotProduct * dotProduct > combinedRadiusSq * wLengthSq) {
+                // Cut-off circle
+                const wLength = Math.sqrt(wLengthSq);
+                const unitW = scale(w, 1 / wLength);
+                direction = { x: unitW.y, y: -unitW.x };
+                u = scale(unitW, combinedRadius * invTimeHorizon - wLength);
+            } else {
+                // Legs
+                if (det(relativePosition, w) > 0) {
+                    direction = legLeft(relativePosition, distSq, combinedRadius);
+                } else {
+                    direction = scale(legRight(relativePosition, distSq, combinedRadius), -1);
+                }
+                u = sub(scale(direction, dot(relativeVelocity, direction)), relativeVelocity);
+            }
+        } else {
+            // Overlapping: resolve within one time step
+            const invTimeStep = 1 / timeStep;
+            const w = sub(relativeVelocity, scale(relativePosition, invTimeStep));
+            const wLength = Math.hypot(w.x, w.y) || EPSILON;
+            const unitW = scale(w, 1 / wLength);
+            direction = { x: unitW.y, y: -unitW.x };
+            u = scale(unitW, combinedRadius * invTimeStep - wLength);
+        }
+        lines.push({ direction, point: add(velocity, scale(u, 0.5)) });
+    }
+
+    // 3. Closest allowed velocity to the preferred one
+    const preferred = { x: agent.prefVx, y: agent.prefVz };
+    const result = { x: 0, y: 0 };
+    const failed = linearProgram2(lines, agent.maxSpeed, preferred, false, result);
+    if (failed < lines.length) linearProgram3(lines, obstacleLines, failed, agent.maxSpeed, result);
+    return { x: result.x, z: result.y };
+}
+
+// Wall edges around (x, z) within range (world units) as a flat segment list
+// for computeOrcaVelocity. Edges between a blocked and a free cell (the map
+// edge counts as blocked) are merged along each grid line and oriented so the
+// blocked side is on the left; edges facing away from the point are dropped.
+export function gridObstacleSegments(pathfinder, x, z, range, out = []) {
+    out.length = 0;
+    const pf = pathfinder;
+    const blocked = (gx, gy) => !pf.isValid(gx, gy) || pf.isBlocked(gx, gy);
+    const toWorldX = (gx) => (gx - pf.width / 2) * pf.scale;
+    const toWorldZ = (gy) => (gy - pf.height / 2) * pf.scale;
+    const gx0 = pf.toGridX(x - range), gx1 = pf.toGridX(x + range);
+    const gy0 = pf.toGridY(z - range), gy1 = pf.toGridY(z + range);
+    const px = x / pf.scale + pf.width / 2;
+    const py = z / pf.scale + pf.height / 2;
+
+    // Horizontal edges on grid line y (between rows y - 1 and y)
+    for (let y = gy0; y <= gy1 + 1; y++) {
+        let runStart = 0, runSide = 0;
+        for (let gx = gx0; gx <= gx1 + 1; gx++) {
+            // +1: the free side is below (y - 1), -1: above, 0: no edge here
+            const a = gx <= gx1 && blocked(gx, y - 1);
+            const b = gx <= gx1 && blocked(gx, y);
+            const side = a === b ? 0 : (b ? 1 : -1);
+            if (side === runSide) continue;
+            // Close the run; keep it only if the point is on the free side
+            if (runSide === 1 && py < y) out.push(toWorldX(runStart), toWorldZ(y), toWorldX(gx), toWorldZ(y));
+            if (runSide === -1 && py > y) out.push(toWorldX(gx), toWorldZ(y), toWorldX(runStart), toWorldZ(y));
+            runStart = gx;
+            runSide = side;
+        }
+    }
+
+    // Vertical edges on grid line x (between columns x - 1 and x)
+    for (let x = gx0; x <= gx1 + 1; x++) {
+        let runStart = 0, runSide = 0;
+        for (let gy = gy0; gy <= gy1 + 1; gy++) {
+            // +1: the free side is the right (x), -1: the left (x - 1)
+            const a = gy <= gy1 && blocked(x - 1, gy);
+            const b = gy <= gy1 && blocked(x, gy);
+            const side = a === b ? 0 : (a ? 1 : -1);
+            if (side === runSide) continue;
+            if (runSide === 1 && px > x) out.push(toWorldX(x), toWorldZ(runStart), toWorldX(x), toWorldZ(gy));
+            if (runSide === -1 && px < x) out.push(toWorldX(x), toWorldZ(gy), toWorldX(x), toWorldZ(runStart));
+            runStart = gy;
+            runSide = side;
+        }
+    }
+    return out;
+}
+
+// --- Linear programs (RVO2) ---
+
+// Best point on line lineNo that satisfies lines 0..lineNo-1 and the speed limit
+function linearProgram1(lines, lineNo, radius, optVelocity, directionOpt, result) {
+    const line = lines[lineNo];
+    const dotProduct = dot(line.point, line.direction);
+    const discriminant = dotProduct * dotProduct + radius * radius - absSq(line.point);
+    if (discriminant < 0) return false; // Speed limit rules the whole line out
+
+    const sqrtDiscriminant = Math.sqrt(discriminant);
+    let tLeft = -dotProduct - sqrtDiscriminant;
+    let tRight = -dotProduct + sqrtDiscriminant;
+
+    for (let i = 0; i < lineNo; i++) {
+        const denominator = det(line.direction, lines[i].direction);
+        const numerator = det(lines[i].direction, sub(line.point, lines[i].point));
+        if (Math.abs(denominator) <= EPSILON) {
+            // (Almost) parallel
+            if (numerator < 0) return false;
+            continue;
+        }
+        const t = numerator / denominator;
+        if (denominator >= 0) tRight = Math.min(tRight, t);
+        else tLeft = Math.max(tLeft, t);
+        if (tLeft > tRight) return false;
+    }
+
+    let t;
+    if (directionOpt) {
+        t = dot(optVelocity, line.direction) > 0 ? tRight : tLeft;
+    } else {
+        t = Math.min(Math.max(dot(line.direction, sub(optVelocity, line.point)), tLeft), tRight);
+    }
+    result.x = line.point.x + t * line.direction.x;
+    result.y = line.point.y + t * line.direction.y;
+    return true;
+}
+
+// Returns lines.length on success, else the index of the line that failed
+function linearProgram2(lines, radius, optVelocity, directionOpt, result) {
+    if (directionOpt) {
+        result.x = optVelocity.x * radius;
+        result.y = optVelocity.y * radius;
+    } else if (absSq(optVelocity) > radius * radius) {
+        const n = normalize(optVelocity);
+        result.x = n.x * radius;
+        result.y = n.y * radius;
+    } else {
+        result.x = optVelocity.x;
+        result.y = optVelocity.y;
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        if (det(lines[i].direction, sub(lines[i].point, result)) > 0) {
+            const x = result.x, y = result.y;
+            if (!linearProgram1(lines, i, radius, optVelocity, directionOpt, result)) {
+                result.x = x;
+                result.y = y;
+                return i;
+            }
+        }
+    }
+    return lines.length;
+}
+
+// Infeasible: keep the wall lines hard and violate the agent lines as little as possible
+function linearProgram3(lines, obstacleLines, beginLine, radius, result) {
+    let distance = 0;
+    for (let i = beginLine; i < lines.length; i++) {
+        if (det(lines[i].direction, sub(lines[i].point, result)) <= distance) continue;
+
+        const projLines = lines.slice(0, obstacleLines);
+        for (let j = obstacleLines; j < i; j++) {
+            const determinant = det(lines[i].direction, lines[j].direction);
+            let point;
+            if (Math.abs(determinant) <= EPSILON) {
+                if (dot(lines[i].direction, lines[j].direction) > 0) continue; // Same direction
+                point = scale(add(lines[i].point, lines[j].point), 0.5);
+            } else {
+                const t = det(lines[j].direction, sub(lines[i].point, lines[j].point)) / determinant;
+                point = add(lines[i].point, scale(lines[i].direction, t));
+            }
+            projLines.push({ point, direction: normalize(sub(lines[j].direction, lines[i].direction)) });
+        }
+
+        const x = result.x, y = result.y;
+        const optDirection = { x: -lines[i].direction.y, y: lines[i].direction.x };
+        if (linearProgram2(projLines, radius, optDirection, true, result) < projLines.length) {
+            // Floating point trouble only; keep the previous result
+            result.x = x;
+            result.y = y;
+        }
+        distance = det(lines[i].direction, sub(lines[i].point, result));
+    }
+}
+
+// --- Vector helpers ---
+
+// Leg directions of the cone from the origin tangent to a disc at rel
+function legLeft(rel, distSq, radius) {
+    const leg = Math.sqrt(Math.max(distSq - radius * radius, 0));
+    return { x: (rel.x * leg - rel.y * radius) / distSq, y: (rel.x * radius + rel.y * leg) / distSq };
+}
+
+function legRight(rel, distSq, radius) {
+    const leg = Math.sqrt(Math.max(distSq - radius * radius, 0));
+    return { x: (rel.x * leg + rel.y * radius) / distSq, y: (-rel.x * radius + rel.y * leg) / distSq };
+}
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y };
+}
+
+function sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y };
+}
+
+function scale(a, s) {
+    return { x: a.x * s, y: a.y * s };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+}
+
+function det(a, b) {
+    return a.x * b.y - a.y * b.x;
+}
+
+function absSq(a) {
+    return a.x * a.x + a.y * a.y;
+}
+
+function normalize(a) {
+    const length = Math.hypot(a.x, a.y);
+    return length > 0 ? { x: a.x / length, y: a.y / length } : { x: 0, y: 0 };
+}
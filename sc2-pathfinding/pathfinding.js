@@ -1,125 +1,413 @@
-import * as THREE from 'three';
+import { BinaryHeap } from './heap.js';
+import { jumpPointSearch } from './jps.js';
+import { ClearanceMap } from './clearance.js';
+
+// 8 Directions (including diagonals), shared by every search over the grid
+export const NEIGHBORS = [
+    { x: 0, y: -1 }, { x: 1, y: -1 }, { x: 1, y: 0 }, { x: 1, y: 1 },
+    { x: 0, y: 1 }, { x: -1, y: 1 }, { x: -1, y: 0 }, { x: -1, y: -1 }
+];
+export const DIAGONAL_COST = 1.414;
 
 // A generic grid-based A* Pathfinder with String Pulling (Funnel Algorithm)
 export class Pathfinder {
-    constructor(width, height, scale = 1) {
+    constructor(width, height, scale = 1, options = {}) {
         this.width = width;
         this.height = height;
         this.scale = scale;
         this.grid = new Uint8Array(width * height); // 0 = empty, 1 = obstacle
+
+        // Terrain cost multiplier per cell: 1 = normal ground, < 1 cheaper (roads),
+        // > 1 dearer (mud). Stepping between two cells costs the step length times
+        // the average of their costs.
+        this.costs = new Float32Array(width * height).fill(1);
+        this.weightedCells = 0; // Cells with a cost other than 1
+        this.minCost = 1; // Lowest cost ever painted, keeps the heuristic admissible
+
+        // Waypoint factory. Plain {x, y, z} objects keep this module free of Three.js
+        // so it runs under Node; the renderer passes (x, z) => new THREE.Vector3(x, 0, z).
+        this.createPoint = options.createPoint || ((x, z) => ({ x, y: 0, z }));
+
+        // Default search strategy: 'astar' or 'jps' (Jump Point Search).
+        // Can be overridden per query through findPath's options.
+        this.algorithm = options.algorithm || 'astar';
+
+        // Search state, indexed by cell (y * width + x) and reused across queries.
+        // Cells are only trusted when their stamp matches the current search id,
+        // so nothing has to be cleared between searches.
+        const size = width * height;
+        this.gScore = new Float64Array(size);
+        this.fScore = new Float64Array(size);
+        this.openOrder = new Uint32Array(size); // Insertion sequence, breaks F ties FIFO
+        this.parent = new Int32Array(size);
+        this.visited = new Uint32Array(size);
+        this.closed = new Uint32Array(size);
+        this.searchId = 0;
+        this.searchClearance = 0; // Minimum clearance (cells) for the running search
+        this.open = new BinaryHeap(size, this.fScore, this.openOrder);
+
+        // Distance-to-wall layer used for agent radius queries
+        this.clearance = new ClearanceMap(this, options.maxClearance);
+
+        // Change notification (see addEventListener)
+        this.listeners = new Map();
+        this.pendingCells = [];
+        this.batchDepth = 0;
     }
 
     // Set a cell as obstacle
     setObstacle(x, z, isObstacle) {
-        const gx = Math.floor(x / this.scale + this.width / 2);
-        const gz = Math.floor(z / this.scale + this.height / 2);
+        const gx = this.toGridX(x);
+        const gz = this.toGridY(z);
         if (gx >= 0 && gx < this.width && gz >= 0 && gz < this.height) {
-            this.grid[gz * this.width + gx] = isObstacle ? 1 : 0;
+            const i = gz * this.width + gx;
+            const value = isObstacle ? 1 : 0;
+            if (this.grid[i] === value) return;
+            this.grid[i] = value;
+            this.clearance.markDirty(gx, gz);
+            this.pendingCells.push(i);
+            if (this.batchDepth === 0) this.flushChanges();
+        }
+    }
+
+    // Set the terrain cost multiplier of a cell. It must be finite and > 0:
+    // A* divides its heuristic by minCost and adds costs into gScore.
+    setCost(x, z, cost) {
+        if (!Number.isFinite(cost) || cost <= 0) throw new Error(`Invalid terrain cost: ${cost}`);
+        const gx = this.toGridX(x);
+        const gz = this.toGridY(z);
+        if (gx >= 0 && gx < this.width && gz >= 0 && gz < this.height) {
+            const i = gz * this.width + gx;
+            if (this.costs[i] === cost) return;
+            if (this.costs[i] === 1) this.weightedCells++;
+            if (cost === 1) this.weightedCells--;
+            this.costs[i] = cost;
+            this.minCost = Math.min(this.minCost, cost);
+            this.pendingCells.push(i);
+            if (this.batchDepth === 0) this.flushChanges();
+        }
+    }
+
+    // Terrain cost multiplier at a world position (1 off the map)
+    getCostAt(x, z) {
+        const gx = this.toGridX(x);
+        const gz = this.toGridY(z);
+        if (gx < 0 || gx >= this.width || gz < 0 || gz >= this.height) return 1;
+        return this.costs[gz * this.width + gx];
+    }
+
+    // Cost of a single step between neighbouring cells a and b
+    stepCost(a, b, diagonal) {
+        return (diagonal ? DIAGONAL_COST : 1) * (this.costs[a] + this.costs[b]) * 0.5;
+    }
+
+    // --- Change Notification ---
+    // 'change' events carry { type, cells, bounds }: the indices of the cells
+    // whose obstacle flag or terrain cost changed and their bounding box in grid
+    // coordinates.
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const list = this.listeners.get(type);
+        if (!list) return;
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    dispatchEvent(event) {
+        const list = this.listeners.get(event.type);
+        if (!list) return;
+        for (const listener of list.slice()) listener(event);
+    }
+
+    // Run fn and report all its setObstacle/setCost calls as a single 'change' event
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            fn();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) this.flushChanges();
         }
     }
 
+    flushChanges() {
+        if (this.pendingCells.length === 0) return;
+        const cells = this.pendingCells;
+        this.pendingCells = [];
+
+        const bounds = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+        for (const i of cells) {
+            const x = i % this.width;
+            const y = Math.floor(i / this.width);
+            bounds.x0 = Math.min(bounds.x0, x);
+            bounds.y0 = Math.min(bounds.y0, y);
+            bounds.x1 = Math.max(bounds.x1, x);
+            bounds.y1 = Math.max(bounds.y1, y);
+        }
+        this.dispatchEvent({ type: 'change', cells, bounds });
+    }
+
+    // True if any segment of the polyline passes within radius (world units)
+    // of one of the given cells
+    pathCrossesCells(points, cells, radius = 0) {
+        const r = radius / this.scale;
+        for (let k = 1; k < points.length; k++) {
+            const ax = points[k - 1].x / this.scale + this.width / 2;
+            const ay = points[k - 1].z / this.scale + this.height / 2;
+            const bx = points[k].x / this.scale + this.width / 2;
+            const by = points[k].z / this.scale + this.height / 2;
+            for (const i of cells) {
+                const x = i % this.width;
+                const y = Math.floor(i / this.width);
+                const d = segmentCellDistance(ax, ay, bx, by, x, y);
+                if (d === 0 || d < r) return true;
+            }
+        }
+        return false;
+    }
+
     // Check if world position is walkable
     isWalkableAt(x, z) {
-        const gx = Math.floor(x / this.scale + this.width / 2);
-        const gz = Math.floor(z / this.scale + this.height / 2);
+        const gx = this.toGridX(x);
+        const gz = this.toGridY(z);
         if (gx < 0 || gx >= this.width || gz < 0 || gz >= this.height) return false;
         return this.grid[gz * this.width + gx] === 0;
     }
 
-    // A* Search
-    findPath(startX, startZ, endX, endZ) {
-        const startNode = {
-            x: Math.floor(startX / this.scale + this.width / 2),
-            y: Math.floor(startZ / this.scale + this.height / 2),
-            g: 0, h: 0, f: 0, parent: null
-        };
-        const endNode = {
-            x: Math.floor(endX / this.scale + this.width / 2),
-            y: Math.floor(endZ / this.scale + this.height / 2)
-        };
+    // World <-> grid conversion
+    toGridX(x) {
+        return Math.floor(x / this.scale + this.width / 2);
+    }
+
+    toGridY(z) {
+        return Math.floor(z / this.scale + this.height / 2);
+    }
+
+    // World-space centre of a cell
+    cellToWorld(x, y) {
+        return this.createPoint(
+            (x - this.width / 2) * this.scale + this.scale / 2,
+            (y - this.height / 2) * this.scale + this.scale / 2
+        );
+    }
 
-        // Validate start/end
-        if (!this.isValid(startNode.x, startNode.y) || !this.isValid(endNode.x, endNode.y)) return [];
+    // A* Search (or JPS, see options.algorithm).
+    // options.radius: agent radius in world units. Cells closer than that to a wall
+    // are avoided and smoothing keeps the whole segment that far from obstacles.
+    // options.report: optional object, filled with the cells actually used (see resolveEndpoints).
+    // options.diagnostics: optional object, filled with what the search did (see recordDiagnostics).
+    findPath(startX, startZ, endX, endZ, options = {}) {
+        const diagnostics = options.diagnostics || null;
+        const started = diagnostics ? performance.now() : 0;
+        const radius = options.radius || 0;
+        const minClearance = this.minClearanceFor(radius);
+        if (minClearance > 0) this.clearance.update();
+
+        // Blocked or off-map start/end cells snap to the nearest walkable cell
+        const { start, end } = this.resolveEndpoints(startX, startZ, endX, endZ, minClearance, options.report);
+        if (!start || !end) return this.recordDiagnostics(diagnostics, started, null, null, []);
+
+        // JPS relies on uniform step costs: weighted terrain always uses A*
+        const algorithm = this.weightedCells > 0 ? 'astar' : (options.algorithm || this.algorithm);
+        const cells = algorithm === 'jps'
+            ? jumpPointSearch(this, start.x, start.y, end.x, end.y, minClearance)
+            : this.searchGrid(start.x, start.y, end.x, end.y, minClearance);
+        if (!cells) return this.recordDiagnostics(diagnostics, started, algorithm, null, []); // No path found
+
+        const raw = cells.map(i => this.cellToWorld(i % this.width, Math.floor(i / this.width)));
+        const rawPath = diagnostics ? raw.slice() : null; // smoothPath may hand back its input
+        const path = this.smoothPath(raw, radius);
+        // Stuck inside a wall: the first leg walks out to the resolved cell
+        if (start.adjusted) path.unshift(this.createPoint(startX, startZ));
+        return this.recordDiagnostics(diagnostics, started, algorithm, rawPath, path);
+    }
+
+    // Fill findPath's options.diagnostics, if given, and pass the path through:
+    //   algorithm   'astar' or 'jps'; 'hpa' or 'navmesh' from those planners
+    //               (null if an endpoint could not be placed)
+    //   found       whether a path was found
+    //   iterations  nodes taken off the open list
+    //   expanded    indices of the cells the search closed (for JPS: jump points only)
+    //   expandedCost  path cost from the start to each of those cells
+    //   rawPath     the search result before smoothing (cell centres on the grid)
+    //   path        the path findPath returns
+    //   elapsedMs   time spent in findPath, not counting this bookkeeping
+    // readSearch, called once the clock has stopped, returns { expanded,
+    // expandedCost, iterations } for planners that do not run one grid search;
+    // by default the last search's closed stamps are read back.
+    recordDiagnostics(diagnostics, started, algorithm, rawPath, path, readSearch = null) {
+        if (!diagnostics) return path;
+        diagnostics.elapsedMs = performance.now() - started;
+        diagnostics.algorithm = algorithm;
+        diagnostics.found = path.length > 0;
+
+        let search = { expanded: [], expandedCost: [] };
+        if (readSearch) search = readSearch();
+        else if (algorithm) search = this.closedCells();
+        diagnostics.expanded = search.expanded;
+        diagnostics.expandedCost = search.expandedCost;
+        // The goal is taken off the open list but never closed
+        diagnostics.iterations = search.iterations ?? search.expanded.length + (rawPath ? 1 : 0);
+        diagnostics.rawPath = rawPath || [];
+        diagnostics.path = path;
+        return path;
+    }
+
+    // Cells closed by the searches whose ids are the keys of costOffsets (by
+    // default the last one), costed from the start of the route: gScore plus
+    // the offset of the search that closed the cell
+    closedCells(costOffsets = new Map([[this.searchId, 0]])) {
+        const expanded = [];
+        const expandedCost = [];
+        for (let i = 0; i < this.closed.length; i++) {
+            const offset = costOffsets.get(this.closed[i]);
+            if (offset === undefined) continue;
+            expanded.push(i);
+            expandedCost.push(this.gScore[i] + offset);
+        }
+        return { expanded, expandedCost };
+    }
+
+    // Grid cells a query will really use for its start and end.
+    // If report is given it receives { start, end, startAdjusted, endAdjusted, endPoint },
+    // where endPoint is the world-space destination the path will lead to.
+    resolveEndpoints(startX, startZ, endX, endZ, minClearance = 0, report = null) {
+        const start = this.resolveCell(this.toGridX(startX), this.toGridY(startZ), minClearance);
+        const end = this.resolveCell(this.toGridX(endX), this.toGridY(endZ), minClearance);
+        if (report) {
+            report.start = start && { x: start.x, y: start.y };
+            report.end = end && { x: end.x, y: end.y };
+            report.startAdjusted = !!(start && start.adjusted);
+            report.endAdjusted = !!(end && end.adjusted);
+            report.endPoint = end && (end.adjusted ? this.cellToWorld(end.x, end.y) : this.createPoint(endX, endZ));
+        }
+        return { start, end };
+    }
 
-        // If start is blocked, find nearest valid neighbor (simple approach)
-        // If end is blocked, find nearest valid neighbor
-        if (this.isBlocked(endNode.x, endNode.y)) {
-            // Search outward spiral for nearest walkable
-            // For now, just return empty path if target is invalid
-            return [];
+    // Cell an agent needing minClearance can stand in, nearest to (gx, gy).
+    // Off-map coordinates are clamped onto the map first.
+    // Returns { x, y, adjusted } or null if nothing on the map is walkable.
+    resolveCell(gx, gy, minClearance = 0) {
+        const x = Math.min(Math.max(gx, 0), this.width - 1);
+        const y = Math.min(Math.max(gy, 0), this.height - 1);
+        if (this.isStandable(x, y, minClearance)) {
+            return { x, y, adjusted: x !== gx || y !== gy };
         }
+        const found = this.findNearestWalkable(x, y, minClearance);
+        if (found === -1) return null;
+        return { x: found % this.width, y: Math.floor(found / this.width), adjusted: true };
+    }
+
+    // Closest standable cell to (gx, gy) (Euclidean). Returns its index, or -1.
+    findNearestWalkable(gx, gy, minClearance = 0) {
+        return findNearestWalkable(this, gx, gy, (x, y) => this.isStandable(x, y, minClearance));
+    }
+
+    isStandable(x, y, minClearance = 0) {
+        if (this.isBlocked(x, y)) return false;
+        return minClearance <= 0 || this.clearance.at(x, y) >= minClearance;
+    }
+
+    // Raw A* over the grid. Returns the cell indices from start to end, or null.
+    // Cells with less than minClearance (in cells) are treated as walls.
+    // bounds { x0, y0, x1, y1 } (inclusive) optionally keeps the search inside a rectangle.
+    searchGrid(sx, sy, ex, ey, minClearance = 0, bounds = null) {
+        const width = this.width;
+        const { gScore, fScore, openOrder, parent, visited, closed, open } = this;
+        const id = this.beginSearch(minClearance);
+        // Straight-line distance at the cheapest terrain never overestimates
+        const hScale = this.minCost;
 
-        const openList = [startNode];
-        const closedList = new Set(); // Use string key "x,y"
+        const startIdx = sy * width + sx;
+        const endIdx = ey * width + ex;
+        let sequence = 0;
 
-        // 8 Directions (including diagonals)
-        const neighbors = [
-            { x: 0, y: -1 }, { x: 1, y: -1 }, { x: 1, y: 0 }, { x: 1, y: 1 },
-            { x: 0, y: 1 }, { x: -1, y: 1 }, { x: -1, y: 0 }, { x: -1, y: -1 }
-        ];
+        visited[startIdx] = id;
+        gScore[startIdx] = 0;
+        fScore[startIdx] = 0;
+        parent[startIdx] = -1;
+        openOrder[startIdx] = sequence++;
+        open.push(startIdx);
 
-        while (openList.length > 0) {
+        while (!open.isEmpty()) {
             // Get lowest F cost
-            let lowestIndex = 0;
-            for (let i = 1; i < openList.length; i++) {
-                if (openList[i].f < openList[lowestIndex].f) lowestIndex = i;
-            }
-            const current = openList[lowestIndex];
+            const current = open.pop();
 
             // Reached destination?
-            if (current.x === endNode.x && current.y === endNode.y) {
-                // Reconstruct path
-                let path = [];
-                let curr = current;
-                while (curr) {
-                    path.push(new THREE.Vector3(
-                        (curr.x - this.width / 2) * this.scale + this.scale / 2,
-                        0,
-                        (curr.y - this.height / 2) * this.scale + this.scale / 2
-                    ));
-                    curr = curr.parent;
-                }
-                return this.smoothPath(path.reverse());
+            if (current === endIdx) {
+                const cells = [];
+                for (let i = current; i !== -1; i = parent[i]) cells.push(i);
+                return cells.reverse();
             }
 
-            // Move current from open to closed
-            openList.splice(lowestIndex, 1);
-            closedList.add(`${current.x},${current.y}`);
+            closed[current] = id;
+            const cx = current % width;
+            const cy = (current - cx) / width;
+            const currentG = gScore[current];
 
             // Check neighbors
-            for (let offset of neighbors) {
-                const nx = current.x + offset.x;
-                const ny = current.y + offset.y;
+            for (let offset of NEIGHBORS) {
+                const nx = cx + offset.x;
+                const ny = cy + offset.y;
 
-                if (!this.isValid(nx, ny) || this.isBlocked(nx, ny) || closedList.has(`${nx},${ny}`)) {
-                    continue;
-                }
+                if (!this.isValid(nx, ny) || this.isBlockedForSearch(nx, ny)) continue;
+                if (bounds && (nx < bounds.x0 || nx > bounds.x1 || ny < bounds.y0 || ny > bounds.y1)) continue;
+                const nIdx = ny * width + nx;
+                if (closed[nIdx] === id) continue;
 
                 // Diagonal Check: Don't cut corners through walls
-                if (Math.abs(offset.x) === 1 && Math.abs(offset.y) === 1) {
-                    // Check if adjacent orthogonal cells are blocked
-                    if (this.isBlocked(current.x + offset.x, current.y) || this.isBlocked(current.x, current.y + offset.y)) {
+                if (offset.x !== 0 && offset.y !== 0) {
+                    if (this.isBlockedForSearch(cx + offset.x, cy) || this.isBlockedForSearch(cx, cy + offset.y)) {
                         continue;
                     }
                 }
 
-                const gScore = current.g + ((offset.x === 0 || offset.y === 0) ? 1 : 1.414);
-                let neighbor = openList.find(n => n.x === nx && n.y === ny);
-
-                if (!neighbor) {
-                    neighbor = { x: nx, y: ny, parent: current, g: gScore, h: 0, f: 0 };
-                    neighbor.h = Math.sqrt(Math.pow(neighbor.x - endNode.x, 2) + Math.pow(neighbor.y - endNode.y, 2));
-                    neighbor.f = neighbor.g + neighbor.h;
-                    openList.push(neighbor);
-                } else if (gScore < neighbor.g) {
-                    neighbor.g = gScore;
-                    neighbor.parent = current;
-                    neighbor.f = neighbor.g + neighbor.h;
+                const g = currentG + this.stepCost(current, nIdx, offset.x !== 0 && offset.y !== 0);
+                const dx = nx - ex;
+                const dy = ny - ey;
+
+                if (visited[nIdx] !== id) {
+                    visited[nIdx] = id;
+                    gScore[nIdx] = g;
+                    fScore[nIdx] = g + Math.sqrt(dx * dx + dy * dy) * hScale;
+                    parent[nIdx] = current;
+                    openOrder[nIdx] = sequence++;
+                    open.push(nIdx);
+                } else if (g < gScore[nIdx]) {
+                    gScore[nIdx] = g;
+                    fScore[nIdx] = g + Math.sqrt(dx * dx + dy * dy) * hScale;
+                    parent[nIdx] = current;
+                    open.decreaseKey(nIdx);
                 }
             }
         }
 
-        return []; // No path found
+        return null;
+    }
+
+    // Start a new search: bump the stamp and empty the open list
+    beginSearch(minClearance = 0) {
+        this.searchId++;
+        if (this.searchId === 0xffffffff) {
+            // Stamp wrap-around: forget every old stamp
+            this.visited.fill(0);
+            this.closed.fill(0);
+            this.searchId = 1;
+        }
+        this.open.clear();
+        this.searchClearance = minClearance;
+        return this.searchId;
+    }
+
+    // Clearance (in cells) a cell needs for an agent of this world-space radius
+    minClearanceFor(radius) {
+        // Small tolerance so a 0.5 radius still fits a one-cell corridor
+        return radius > 0 ? radius / this.scale - 1e-6 : 0;
     }
 
     isValid(x, y) {
@@ -130,10 +418,27 @@ export class Pathfinder {
         return this.grid[y * this.width + x] === 1;
     }
 
+    // Blocked for the agent size of the running search (see beginSearch)
+    isBlockedForSearch(x, y) {
+        const i = y * this.width + x;
+        return this.grid[i] === 1 || this.clearance.values[i] < this.searchClearance;
+    }
+
     // String Pulling / Raycasting Smoothing
-    smoothPath(path) {
+    // On weighted terrain a shortcut is only taken if walking it costs no more
+    // than following the grid path it replaces (no cutting through mud).
+    smoothPath(path, radius = 0) {
         if (path.length <= 2) return path;
 
+        // Cost of the grid path up to each point
+        let pathCost = null;
+        if (this.weightedCells > 0) {
+            pathCost = new Float64Array(path.length);
+            for (let i = 1; i < path.length; i++) {
+                pathCost[i] = pathCost[i - 1] + this.segmentCost(path[i - 1], path[i]);
+            }
+        }
+
         const smoothPath = [path[0]];
         let currentIdx = 0;
 
@@ -143,7 +448,8 @@ export class Pathfinder {
 
             // Look ahead as far as possible
             for (let i = path.length - 1; i > currentIdx + 1; i--) {
-                if (this.hasLineOfSight(path[currentIdx], path[i])) {
+                if (pathCost && this.segmentCost(path[currentIdx], path[i]) > pathCost[i] - pathCost[currentIdx] + 1e-6) continue;
+                if (this.hasLineOfSight(path[currentIdx], path[i], radius)) {
                     nextIdx = i;
                     break;
                 }
@@ -156,12 +462,14 @@ export class Pathfinder {
         return smoothPath;
     }
 
-    hasLineOfSight(start, end) {
+    // radius > 0 additionally requires the whole segment to stay that far (world
+    // units) from blocked cells and the map edge
+    hasLineOfSight(start, end, radius = 0) {
         // Bresenham's Line Algorithm / Raycast on grid
-        let x0 = Math.floor(start.x / this.scale + this.width / 2);
-        let y0 = Math.floor(start.z / this.scale + this.height / 2);
-        let x1 = Math.floor(end.x / this.scale + this.width / 2);
-        let y1 = Math.floor(end.z / this.scale + this.height / 2);
+        let x0 = this.toGridX(start.x);
+        let y0 = this.toGridY(start.z);
+        let x1 = this.toGridX(end.x);
+        let y1 = this.toGridY(end.z);
 
         let dx = Math.abs(x1 - x0);
         let dy = Math.abs(y1 - y0);
@@ -184,6 +492,137 @@ export class Pathfinder {
                 y0 += sy;
             }
         }
+        return radius > 0 ? this.segmentHasClearance(start, end, radius) : true;
+    }
+
+    // Terrain cost of walking straight from start to end (world points), in
+    // cell-length units: the segment is cut into quarter-cell steps, each
+    // charged at the cost of the cell under its midpoint
+    segmentCost(start, end) {
+        const ax = start.x / this.scale + this.width / 2;
+        const ay = start.z / this.scale + this.height / 2;
+        const bx = end.x / this.scale + this.width / 2;
+        const by = end.z / this.scale + this.height / 2;
+        const length = Math.hypot(bx - ax, by - ay);
+        const steps = Math.max(1, Math.ceil(length / 0.25));
+
+        let total = 0;
+        for (let i = 0; i < steps; i++) {
+            const t = (i + 0.5) / steps;
+            const x = Math.min(Math.max(Math.floor(ax + (bx - ax) * t), 0), this.width - 1);
+            const y = Math.min(Math.max(Math.floor(ay + (by - ay) * t), 0), this.height - 1);
+            total += this.costs[y * this.width + x];
+        }
+        return total * length / steps;
+    }
+
+    segmentHasClearance(start, end, radius) {
+        this.clearance.update();
+        const r = radius / this.scale;
+
+        // Continuous grid coordinates
+        const ax = start.x / this.scale + this.width / 2;
+        const ay = start.z / this.scale + this.height / 2;
+        const bx = end.x / this.scale + this.width / 2;
+        const by = end.z / this.scale + this.height / 2;
+
+        // Sample every half cell. Where the clearance layer already proves the
+        // neighbourhood is open, skip; otherwise test nearby walls exactly.
+        const steps = Math.max(1, Math.ceil(Math.hypot(bx - ax, by - ay) / 0.5));
+        const reach = Math.ceil(r + 0.5);
+        for (let i = 0; i <= steps; i++) {
+            const px = ax + (bx - ax) * i / steps;
+            const py = ay + (by - ay) * i / steps;
+            const cx = Math.floor(px);
+            const cy = Math.floor(py);
+            // 0.25: furthest the segment gets from a sample between samples
+            const free = this.clearance.at(cx, cy) - Math.hypot(px - cx - 0.5, py - cy - 0.5) - 0.25;
+            if (free >= r) continue;
+
+            for (let y = cy - reach; y <= cy + reach; y++) {
+                for (let x = cx - reach; x <= cx + reach; x++) {
+                    if (this.isValid(x, y) && !this.isBlocked(x, y)) continue;
+                    if (segmentCellDistance(ax, ay, bx, by, x, y) < r - 1e-6) return false;
+                }
+            }
+        }
         return true;
     }
 }
+
+// Distance between segment a-b and the unit cell [x, x+1] x [y, y+1] (grid space)
+function segmentCellDistance(ax, ay, bx, by, x, y) {
+    if (segmentHitsBox(ax, ay, bx, by, x, y, x + 1, y + 1)) return 0;
+    return Math.min(
+        pointBoxDistance(ax, ay, x, y),
+        pointBoxDistance(bx, by, x, y),
+        pointSegmentDistance(x, y, ax, ay, bx, by),
+        pointSegmentDistance(x + 1, y, ax, ay, bx, by),
+        pointSegmentDistance(x, y + 1, ax, ay, bx, by),
+        pointSegmentDistance(x + 1, y + 1, ax, ay, bx, by)
+    );
+}
+
+function pointBoxDistance(px, py, x, y) {
+    const dx = Math.max(x - px, 0, px - (x + 1));
+    const dy = Math.max(y - py, 0, py - (y + 1));
+    return Math.hypot(dx, dy);
+}
+
+function pointSegmentDistance(px, py, ax, ay, bx, by) {
+    const dx = bx - ax, dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+    return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+}
+
+// Slab test: does the segment touch the box?
+function segmentHitsBox(ax, ay, bx, by, minX, minY, maxX, maxY) {
+    let t0 = 0, t1 = 1;
+    const d = [bx - ax, by - ay];
+    const a = [ax, ay];
+    const lo = [minX, minY];
+    const hi = [maxX, maxY];
+    for (let k = 0; k < 2; k++) {
+        if (Math.abs(d[k]) < 1e-12) {
+            if (a[k] < lo[k] || a[k] > hi[k]) return false;
+        } else {
+            let ta = (lo[k] - a[k]) / d[k];
+            let tb = (hi[k] - a[k]) / d[k];
+            if (ta > tb) [ta, tb] = [tb, ta];
+            t0 = Math.max(t0, ta);
+            t1 = Math.min(t1, tb);
+            if (t0 > t1) return false;
+        }
+    }
+    return true;
+}
+
+// Search outward ring by ring from grid cell (gx, gy) for the closest cell
+// (Euclidean) on the pathfinder's map that accept(x, y) takes; (gx, gy)
+// itself is not tried. Returns its index, or -1.
+export function findNearestWalkable(pathfinder, gx, gy, accept) {
+    let best = -1;
+    let bestDist = Infinity;
+    const maxRing = Math.max(pathfinder.width, pathfinder.height);
+
+    for (let ring = 1; ring <= maxRing; ring++) {
+        // Every cell on this ring is at least `ring` away
+        if (ring > bestDist) break;
+        for (let dy = -ring; dy <= ring; dy++) {
+            // Full rows at the top/bottom edge, just the two ends in between
+            const step = (dy === -ring || dy === ring) ? 1 : 2 * ring;
+            for (let dx = -ring; dx <= ring; dx += step) {
+                const x = gx + dx;
+                const y = gy + dy;
+                if (!pathfinder.isValid(x, y) || !accept(x, y)) continue;
+                const d = Math.hypot(dx, dy);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = y * pathfinder.width + x;
+                }
+            }
+        }
+    }
+    return best;
+}
@@ -0,0 +1,243 @@
+import { HierarchicalPathfinder } from './hpa.js';
+import { NavMesh } from './navmesh.js';
+
+// Planner lookup by name ('grid', 'hpa' or 'navmesh') over one Pathfinder.
+// HPA* keeps itself up to date through grid change events; the navmesh is
+// rebuilt from scratch, so it is dropped on change and rebuilt on next use.
+// Used both inside the worker and by the in-thread fallback. Every planner's
+// answer depends only on the grid, not on when its graph was built or which
+// edits it saw on the way, so the worker's mirror and the simulation's own
+// planners find the same paths (a replay plans everything in-thread).
+export class Planners {
+    constructor(pathfinder) {
+        this.pathfinder = pathfinder;
+        this.hpa = null;
+        this.navMesh = null;
+        pathfinder.addEventListener('change', () => { this.navMesh = null; });
+    }
+
+    get(name = 'grid') {
+        if (name === 'hpa') {
+            if (!this.hpa) this.hpa = HierarchicalPathfinder.fromPathfinder(this.pathfinder);
+            return this.hpa;
+        }
+        if (name === 'navmesh') {
+            if (!this.navMesh) this.navMesh = NavMesh.fromPathfinder(this.pathfinder);
+            return this.navMesh;
+        }
+        return this.pathfinder;
+    }
+
+    // Answer one request (see PathfindingService.findPath). Returns
+    // { path, report, diagnostics }; request.report and request.diagnostics
+    // say whether to fill those in.
+    run(request) {
+        const report = request.report ? {} : undefined;
+        const diagnostics = request.diagnostics ? {} : undefined;
+        const path = this.get(request.planner).findPath(
+            request.startX, request.startZ, request.endX, request.endZ,
+            { radius: request.radius, algorithm: request.algorithm, report, diagnostics }
+        );
+        return { path, report, diagnostics };
+    }
+}
+
+// Copy cells sent by syncCells onto the worker's grid; setObstacle/setCost
+// keep clearance and HPA* in step
+export function mirrorCells(pathfinder, cells, grid, costs) {
+    pathfinder.batch(() => {
+        cells.forEach((cell, k) => {
+            const centre = pathfinder.cellToWorld(cell % pathfinder.width, Math.floor(cell / pathfinder.width));
+            pathfinder.setObstacle(centre.x, centre.z, grid[k] === 1);
+            pathfinder.setCost(centre.x, centre.z, costs[k]);
+        });
+    });
+}
+
+// Waypoints <-> flat [x, z, x, z, ...] for posting between threads
+export function encodePath(path) {
+    const flat = new Float64Array(path.length * 2);
+    path.forEach((p, i) => {
+        flat[i * 2] = p.x;
+        flat[i * 2 + 1] = p.z;
+    });
+    return flat;
+}
+
+export function decodePath(flat, createPoint) {
+    const path = [];
+    for (let i = 0; i < flat.length; i += 2) path.push(createPoint(flat[i], flat[i + 1]));
+    return path;
+}
+
+// Asynchronous pathfinding off the main thread.
+// The service mirrors the Pathfinder grid (obstacles and terrain costs) into a
+// worker and keeps it in sync through 'change' events. findPath returns a
+// promise of waypoints; requests made in the same tick go to the worker as one
+// batch. Requests tagged with a key (e.g. the unit) replace that key's pending
+// request, which then resolves to null. Where Worker is unavailable (Node) the
+// same API runs in-thread. Pathfinder.findPath stays the synchronous API.
+export class PathfindingService {
+    constructor(pathfinder, options = {}) {
+        this.pathfinder = pathfinder;
+        this.pending = new Map(); // Request id -> { resolve, report, key }
+        this.byKey = new Map(); // Key -> request id
+        this.queue = []; // Requests waiting for the next flush
+        this.nextId = 1;
+        this.planners = null; // In-thread planners (fallback and findPathSync)
+        this.worker = null;
+
+        const useWorker = options.worker ?? typeof Worker !== 'undefined';
+        if (useWorker) {
+            this.worker = new Worker(new URL('./pathworker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.onMessage(event.data);
+            this.worker.postMessage({
+                type: 'init',
+                width: pathfinder.width,
+                height: pathfinder.height,
+                scale: pathfinder.scale
+            });
+
+            // Everything that differs from an empty grid, then every later change
+            const cells = [];
+            for (let i = 0; i < pathfinder.grid.length; i++) {
+                if (pathfinder.grid[i] !== 0 || pathfinder.costs[i] !== 1) cells.push(i);
+            }
+            this.syncCells(cells);
+            this.onChange = (event) => this.syncCells(event.cells);
+            pathfinder.addEventListener('change', this.onChange);
+        }
+    }
+
+    // options: radius, algorithm, planner ('grid' | 'hpa' | 'navmesh'),
+    // report and diagnostics (filled in before the promise resolves, see
+    // Pathfinder.findPath), key (see above).
+    // Resolves to waypoints ([] if there is no path) or null if cancelled.
+    findPath(startX, startZ, endX, endZ, options = {}) {
+        const key = options.key;
+        if (key !== undefined) this.cancel(key);
+
+        const id = this.nextId++;
+        return new Promise(resolve => {
+            this.pending.set(id, { resolve, report: options.report || null, diagnostics: options.diagnostics || null, key });
+            if (key !== undefined) this.byKey.set(key, id);
+            this.queue.push({
+                id, startX, startZ, endX, endZ,
+                radius: options.radius || 0,
+                algorithm: options.algorithm,
+                planner: options.planner || 'grid',
+                report: !!options.report,
+                diagnostics: !!options.diagnostics
+            });
+            if (this.queue.length === 1) queueMicrotask(() => this.flush());
+        });
+    }
+
+    // Same query, answered immediately on this thread
+    findPathSync(startX, startZ, endX, endZ, options = {}) {
+        const { path, report, diagnostics } = this.localPlanners().run({
+            startX, startZ, endX, endZ,
+            radius: options.radius || 0,
+            algorithm: options.algorithm,
+            planner: options.planner,
+            report: !!options.report,
+            diagnostics: !!options.diagnostics
+        });
+        if (options.report) Object.assign(options.report, report);
+        if (options.diagnostics) Object.assign(options.diagnostics, diagnostics);
+        return path;
+    }
+
+    // Drop the pending request made with this key; its promise resolves to null
+    cancel(key) {
+        const id = this.byKey.get(key);
+        if (id === undefined) return;
+        this.byKey.delete(key);
+        const entry = this.pending.get(id);
+        this.pending.delete(id);
+
+        const queued = this.queue.findIndex(request => request.id === id);
+        if (queued !== -1) this.queue.splice(queued, 1);
+        else if (this.worker) this.worker.postMessage({ type: 'cancel', ids: [id] });
+        entry.resolve(null);
+    }
+
+    hasPending(key) {
+        return this.byKey.has(key);
+    }
+
+    // Stop the worker; anything still pending resolves to null
+    dispose() {
+        if (this.worker) {
+            this.pathfinder.removeEventListener('change', this.onChange);
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.forEach(entry => entry.resolve(null));
+        this.pending.clear();
+        this.byKey.clear();
+        this.queue = [];
+    }
+
+    // --- Internals ---
+
+    localPlanners() {
+        if (!this.planners) this.planners = new Planners(this.pathfinder);
+        return this.planners;
+    }
+
+    flush() {
+        const requests = this.queue;
+        this.queue = [];
+        if (requests.length === 0) return;
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'find', requests });
+            return;
+        }
+        const planners = this.localPlanners();
+        for (const request of requests) {
+            const { path, report, diagnostics } = planners.run(request);
+            this.settle(request.id, path, report, diagnostics);
+        }
+    }
+
+    onMessage(message) {
+        if (message.type !== 'paths') return;
+        const createPoint = this.pathfinder.createPoint;
+        for (const result of message.results) {
+            const { report, diagnostics } = result;
+            if (report && report.endPoint) {
+                report.endPoint = createPoint(report.endPoint.x, report.endPoint.z);
+            }
+            const path = decodePath(result.path, createPoint);
+            if (diagnostics) {
+                diagnostics.rawPath = diagnostics.rawPath.map(p => createPoint(p.x, p.z));
+                diagnostics.path = path; // The very waypoints the caller gets
+            }
+            this.settle(result.id, path, report, diagnostics);
+        }
+    }
+
+    settle(id, path, report, diagnostics) {
+        const entry = this.pending.get(id);
+        if (!entry) return; // Cancelled while in flight
+        this.pending.delete(id);
+        if (entry.key !== undefined && this.byKey.get(entry.key) === id) this.byKey.delete(entry.key);
+        if (entry.report && report) Object.assign(entry.report, report);
+        if (entry.diagnostics && diagnostics) Object.assign(entry.diagnostics, diagnostics);
+        entry.resolve(path);
+    }
+
+    syncCells(cells) {
+        if (cells.length === 0) return;
+        const pf = this.pathfinder;
+        const grid = new Uint8Array(cells.length);
+        const costs = new Float32Array(cells.length);
+        cells.forEach((cell, k) => {
+            grid[k] = pf.grid[cell];
+            costs[k] = pf.costs[cell];
+        });
+        this.worker.postMessage({ type: 'update', cells: Int32Array.from(cells), grid, costs });
+    }
+}
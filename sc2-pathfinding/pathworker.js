@@ -0,0 +1,62 @@
+// Worker side of PathfindingService (see pathservice.js).
+// Keeps its own copy of the grid, queues incoming requests and answers them a
+// few milliseconds' worth at a time, so cancel and grid update messages get
+// handled in between.
+import { Pathfinder } from './pathfinding.js';
+import { Planners, encodePath, mirrorCells } from './pathservice.js';
+
+const SLICE_MS = 8;
+
+let pathfinder = null;
+let planners = null;
+let queue = [];
+let scheduled = false;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'init':
+            pathfinder = new Pathfinder(message.width, message.height, message.scale);
+            planners = new Planners(pathfinder);
+            queue = [];
+            break;
+        case 'update':
+            mirrorCells(pathfinder, message.cells, message.grid, message.costs);
+            break;
+        case 'find':
+            queue.push(...message.requests);
+            schedule();
+            break;
+        case 'cancel': {
+            const ids = new Set(message.ids);
+            queue = queue.filter(request => !ids.has(request.id));
+            break;
+        }
+    }
+};
+
+function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    setTimeout(drain, 0);
+}
+
+function drain() {
+    scheduled = false;
+    const deadline = performance.now() + SLICE_MS;
+    const results = [];
+    const transfer = [];
+
+    while (queue.length > 0 && performance.now() < deadline) {
+        const request = queue.shift();
+        const { path, report, diagnostics } = planners.run(request);
+        const flat = encodePath(path);
+        // diagnostics.path is the same path again: the main thread puts the decoded one back
+        if (diagnostics) diagnostics.path = [];
+        results.push({ id: request.id, path: flat, report, diagnostics });
+        transfer.push(flat.buffer);
+    }
+
+    if (results.length > 0) self.postMessage({ type: 'paths', results }, transfer);
+    if (queue.length > 0) schedule();
+}
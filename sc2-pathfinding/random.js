@@ -0,0 +1,11 @@
+// Small seeded PRNG (mulberry32). Everything in the simulation that needs
+// randomness draws from one of these so a run is fully determined by its seed.
+export function mulberry32(a) {
+    return function () {
+        a |= 0;
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
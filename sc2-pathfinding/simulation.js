@@ -0,0 +1,653 @@
+import { Pathfinder } from './pathfinding.js';
+import { FlowFieldCache } from './flowfield.js';
+import { Planners } from './pathservice.js';
+import { SpatialHash } from './spatialhash.js';
+import { Unit, UNIT_TYPES, SEPARATION_BUFFER } from './unit.js';
+import { formationSlots } from './formation.js';
+import { Combat } from './combat.js';
+import { Visibility } from './visibility.js';
+import { mulberry32 } from './random.js';
+import { TERRAIN_COSTS, applyMap, exportMap } from './mapformat.js';
+
+// Fixed-tick simulation of the demo: the map, the units and the orders given
+// to them. State only changes in step() and through issue(), which records
+// every command with the tick it was given on, and all randomness comes from a
+// PRNG seeded at construction. Replaying the log from the same seed therefore
+// reproduces the run tick for tick, whatever the frame rate was. Nothing here
+// touches Three.js: the renderer reads units' state and interpolates by the
+// fraction of a tick advance() returns.
+
+export const TICK_RATE = 30; // Ticks per second
+export const TICK_DT = 1 / TICK_RATE;
+
+// Orders run this many ticks after they are given so the path worker has
+// time to answer; any path it has not delivered by then is found in-thread
+export const ORDER_DELAY = 2;
+
+const MAX_FRAME_TIME = 0.25; // Longest stall advance() catches up on (seconds)
+const ORDER_SPACING = 1.5; // Gap between unit targets in a group move (at least)
+
+const VISION_INTERVAL = 3; // Ticks between visibility updates
+
+const STRESS_UNIT_COUNT = 1000;
+const SPAWN_PICK_RADIUS = 1; // How close a spawnPoint removal has to be
+
+export class Simulation {
+    // options: seed, mapSize, gridScale, stress (spawn the stress-test crowd),
+    // map (a parsed map file, see mapformat.js, instead of a generated map),
+    // opponent (a generated map also spawns a mirrored army for team 1)
+    constructor(options = {}) {
+        this.options = options;
+        this.seed = options.seed >>> 0;
+        this.map = options.map || null;
+        this.mapSize = this.map ? this.map.width : options.mapSize || 50;
+        this.gridScale = this.map ? this.map.scale : options.gridScale || 1;
+        this.random = mulberry32(this.seed);
+
+        this.tick = 0;
+        this.accumulator = 0; // Real time not yet simulated (see advance)
+        this.log = []; // Every command so far, as { tick, type, ... }
+        this.replayQueue = null; // Recorded commands still to be re-issued
+        this.orders = []; // Orders waiting for their tick
+        this.listeners = new Map();
+        this.controllers = []; // Scripted players (see addController)
+
+        // Map, planners and what has changed on it since the last tick
+        const height = this.map ? this.map.height : this.mapSize;
+        this.pathfinder = new Pathfinder(this.mapSize, height, this.gridScale);
+        if (this.map) applyMap(this.pathfinder, this.map);
+        else this.generateMap();
+        this.planners = new Planners(this.pathfinder);
+        this.flowFields = new FlowFieldCache(this.pathfinder);
+        this.gridVersion = 0;
+        this.changedCells = [];
+        // Keep each unit's search diagnostics with its path (unit.pathDiagnostics);
+        // costs time, not results, so it is left out of recordings
+        this.pathDiagnostics = false;
+        this.pathfinder.addEventListener('change', (event) => this.onGridChange(event));
+
+        // Units and steering
+        this.units = [];
+        this.unitsById = new Map();
+        this.nextUnitId = 1;
+        this.steering = 'separation';
+        this.useSpatialHash = true;
+        this.unitHash = new SpatialHash(2); // Broadphase for steering, rebuilt every tick
+        this.neighborScratch = [];
+        this.combat = new Combat(this);
+        this.visibility = new Map(); // Team -> Visibility, for the teams asked about (see visibilityFor)
+        // Where units start: the map's spawns, or picked by spawnUnits on a generated map
+        this.spawns = this.map ? this.map.spawns.map(spawn => ({ ...spawn })) : null;
+        this.spawnUnits(!!options.stress);
+    }
+
+    // Everything needed to replay this run: the options it started from and its log
+    recording() {
+        return {
+            seed: this.seed,
+            mapSize: this.mapSize,
+            gridScale: this.gridScale,
+            stress: !!this.options.stress,
+            opponent: !!this.options.opponent,
+            map: this.map,
+            log: this.log.slice()
+        };
+    }
+
+    // A new simulation that re-issues the recorded commands on their original ticks
+    static fromRecording(recording) {
+        const sim = new Simulation({
+            seed: recording.seed,
+            mapSize: recording.mapSize,
+            gridScale: recording.gridScale,
+            stress: recording.stress,
+            opponent: recording.opponent,
+            map: recording.map || null
+        });
+        sim.replayQueue = recording.log.slice();
+        return sim;
+    }
+
+    get isReplaying() {
+        return this.replayQueue !== null;
+    }
+
+    // Run as many ticks as the elapsed real time covers. Returns how far (0..1)
+    // the frame lies between the last tick and the next, for interpolation.
+    advance(frameDt) {
+        this.accumulator += Math.min(frameDt, MAX_FRAME_TIME);
+        while (this.accumulator >= TICK_DT) {
+            this.step();
+            this.accumulator -= TICK_DT;
+        }
+        return this.accumulator / TICK_DT;
+    }
+
+    step() {
+        if (this.replayQueue) this.replayDue();
+        else this.controllers.forEach(controller => controller.update());
+        this.replanAffectedUnits();
+        while (this.orders.length > 0 && this.orders[0].runTick <= this.tick) {
+            this.runOrder(this.orders.shift());
+        }
+        this.updateOrderQueues();
+        this.updateUnits(TICK_DT);
+        this.replanWallBlockedUnits();
+        this.combat.update(TICK_DT);
+        if (this.tick % VISION_INTERVAL === 0) this.visibility.forEach(visibility => visibility.update(this.units));
+        this.tick++;
+    }
+
+    // Something that plays through issue() like the player, such as the AI
+    // (ai.js): its update() runs at the start of every tick, before that
+    // tick's orders. Its commands go into the log like any other, so replays
+    // do not run controllers.
+    addController(controller) {
+        this.controllers.push(controller);
+    }
+
+    // --- Commands ---
+
+    // Record a player command and apply it. Commands:
+    //   { type: 'select', ids }               select exactly these units
+    //   { type: 'move', ids, x, z, planner, formation, queued, attack }
+    //                                         planner: 'grid', 'hpa', 'navmesh' or 'flow';
+    //                                         formation: see FORMATIONS (default 'box');
+    //                                         queued: append to each unit's orders instead
+    //                                         of replacing them; attack: attack-move
+    //   { type: 'patrol', ids, x, z, planner, formation, queued }
+    //                                         back and forth between here and the point
+    //   { type: 'hold', ids, queued }         stand still and do not give way
+    //   { type: 'stop', ids }                 drop every order and halt
+    //   { type: 'wall', x, z, value }         place (true) or clear the wall at a point
+    //   { type: 'terrain', x, z, cost }       terrain cost of the cell at a point (1: ground)
+    //   { type: 'spawnPoint', x, z, unitType, team }
+    //                                         add a spawn (see exportMap); with remove: true
+    //                                         instead drop the spawns near the point
+    //   { type: 'steering', mode }            'separation' or 'orca'
+    //   { type: 'spatialHash', enabled }      hash broadphase vs all-pairs neighbours
+    //   { type: 'spawn', stress }             replace every unit
+    //   { type: 'spawnGroup', x, z, team, units }
+    //                                         add units of the given types (see UNIT_TYPES)
+    //                                         for a team, packed around the point
+    // Returns the pending order for unit orders (see ORDER_DELAY), otherwise null.
+    issue(command) {
+        const entry = { ...command, tick: this.tick };
+        this.log.push(entry);
+
+        switch (entry.type) {
+            case 'select': {
+                const ids = new Set(entry.ids);
+                this.units.forEach(unit => { unit.selected = ids.has(unit.id); });
+                return null;
+            }
+            case 'move':
+            case 'patrol':
+            case 'hold':
+            case 'stop':
+                return this.queueOrder(entry);
+            case 'wall':
+                this.pathfinder.setObstacle(entry.x, entry.z, entry.value);
+                return null;
+            case 'terrain':
+                this.pathfinder.setCost(entry.x, entry.z, entry.cost);
+                return null;
+            case 'spawnPoint':
+                if (!this.spawns) this.spawns = []; // Stress run on a generated map
+                if (entry.remove) {
+                    this.spawns = this.spawns.filter(s => Math.hypot(s.x - entry.x, s.z - entry.z) > SPAWN_PICK_RADIUS);
+                } else {
+                    this.spawns.push({ x: entry.x, z: entry.z, type: entry.unitType || 'infantry', team: entry.team || 0 });
+                }
+                return null;
+            case 'steering':
+                this.steering = entry.mode;
+                this.units.forEach(unit => { unit.steering = entry.mode; });
+                return null;
+            case 'spatialHash':
+                this.useSpatialHash = entry.enabled;
+                return null;
+            case 'spawn':
+                this.spawnUnits(entry.stress);
+                return null;
+            case 'spawnGroup':
+                this.spawnGroup(entry.x, entry.z, entry.team || 0, entry.units);
+                return null;
+        }
+        return null;
+    }
+
+    replayDue() {
+        while (this.replayQueue.length > 0 && this.replayQueue[0].tick <= this.tick) {
+            this.issue(this.replayQueue.shift());
+        }
+        if (this.replayQueue.length === 0) this.replayQueue = null;
+    }
+
+    // Start points and each unit's slot around the target (see formation.js)
+    // are fixed when the order is given; the paths themselves are found when it
+    // runs. Callers may fill order.prefetched (unit id -> { path, report, diagnostics }) in
+    // the meantime; those paths are used as long as the grid has not changed since.
+    // Queued orders start where the unit's earlier orders leave it.
+    queueOrder(command) {
+        const units = command.ids.map(id => this.unitsById.get(id)).filter(Boolean);
+        const starts = units.map(unit => command.queued ? this.queueEnd(unit) : unit.position);
+        let slots = starts; // Hold and stop have no destination
+        if (command.type === 'move' || command.type === 'patrol') {
+            // Slots far enough apart for the largest unit in the group
+            const maxRadius = units.reduce((max, unit) => Math.max(max, unit.radius), 0);
+            slots = formationSlots(starts, command.x, command.z, {
+                formation: command.formation,
+                spacing: Math.max(ORDER_SPACING, maxRadius * 2 + SEPARATION_BUFFER)
+            });
+        }
+        const legs = units.map((unit, i) => ({
+            unit,
+            startX: starts[i].x,
+            startZ: starts[i].z,
+            x: slots[i].x,
+            z: slots[i].z,
+            path: null,
+            report: null
+        }));
+
+        const order = {
+            command,
+            runTick: command.tick + ORDER_DELAY,
+            gridVersion: this.gridVersion,
+            legs,
+            prefetched: new Map()
+        };
+        this.orders.push(order);
+        return order;
+    }
+
+    // Gives each unit its part of the order, replacing its queue or (queued)
+    // appending to it, and reports the paths (or the shared flow field) of the
+    // units that started on it right away through an 'order' event
+    runOrder(order) {
+        const { command } = order;
+        const legs = order.legs.filter(leg => this.unitsById.get(leg.unit.id) === leg.unit);
+        const fresh = order.gridVersion === this.gridVersion;
+        // Flow-field groups settle within a radius that grows with the group so
+        // they spread out around the click
+        const arrivalRadius = Math.max(0.5, Math.sqrt(legs.length) * ORDER_SPACING / 2);
+        let field = null;
+
+        legs.forEach(leg => {
+            const unit = leg.unit;
+            if (command.type === 'stop') {
+                unit.orderQueue = [];
+                this.startNextOrder(unit);
+                return;
+            }
+            const next = unitOrder(command, leg, arrivalRadius);
+            if (command.queued && unit.orderQueue.length > 0) {
+                unit.orderQueue.push(next);
+                return;
+            }
+            unit.orderQueue = [next];
+            const start = { x: leg.startX, z: leg.startZ };
+            const result = this.startNextOrder(unit, start, fresh ? order.prefetched.get(unit.id) : null);
+            if (result) {
+                leg.path = result.path;
+                leg.report = result.report;
+            }
+            if (unit.flowField) field = unit.flowField;
+        });
+        this.dispatchEvent({ type: 'order', command, legs, field });
+    }
+
+    // Start the order at the head of the unit's queue; one it cannot reach is
+    // dropped for the next, and a unit with nothing left to do stops.
+    // from: where to find the path from (the start fixed when the order was
+    // given); prefetched: the worker's { path, report, diagnostics } for that search
+    startNextOrder(unit, from = unit.position, prefetched = null) {
+        unit.holding = false;
+        while (unit.orderQueue.length > 0) {
+            const next = unit.orderQueue[0];
+            if (next.type === 'hold') {
+                unit.setPath([]);
+                unit.holding = true;
+                return null;
+            }
+            unit.planner = next.planner;
+            if (next.planner === 'flow') {
+                const field = this.flowFields.get(next.x, next.z, unit.radius);
+                unit.setFlowField(field, next.arrivalRadius, field.goalFor(next.x, next.z));
+                return null;
+            }
+            const result = prefetched || this.planners.run({
+                startX: from.x,
+                startZ: from.z,
+                endX: next.x,
+                endZ: next.z,
+                radius: unit.radius,
+                planner: next.planner,
+                report: true,
+                diagnostics: this.pathDiagnostics
+            });
+            if (result.path.length > 0) {
+                unit.setPath(result.path, result.diagnostics || null);
+                return result;
+            }
+            unit.orderQueue.shift();
+            from = unit.position;
+            prefetched = null;
+        }
+        unit.setPath([]);
+        return null;
+    }
+
+    // Units that got where their current order sends them go on to the next
+    // one; patrols turn around instead
+    updateOrderQueues() {
+        this.units.forEach(unit => {
+            const current = unit.orderQueue[0];
+            if (!current || current.type === 'hold' || unit.isMoving) return;
+            if (current.type === 'patrol') {
+                [current.x, current.fromX] = [current.fromX, current.x];
+                [current.z, current.fromZ] = [current.fromZ, current.z];
+            } else {
+                unit.orderQueue.shift();
+            }
+            this.startNextOrder(unit);
+        });
+    }
+
+    // Where the unit will be once the orders it already has (including those
+    // still waiting for their tick) are done
+    queueEnd(unit) {
+        for (let k = this.orders.length - 1; k >= 0; k--) {
+            const { command, legs } = this.orders[k];
+            const leg = legs.find(l => l.unit === unit);
+            if (!leg) continue;
+            if (command.type === 'move' || command.type === 'patrol') return { x: leg.x, z: leg.z };
+            if (command.type === 'stop' || !command.queued) return unit.position;
+        }
+        for (let k = unit.orderQueue.length - 1; k >= 0; k--) {
+            const order = unit.orderQueue[k];
+            if (order.type !== 'hold') return { x: order.x, z: order.z };
+        }
+        return unit.position;
+    }
+
+    hasPendingOrder(unit) {
+        return this.orders.some(order => order.legs.some(leg => leg.unit === unit));
+    }
+
+    // --- Events ('order', see runOrder; 'attack' and 'death', see combat.js) ---
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const list = this.listeners.get(type);
+        if (!list) return;
+        const index = list.indexOf(listener);
+        if (index !== -1) list.splice(index, 1);
+    }
+
+    dispatchEvent(event) {
+        const list = this.listeners.get(event.type);
+        if (!list) return;
+        for (const listener of list.slice()) listener(event);
+    }
+
+    // --- Map ---
+
+    // The current walls, terrain and spawns as a map file (see mapformat.js)
+    exportMap(name) {
+        return exportMap(this.pathfinder, this.spawns || [], name || (this.map ? this.map.name : `Seed ${this.seed}`));
+    }
+
+    generateMap() {
+        const size = this.mapSize;
+        const areaScale = (size / 50) ** 2; // Keeps obstacle/terrain density constant
+        const random = this.random;
+
+        // Terrain: a road each way across the map, patches of creep and mud
+        const roadX = Math.floor((random() - 0.5) * size * 0.6);
+        const roadZ = Math.floor((random() - 0.5) * size * 0.6);
+        this.paintTerrainRect(roadX - 1, -size / 2, roadX + 1, size / 2, TERRAIN_COSTS.road);
+        this.paintTerrainRect(-size / 2, roadZ - 1, size / 2, roadZ + 1, TERRAIN_COSTS.road);
+        for (let i = 0; i < Math.round(6 * areaScale); i++) {
+            const x = (random() - 0.5) * size;
+            const z = (random() - 0.5) * size;
+            this.paintTerrainCircle(x, z, 3 + random() * 4, i % 2 === 0 ? TERRAIN_COSTS.mud : TERRAIN_COSTS.creep);
+        }
+
+        // Random blocks
+        for (let i = 0; i < Math.round(80 * areaScale); i++) {
+            const x = Math.floor((random() - 0.5) * size);
+            const z = Math.floor((random() - 0.5) * size);
+
+            // Keep center somewhat clear
+            if (Math.abs(x) < 5 && Math.abs(z) < 5) continue;
+
+            if (this.pathfinder.isWalkableAt(x, z)) this.pathfinder.setObstacle(x, z, true);
+        }
+    }
+
+    // Paint a terrain cost onto every cell whose centre lies in the region
+    paintTerrainRect(x0, z0, x1, z1, cost) {
+        this.forEachCell((centre) => {
+            if (centre.x >= x0 && centre.x < x1 && centre.z >= z0 && centre.z < z1) {
+                this.pathfinder.setCost(centre.x, centre.z, cost);
+            }
+        });
+    }
+
+    paintTerrainCircle(x, z, radius, cost) {
+        this.forEachCell((centre) => {
+            if (Math.hypot(centre.x - x, centre.z - z) < radius) {
+                this.pathfinder.setCost(centre.x, centre.z, cost);
+            }
+        });
+    }
+
+    forEachCell(fn) {
+        const pf = this.pathfinder;
+        for (let gy = 0; gy < pf.height; gy++) {
+            for (let gx = 0; gx < pf.width; gx++) {
+                fn(pf.cellToWorld(gx, gy), gx, gy);
+            }
+        }
+    }
+
+    // Walls or terrain changed: paths found before now may be stale
+    onGridChange(event) {
+        this.gridVersion++;
+        this.flowFields.clear();
+        this.changedCells.push(...event.cells);
+    }
+
+    // Re-plan only the units whose remaining route runs into a new wall.
+    // Runs at the start of a tick, after every listener has seen the change.
+    replanAffectedUnits() {
+        if (this.changedCells.length === 0) return;
+        const pf = this.pathfinder;
+        const blocked = this.changedCells.filter(cell => pf.grid[cell] === 1);
+        this.changedCells = [];
+        if (blocked.length === 0) return;
+
+        this.units.forEach(unit => {
+            if (!unit.isMoving) return;
+
+            // Flow fields were dropped with the old grid: fetch a fresh one for the same goal
+            if (unit.flowField) {
+                const goal = unit.flowTarget;
+                const field = this.flowFields.get(goal.x, goal.z, unit.radius);
+                unit.setFlowField(field, unit.arrivalRadius, field.goalFor(goal.x, goal.z));
+                return;
+            }
+
+            // A newer order is already on its way
+            if (this.hasPendingOrder(unit)) return;
+
+            const remaining = [unit.position, ...unit.path.slice(unit.currentWaypointIndex)];
+            if (pf.pathCrossesCells(remaining, blocked, unit.radius)) this.replan(unit);
+        });
+    }
+
+    // A unit put back out of a wall (Unit.leaveWall) may have been shoved
+    // somewhere its next waypoint is only reachable around that wall: plan
+    // again from where it stands rather than keep walking into it.
+    replanWallBlockedUnits() {
+        const pf = this.pathfinder;
+        this.units.forEach(unit => {
+            if (!unit.hitWall || !unit.isMoving || unit.flowField || this.hasPendingOrder(unit)) return;
+            const waypoint = unit.path[unit.currentWaypointIndex];
+            if (waypoint && !pf.hasLineOfSight(unit.position, waypoint)) this.replan(unit);
+        });
+    }
+
+    // New path from the unit's position to the end of its current one
+    replan(unit) {
+        const destination = unit.path[unit.path.length - 1];
+        const { path, diagnostics } = this.planners.run({
+            startX: unit.position.x,
+            startZ: unit.position.z,
+            endX: destination.x,
+            endZ: destination.z,
+            radius: unit.radius,
+            planner: unit.planner,
+            diagnostics: this.pathDiagnostics
+        });
+        unit.setPath(path, diagnostics || null);
+    }
+
+    // --- Units ---
+
+    // Replace every unit: one per spawn or the stress-test crowd spread over
+    // the whole map. A generated map spawns ten in one corner (every fifth one
+    // large, to show radius-aware paths), and with an opponent the same army
+    // for team 1 in the opposite corner.
+    spawnUnits(stress) {
+        this.units = [];
+        this.unitsById.clear();
+        this.combat.reset();
+        this.stress = stress;
+        const random = this.random;
+        const pf = this.pathfinder;
+
+        if (stress) {
+            const sizeX = pf.width * pf.scale;
+            const sizeZ = pf.height * pf.scale;
+            for (let attempts = 0; this.units.length < STRESS_UNIT_COUNT && attempts < STRESS_UNIT_COUNT * 20; attempts++) {
+                const x = (random() - 0.5) * sizeX;
+                const z = (random() - 0.5) * sizeZ;
+                if (pf.isWalkableAt(x, z)) this.addUnit(x, z, 'swarm');
+            }
+            return;
+        }
+
+        if (!this.spawns) {
+            this.spawns = [];
+            for (let i = 0; i < 10; i++) {
+                const x = (random() - 0.5) * 10 - 15;
+                const z = (random() - 0.5) * 10 - 15;
+                // Ensure not inside obstacle
+                if (pf.isWalkableAt(x, z)) this.spawns.push({ x, z, type: i % 5 === 0 ? 'heavy' : 'infantry', team: 0 });
+            }
+            if (this.options.opponent) {
+                this.spawns.filter(spawn => pf.isWalkableAt(-spawn.x, -spawn.z)).forEach(spawn => {
+                    this.spawns.push({ x: -spawn.x, z: -spawn.z, type: spawn.type, team: 1 });
+                });
+            }
+        }
+        this.spawns.forEach(spawn => this.addUnit(spawn.x, spawn.z, spawn.type, spawn.team || 0));
+    }
+
+    // Units in rings around the point, on walkable cells and clear of each other
+    spawnGroup(x, z, team, types) {
+        const spacing = types.reduce((max, type) => Math.max(max, UNIT_TYPES[type].radius), 0) * 2 + SEPARATION_BUFFER;
+        const pf = this.pathfinder;
+        let placed = 0;
+        for (let ring = 0; placed < types.length && ring < 20; ring++) {
+            const slots = ring === 0 ? 1 : Math.floor(ring * 2 * Math.PI);
+            for (let i = 0; i < slots && placed < types.length; i++) {
+                const angle = i / slots * Math.PI * 2;
+                const px = x + Math.sin(angle) * ring * spacing;
+                const pz = z + Math.cos(angle) * ring * spacing;
+                if (!pf.isWalkableAt(px, pz)) continue;
+                this.addUnit(px, pz, types[placed++], team);
+            }
+        }
+    }
+
+    addUnit(x, z, type, team = 0) {
+        const unit = new Unit(x, z, { id: this.nextUnitId++, type, team, steering: this.steering });
+        this.units.push(unit);
+        this.unitsById.set(unit.id, unit);
+        return unit;
+    }
+
+    // What a team sees (see visibility.js). Only teams asked about are kept up
+    // to date, every VISION_INTERVAL ticks; nothing else in the simulation reads it.
+    visibilityFor(team) {
+        let visibility = this.visibility.get(team);
+        if (!visibility) {
+            visibility = new Visibility(this.pathfinder, team);
+            visibility.update(this.units);
+            this.visibility.set(team, visibility);
+        }
+        return visibility;
+    }
+
+    // Take a unit out of the game (see combat.js); it leaves the selection with it
+    removeUnit(unit) {
+        const index = this.units.indexOf(unit);
+        if (index === -1) return;
+        this.units.splice(index, 1);
+        this.unitsById.delete(unit.id);
+        unit.selected = false;
+        this.dispatchEvent({ type: 'death', unit });
+    }
+
+    // Each unit only sees the units the spatial hash puts within its neighbour
+    // reach (or, with the hash off, the whole list for comparison)
+    updateUnits(dt) {
+        const units = this.units;
+        if (!this.useSpatialHash) {
+            units.forEach(unit => unit.update(dt, units, this.pathfinder));
+            return;
+        }
+
+        let maxRadius = 0;
+        this.unitHash.clear();
+        units.forEach(unit => {
+            this.unitHash.insert(unit, unit.position.x, unit.position.z);
+            maxRadius = Math.max(maxRadius, unit.radius);
+        });
+        units.forEach(unit => {
+            const reach = unit.neighborReach(maxRadius);
+            const neighbors = this.unitHash.query(unit.position.x, unit.position.z, reach, this.neighborScratch);
+            unit.update(dt, neighbors, this.pathfinder);
+        });
+    }
+}
+
+// One unit's entry in its order queue (Unit.orderQueue) for its leg of a command
+function unitOrder(command, leg, arrivalRadius) {
+    if (command.type === 'hold') return { type: 'hold' };
+    const order = {
+        type: command.type === 'patrol' ? 'patrol' : command.attack ? 'attack' : 'move',
+        x: leg.x,
+        z: leg.z,
+        planner: command.planner || 'grid'
+    };
+    if (order.planner === 'flow') {
+        // The whole group shares the field to the clicked point
+        order.x = command.x;
+        order.z = command.z;
+        order.arrivalRadius = arrivalRadius;
+    }
+    if (order.type === 'patrol') {
+        order.fromX = leg.startX;
+        order.fromZ = leg.startZ;
+    }
+    return order;
+}
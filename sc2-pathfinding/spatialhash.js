@@ -0,0 +1,50 @@
+// Uniform-grid spatial hash (broadphase) for units on the XZ plane.
+// Rebuilt every frame: clear(), insert() each unit, then query() returns the
+// units whose cells overlap a square around a point. Buckets are kept between
+// frames so rebuilding does not allocate.
+export class SpatialHash {
+    constructor(cellSize = 2) {
+        this.cellSize = cellSize;
+        this.buckets = new Map(); // Cell key -> array of items
+        this.used = []; // Buckets filled since the last clear()
+    }
+
+    // Cells are keyed by packing both 16-bit cell coordinates into one number
+    key(ix, iz) {
+        return ((ix & 0xffff) << 16) | (iz & 0xffff);
+    }
+
+    clear() {
+        for (const bucket of this.used) bucket.length = 0;
+        this.used.length = 0;
+    }
+
+    insert(item, x, z) {
+        const key = this.key(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = [];
+            this.buckets.set(key, bucket);
+        }
+        if (bucket.length === 0) this.used.push(bucket);
+        bucket.push(item);
+    }
+
+    // Items in every cell touched by the square [x - radius, x + radius] x [z - radius, z + radius].
+    // Candidates only: callers still check the real distance. Results go into out (cleared first).
+    query(x, z, radius, out = []) {
+        out.length = 0;
+        const ix0 = Math.floor((x - radius) / this.cellSize);
+        const ix1 = Math.floor((x + radius) / this.cellSize);
+        const iz0 = Math.floor((z - radius) / this.cellSize);
+        const iz1 = Math.floor((z + radius) / this.cellSize);
+        for (let ix = ix0; ix <= ix1; ix++) {
+            for (let iz = iz0; iz <= iz1; iz++) {
+                const bucket = this.buckets.get(this.key(ix, iz));
+                if (!bucket) continue;
+                for (let i = 0; i < bucket.length; i++) out.push(bucket[i]);
+            }
+        }
+        return out;
+    }
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, TICK_RATE } from '../simulation.js';
+import { AIController } from '../ai.js';
+
+function runSeconds(sim, seconds) {
+    for (let t = 0; t < seconds * TICK_RATE; t++) sim.step();
+}
+
+function byTeam(sim, team) {
+    return sim.units.filter(u => u.team === team);
+}
+
+test('an opponent spawns a mirrored army for team 1', () => {
+    const sim = new Simulation({ seed: 3, opponent: true });
+    const ours = byTeam(sim, 0);
+    const theirs = byTeam(sim, 1);
+    assert.ok(ours.length > 0 && theirs.length > 0);
+    theirs.forEach(unit => {
+        assert.ok(ours.some(o => o.position.x === -unit.position.x && o.position.z === -unit.position.z && o.type === unit.type));
+    });
+    assert.equal(new Simulation({ seed: 3 }).units.every(u => u.team === 0), true);
+});
+
+test('the AI orders only its own units, through the command log', () => {
+    const sim = new Simulation({ seed: 3, opponent: true });
+    const ai = new AIController(sim, 1);
+    sim.addController(ai);
+    runSeconds(sim, 5);
+
+    const own = new Set(byTeam(sim, 1).map(u => u.id));
+    const orders = sim.log.filter(entry => entry.type === 'move');
+    assert.ok(orders.length > 0);
+    assert.equal(orders.length, ai.ordersIssued);
+    orders.forEach(entry => {
+        assert.equal(entry.attack, true);
+        entry.ids.forEach(id => assert.ok(own.has(id), `ordered unit ${id}`));
+    });
+    assert.ok(byTeam(sim, 0).every(u => u.orderQueue.length === 0));
+});
+
+test('two AIs fight it out, and the game replays from its log alone', () => {
+    const sim = new Simulation({ seed: 8, opponent: true });
+    sim.addController(new AIController(sim, 0, { planners: ['grid', 'flow'] }));
+    sim.addController(new AIController(sim, 1, { planners: ['grid', 'hpa'] }));
+    const start = sim.units.length;
+    for (let t = 0; t < 120 * TICK_RATE && byTeam(sim, 0).length > 0 && byTeam(sim, 1).length > 0; t++) sim.step();
+
+    assert.ok(byTeam(sim, 0).length === 0 || byTeam(sim, 1).length === 0, 'neither side won');
+    assert.ok(sim.units.length < start);
+    sim.units.forEach(u => assert.ok(Number.isFinite(u.position.x) && Number.isFinite(u.position.z)));
+
+    const replay = Simulation.fromRecording(JSON.parse(JSON.stringify(sim.recording())));
+    while (replay.tick < sim.tick) replay.step();
+    assert.deepEqual(replay.units.map(u => [u.id, u.health, u.position]), sim.units.map(u => [u.id, u.health, u.position]));
+});
+
+test('controllers sit out replays', () => {
+    const sim = new Simulation({ seed: 3, opponent: true });
+    runSeconds(sim, 4);
+    sim.issue({ type: 'spatialHash', enabled: true }); // The replay lasts until this tick
+    const replay = Simulation.fromRecording(sim.recording());
+    replay.addController(new AIController(replay, 1));
+    runSeconds(replay, 3);
+    assert.ok(replay.isReplaying);
+    assert.equal(replay.log.filter(entry => entry.type === 'move').length, 0);
+});
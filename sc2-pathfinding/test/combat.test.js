@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { emptyMap } from '../mapformat.js';
+import { Simulation, TICK_RATE } from '../simulation.js';
+
+// An open 40x40 map with nobody on it
+function arena() {
+    return new Simulation({ seed: 1, map: emptyMap(40, 40, 'Arena') });
+}
+
+function runSeconds(sim, seconds) {
+    for (let t = 0; t < seconds * TICK_RATE; t++) sim.step();
+}
+
+function byTeam(sim, team) {
+    return sim.units.filter(u => u.team === team);
+}
+
+test('a unit in range kills its enemy, which is removed', () => {
+    const sim = arena();
+    sim.issue({ type: 'spawnGroup', x: 0, z: 0, team: 0, units: ['heavy'] });
+    sim.issue({ type: 'spawnGroup', x: 4, z: 0, team: 1, units: ['infantry'] });
+    const [victim] = byTeam(sim, 1);
+    const deaths = [];
+    sim.addEventListener('death', event => deaths.push(event.unit));
+
+    runSeconds(sim, 10);
+    assert.deepEqual(deaths, [victim]);
+    assert.equal(sim.units.includes(victim), false);
+    assert.equal(sim.unitsById.has(victim.id), false);
+    assert.equal(byTeam(sim, 0)[0].target, null);
+});
+
+test('units of the same team never fight', () => {
+    const sim = arena();
+    sim.issue({ type: 'spawnGroup', x: 0, z: 0, team: 0, units: ['infantry', 'infantry', 'heavy'] });
+    let shots = 0;
+    sim.addEventListener('attack', () => shots++);
+    runSeconds(sim, 3);
+    assert.equal(shots, 0);
+    assert.ok(sim.units.every(u => u.health === u.maxHealth && u.target === null));
+});
+
+test('an attack-move stops to fight, then carries on to its destination', () => {
+    const sim = arena();
+    sim.issue({ type: 'spawnGroup', x: -15, z: 0, team: 0, units: ['heavy'] });
+    sim.issue({ type: 'spawnGroup', x: 0, z: 5, team: 1, units: ['infantry'] });
+    const [attacker] = byTeam(sim, 0);
+    const [enemy] = byTeam(sim, 1);
+    sim.issue({ type: 'move', ids: [attacker.id], x: 15, z: 0, planner: 'grid', attack: true });
+
+    let engagedAt = null;
+    for (let t = 0; t < 30 * TICK_RATE && (t < 10 || attacker.isMoving); t++) {
+        sim.step();
+        if (engagedAt === null && attacker.target === enemy) engagedAt = attacker.position.x;
+    }
+    assert.ok(engagedAt !== null && engagedAt < 0, 'never engaged on the way');
+    assert.equal(sim.units.includes(enemy), false);
+    assert.ok(Math.hypot(attacker.position.x - 15, attacker.position.z) < 1.5);
+});
+
+test('a plain move walks past enemies', () => {
+    const sim = arena();
+    sim.issue({ type: 'spawnGroup', x: -15, z: 0, team: 0, units: ['infantry'] });
+    sim.issue({ type: 'spawnGroup', x: 0, z: 15, team: 1, units: ['heavy'] });
+    const [mover] = byTeam(sim, 0);
+    const [enemy] = byTeam(sim, 1);
+    sim.issue({ type: 'hold', ids: [enemy.id] }); // So it does not come after the mover
+    sim.issue({ type: 'move', ids: [mover.id], x: 15, z: 0, planner: 'grid' });
+    let fired = false;
+    sim.addEventListener('attack', event => { if (event.attacker === mover) fired = true; });
+    runSeconds(sim, 10);
+    assert.equal(fired, false);
+    assert.ok(Math.hypot(mover.position.x - 15, mover.position.z) < 1);
+});
+
+test('a unit on hold fires at enemies in range but does not chase', () => {
+    const sim = arena();
+    sim.issue({ type: 'spawnGroup', x: 0, z: 0, team: 0, units: ['infantry'] });
+    sim.issue({ type: 'spawnGroup', x: 7.5, z: 0, team: 1, units: ['infantry'] });
+    sim.issue({ type: 'spawnGroup', x: -4, z: 0, team: 1, units: ['infantry'] });
+    const [holder] = byTeam(sim, 0);
+    const [far, near] = byTeam(sim, 1);
+    sim.issue({ type: 'hold', ids: [holder.id, far.id, near.id] });
+    runSeconds(sim, 0.5);
+
+    const start = { ...holder.position };
+    runSeconds(sim, 2);
+    assert.equal(holder.target, near);
+    assert.ok(near.health < near.maxHealth);
+    assert.equal(far.health, far.maxHealth);
+    assert.deepEqual(holder.position, start);
+});
+
+test('projectiles hit after their flight time', () => {
+    const sim = arena();
+    sim.issue({ type: 'spawnGroup', x: 0, z: 0, team: 0, units: ['heavy'] });
+    sim.issue({ type: 'spawnGroup', x: 0, z: 8, team: 1, units: ['heavy'] });
+    const [shooter, target] = sim.units;
+    sim.issue({ type: 'hold', ids: [target.id] });
+
+    let shot = null;
+    sim.addEventListener('attack', event => { if (event.attacker === shooter && !shot) shot = event.projectile; });
+    for (let t = 0; t < 3 * TICK_RATE && !shot; t++) sim.step();
+    assert.ok(shot, 'never fired');
+    assert.equal(target.health, target.maxHealth); // Still in the air
+    assert.ok(sim.combat.projectiles.includes(shot));
+    runSeconds(sim, 1);
+    assert.equal(sim.combat.projectiles.includes(shot), false);
+    assert.ok(target.health <= target.maxHealth - shot.damage);
+});
+
+test('a fight replays the same', () => {
+    const sim = arena();
+    sim.issue({ type: 'spawnGroup', x: -6, z: 0, team: 0, units: ['infantry', 'infantry', 'heavy', 'swarm'] });
+    sim.issue({ type: 'spawnGroup', x: 6, z: 0, team: 1, units: ['swarm', 'swarm', 'infantry', 'heavy'] });
+    runSeconds(sim, 8);
+
+    const replay = Simulation.fromRecording(sim.recording());
+    runSeconds(replay, 8);
+    assert.deepEqual(replay.units.map(u => [u.id, u.health, u.position]), sim.units.map(u => [u.id, u.health, u.position]));
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Unit } from '../unit.js';
+import { Pathfinder } from '../pathfinding.js';
+import { FlowFieldCache } from '../flowfield.js';
+
+const DT = 1 / 30;
+
+test('orders to the same cell share a field but keep their own goal', () => {
+    const pathfinder = new Pathfinder(20, 20, 1);
+    const cache = new FlowFieldCache(pathfinder);
+    const first = cache.get(6.2, 6.2);
+    const second = cache.get(6.8, 6.8);
+    assert.equal(second, first);
+    assert.deepEqual([first.goalX, first.goalZ], [6.2, 6.2]);
+
+    const early = new Unit(-6.5, -6.5);
+    early.setFlowField(first, 0.3, first.goalFor(6.2, 6.2));
+    const late = new Unit(-6.5, 0.5);
+    late.setFlowField(second, 0.3, second.goalFor(6.8, 6.8));
+    for (const unit of [early, late]) {
+        for (let t = 0; t < 15 / DT && unit.isMoving; t++) unit.update(DT, [unit], pathfinder);
+    }
+    assert.ok(Math.hypot(early.position.x - 6.2, early.position.z - 6.2) < 0.3 + early.maxSpeed * DT);
+    assert.ok(Math.hypot(late.position.x - 6.8, late.position.z - 6.8) < 0.3 + late.maxSpeed * DT);
+});
+
+test('goals outside the goal cell end at its centre', () => {
+    const pathfinder = new Pathfinder(20, 20, 1);
+    pathfinder.setObstacle(3.5, 3.5, true);
+    const cache = new FlowFieldCache(pathfinder);
+    const field = cache.get(3.5, 3.5); // In the wall
+    assert.equal(field.goalAdjusted, true);
+    assert.deepEqual(field.goalFor(3.2, 3.7), { x: field.goalX, z: field.goalZ });
+});
+
+test('off-map goals are clamped before they are cached', () => {
+    const pathfinder = new Pathfinder(20, 20, 1);
+    const cache = new FlowFieldCache(pathfinder);
+    // One cell past the right edge of row 4 would be the first cell of row 5 unclamped
+    const offMap = cache.get(10.5, -5.5);
+    const nextRow = cache.get(-9.5, -4.5);
+    assert.notEqual(offMap, nextRow);
+    assert.equal(offMap.goalCell, 4 * pathfinder.width + pathfinder.width - 1);
+    assert.equal(cache.get(9.5, -5.5), offMap);
+    assert.deepEqual(offMap.goalFor(10.5, -5.5), { x: 9.5, z: -5.5 });
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formationSlots, assignHungarian, FORMATIONS } from '../formation.js';
+import { mulberry32 } from '../random.js';
+
+function close(a, b, epsilon = 1e-9) {
+    return Math.abs(a - b) < epsilon;
+}
+
+// True if segments p1-p2 and q1-q2 cross (touching ends do not count)
+function segmentsCross(p1, p2, q1, q2) {
+    const side = (a, b, c) => (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+    const d1 = side(q1, q2, p1), d2 = side(q1, q2, p2);
+    const d3 = side(p1, p2, q1), d4 = side(p1, p2, q2);
+    return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+function totalDistance(positions, slots) {
+    return positions.reduce((sum, p, i) => sum + Math.hypot(p.x - slots[i].x, p.z - slots[i].z), 0);
+}
+
+test('a clustered group keeps its relative offsets', () => {
+    const positions = [{ x: 0, z: 0 }, { x: 1.5, z: 0.3 }, { x: -0.7, z: 1.2 }, { x: 0.4, z: -1.1 }];
+    const slots = formationSlots(positions, 20, 10);
+    const cx = positions.reduce((s, p) => s + p.x, 0) / 4;
+    const cz = positions.reduce((s, p) => s + p.z, 0) / 4;
+    positions.forEach((p, i) => {
+        assert.ok(close(slots[i].x - 20, p.x - cx));
+        assert.ok(close(slots[i].z - 10, p.z - cz));
+    });
+});
+
+test('a spread-out group converges on the target', () => {
+    const positions = [{ x: -20, z: 0 }, { x: 20, z: 0 }, { x: 0, z: 18 }, { x: 0, z: -18 }];
+    const slots = formationSlots(positions, 5, 5, { spacing: 1.5 });
+    slots.forEach(s => assert.ok(Math.hypot(s.x - 5, s.z - 5) < 2));
+});
+
+test('a move into the middle of a cluster converges instead of shifting it', () => {
+    const positions = [{ x: -2, z: -2 }, { x: 2, z: -2 }, { x: -2, z: 2 }, { x: 2, z: 2 }];
+    const slots = formationSlots(positions, 0.5, 0, { spacing: 1 });
+    slots.forEach(s => assert.ok(Math.hypot(s.x - 0.5, s.z) < 1));
+});
+
+test('slots are one spacing apart and centred on the target', () => {
+    // (Along the direction of travel only for the wedge, whose tip stays on it)
+    const random = mulberry32(3);
+    const positions = Array.from({ length: 9 }, () => ({ x: random() * 40 - 60, z: random() * 40 }));
+    for (const formation of FORMATIONS) {
+        const slots = formationSlots(positions, 10, -10, { formation, spacing: 2 });
+        const mx = slots.reduce((s, p) => s + p.x, 0) / slots.length;
+        const mz = slots.reduce((s, p) => s + p.z, 0) / slots.length;
+        if (formation !== 'wedge') assert.ok(close(mx, 10, 1e-6) && close(mz, -10, 1e-6), formation);
+        let closest = Infinity;
+        for (let i = 0; i < slots.length; i++) {
+            for (let j = i + 1; j < slots.length; j++) {
+                closest = Math.min(closest, Math.hypot(slots[i].x - slots[j].x, slots[i].z - slots[j].z));
+            }
+        }
+        assert.ok(closest > 2 - 1e-6, `${formation}: slots ${closest.toFixed(3)} apart`);
+    }
+});
+
+test('line, column and wedge face the direction of travel', () => {
+    // Group to the west of the target, so the move heads along +x
+    const positions = Array.from({ length: 6 }, (_, i) => ({ x: -40 + Math.floor(i / 2) * 10, z: i % 2 ? 12 : -12 }));
+
+    const line = formationSlots(positions, 0, 0, { formation: 'line', spacing: 1 });
+    line.forEach(s => assert.ok(close(s.x, 0)));
+
+    const column = formationSlots(positions, 0, 0, { formation: 'column', spacing: 1 });
+    const zs = new Set(column.map(s => s.z.toFixed(6)));
+    const xs = new Set(column.map(s => s.x.toFixed(6)));
+    assert.equal(zs.size, 2); // Two abreast
+    assert.equal(xs.size, 3); // Three ranks deep along the move
+
+    const wedge = formationSlots(positions, 0, 0, { formation: 'wedge', spacing: 1 });
+    const tip = wedge.reduce((best, s) => (s.x > best.x ? s : best));
+    assert.ok(close(tip.z, 0)); // The tip leads, on the line of travel
+    assert.equal(wedge.filter(s => close(s.x, tip.x)).length, 1);
+});
+
+test('assignment finds the smallest total distance and paths do not cross', () => {
+    const random = mulberry32(11);
+    for (let round = 0; round < 20; round++) {
+        const n = 2 + Math.floor(random() * 7);
+        const positions = Array.from({ length: n }, () => ({ x: random() * 30, z: random() * 30 }));
+        const slots = Array.from({ length: n }, () => ({ x: 40 + random() * 10, z: random() * 10 }));
+        const assignment = assignHungarian(positions, slots);
+        assert.deepEqual([...assignment].sort((a, b) => a - b), [...Array(n).keys()]);
+
+        // Brute force over every permutation
+        let best = Infinity;
+        const permute = (prefix, rest) => {
+            if (rest.length === 0) {
+                best = Math.min(best, totalDistance(positions, prefix.map(j => slots[j])));
+                return;
+            }
+            rest.forEach((j, k) => permute([...prefix, j], [...rest.slice(0, k), ...rest.slice(k + 1)]));
+        };
+        permute([], [...Array(n).keys()]);
+        const matched = assignment.map(j => slots[j]);
+        assert.ok(close(totalDistance(positions, matched), best, 1e-6));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                assert.ok(!segmentsCross(positions[i], matched[i], positions[j], matched[j]));
+            }
+        }
+    }
+});
+
+test('very large groups still get one slot each', () => {
+    const random = mulberry32(5);
+    const positions = Array.from({ length: 400 }, () => ({ x: random() * 100 - 50, z: random() * 100 - 50 }));
+    const slots = formationSlots(positions, 0, 0, { spacing: 1 });
+    const keys = new Set(slots.map(s => `${s.x.toFixed(6)},${s.z.toFixed(6)}`));
+    assert.equal(keys.size, 400);
+});
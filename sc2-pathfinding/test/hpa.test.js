@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pathfinder } from '../pathfinding.js';
+import { HierarchicalPathfinder } from '../hpa.js';
+import { mulberry32 } from '../random.js';
+
+// World position of the centre of grid cell (x, y)
+function centre(pf, x, y) {
+    return pf.cellToWorld(x, y);
+}
+
+function crossesWall(pf, path) {
+    for (let i = 1; i < path.length; i++) {
+        if (!pf.hasLineOfSight(path[i - 1], path[i])) return true;
+    }
+    return false;
+}
+
+test('a route that leaves its cluster and comes back is found', () => {
+    // Start and end share the first 16x16 cluster, but the wall at x = 8
+    // splits it and the way round runs through the cluster below
+    const pf = new Pathfinder(32, 32, 1);
+    for (let y = 0; y <= 17; y++) pf.setObstacle(centre(pf, 8, y).x, centre(pf, 8, y).z, true);
+    const hpa = new HierarchicalPathfinder(pf);
+    const from = centre(pf, 4, 4);
+    const to = centre(pf, 12, 4);
+
+    const grid = pf.findPath(from.x, from.z, to.x, to.z);
+    const path = hpa.findPath(from.x, from.z, to.x, to.z);
+    assert.equal(grid.length, 4);
+    assert.ok(path.length > 0, 'no HPA* path');
+    assert.deepEqual(path[0], grid[0]);
+    assert.deepEqual(path[path.length - 1], grid[grid.length - 1]);
+    assert.equal(crossesWall(pf, path), false);
+});
+
+test('agrees with the grid planner on what is reachable', () => {
+    const random = mulberry32(11);
+    const pf = new Pathfinder(48, 48, 1);
+    for (let i = 0; i < 850; i++) pf.setObstacle(random() * 48 - 24, random() * 48 - 24, true);
+    const hpa = new HierarchicalPathfinder(pf);
+
+    let reachable = 0, unreachable = 0;
+    for (let i = 0; i < 60; i++) {
+        const [sx, sz, ex, ez] = [0, 0, 0, 0].map(() => Math.floor(random() * 48 - 24) + 0.5);
+        if (!pf.isWalkableAt(sx, sz) || !pf.isWalkableAt(ex, ez)) continue;
+        const grid = pf.findPath(sx, sz, ex, ez).length > 0;
+        const path = hpa.findPath(sx, sz, ex, ez);
+        assert.equal(path.length > 0, grid, `${sx}, ${sz} -> ${ex}, ${ez}`);
+        assert.equal(crossesWall(pf, path), false);
+        if (grid) reachable++;
+        else unreachable++;
+    }
+    assert.ok(reachable > 0 && unreachable > 0, `${reachable} reachable, ${unreachable} not`);
+});
+
+test('a grid change rebuilds only the clusters around it', () => {
+    const pf = new Pathfinder(64, 64, 1);
+    const hpa = new HierarchicalPathfinder(pf);
+    const from = centre(pf, 4, 20);
+    const to = centre(pf, 60, 20);
+    assert.equal(hpa.findPath(from.x, from.z, to.x, to.z).length, 2);
+
+    // A wall across the whole map at x = 32, except a gap at the bottom
+    pf.batch(() => {
+        for (let y = 0; y < 60; y++) pf.setObstacle(centre(pf, 32, y).x, centre(pf, 32, y).z, true);
+    });
+    const layer = hpa.layers.get(0);
+    assert.ok(layer.dirty.size > 0 && layer.dirty.size < hpa.clusterCount, `${layer.dirty.size} dirty clusters`);
+    [...layer.dirty].forEach(c => assert.ok([1, 2].includes(c % hpa.clustersX), `cluster ${c}`));
+
+    const around = hpa.findPath(from.x, from.z, to.x, to.z);
+    assert.equal(layer.dirty.size, 0);
+    assert.ok(around.length > 2);
+    assert.equal(crossesWall(pf, around), false);
+    assert.ok(around.some(p => p.z > centre(pf, 0, 59).z), 'did not go through the gap');
+
+    // Closing the gap cuts the map in two
+    pf.batch(() => {
+        for (let y = 60; y < 64; y++) pf.setObstacle(centre(pf, 32, y).x, centre(pf, 32, y).z, true);
+    });
+    assert.deepEqual(hpa.findPath(from.x, from.z, to.x, to.z), []);
+});
+
+test('a graph rebuilt edit by edit finds the same paths as a fresh one', () => {
+    const random = mulberry32(3);
+    const pf = new Pathfinder(64, 64, 1);
+    for (let i = 0; i < 600; i++) pf.setObstacle(random() * 64 - 32, random() * 64 - 32, true);
+    const live = new HierarchicalPathfinder(pf);
+    const queries = [];
+    for (let i = 0; i < 400; i++) queries.push([0, 0, 0, 0].map(() => Math.floor(random() * 64 - 32) + 0.5));
+    const ask = (hpa, [sx, sz, ex, ez]) => hpa.findPath(sx, sz, ex, ez);
+
+    // Toggle walls one at a time, querying in between so that borders are
+    // torn down and rebuilt in an order no fresh build would use
+    for (let i = 0; i < 200; i++) {
+        const x = random() * 64 - 32, z = random() * 64 - 32;
+        pf.setObstacle(x, z, pf.isWalkableAt(x, z));
+        ask(live, queries[i % queries.length]);
+    }
+
+    const fresh = new HierarchicalPathfinder(pf);
+    queries.forEach(query => assert.deepEqual(ask(live, query), ask(fresh, query), query.join(', ')));
+    live.dispose();
+    fresh.dispose();
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMap, emptyMap, MAP_FORMAT } from '../mapformat.js';
+import { Simulation, TICK_RATE } from '../simulation.js';
+
+const SAMPLES = ['open-field', 'chokepoints', 'maze'];
+
+function loadSample(name) {
+    return parseMap(readFileSync(new URL(`../maps/${name}.json`, import.meta.url), 'utf8'));
+}
+
+SAMPLES.forEach(name => {
+    test(`${name}: loads, exports unchanged and puts every unit on open ground`, () => {
+        const map = loadSample(name);
+        const sim = new Simulation({ seed: 1, map });
+        assert.equal(sim.pathfinder.width, map.width);
+        assert.equal(sim.units.length, map.spawns.length);
+        sim.units.forEach((unit, i) => {
+            assert.equal(unit.type, map.spawns[i].type);
+            assert.ok(sim.pathfinder.isWalkableAt(unit.position.x, unit.position.z), `spawn ${i} is in a wall`);
+        });
+        assert.deepEqual(sim.exportMap(map.name), map);
+    });
+
+    test(`${name}: the spawned group can cross to the far side`, () => {
+        const map = loadSample(name);
+        const sim = new Simulation({ seed: 1, map });
+        // The opposite corner from the spawns, on open ground
+        let cx = 0, cz = 0;
+        map.spawns.forEach(s => { cx += s.x; cz += s.z; });
+        const pf = sim.pathfinder;
+        pf.clearance.update();
+        const cell = pf.resolveCell(pf.toGridX(-cx / map.spawns.length), pf.toGridY(-cz / map.spawns.length), 2);
+        const target = pf.cellToWorld(cell.x, cell.y);
+        const order = sim.issue({ type: 'move', ids: sim.units.map(u => u.id), x: target.x, z: target.z, planner: 'grid' });
+        // Slots can land on the far side of a maze wall, so allow a long walk
+        for (let t = 0; t < 180 * TICK_RATE && (t < 10 || sim.units.some(u => u.isMoving)); t++) sim.step();
+
+        order.legs.forEach(leg => {
+            assert.ok(leg.path.length > 1, `unit ${leg.unit.id} found no path`);
+            const end = leg.path[leg.path.length - 1];
+            const miss = Math.hypot(leg.unit.position.x - end.x, leg.unit.position.z - end.z);
+            // Heavies packing into the group shove their neighbours off their slots
+            assert.ok(miss < 4, `unit ${leg.unit.id} stopped ${miss.toFixed(2)} from its slot`);
+        });
+    });
+});
+
+test('a map recorded with its commands replays the same', () => {
+    const sim = new Simulation({ seed: 4, map: loadSample('chokepoints') });
+    sim.issue({ type: 'terrain', x: 0.5, z: 0.5, cost: 3 });
+    sim.issue({ type: 'move', ids: sim.units.map(u => u.id), x: 15, z: 0, planner: 'grid' });
+    for (let t = 0; t < 5 * TICK_RATE; t++) sim.step();
+
+    const replay = Simulation.fromRecording(sim.recording());
+    for (let t = 0; t < 5 * TICK_RATE; t++) replay.step();
+    assert.deepEqual(replay.units.map(u => u.position), sim.units.map(u => u.position));
+});
+
+test('edited terrain and spawns are exported', () => {
+    const sim = new Simulation({ seed: 1, map: emptyMap(20, 10, 'Blank') });
+    sim.issue({ type: 'wall', x: 0.5, z: 0.5, value: true });
+    sim.issue({ type: 'terrain', x: 1.5, z: 0.5, cost: 0.5 });
+    sim.issue({ type: 'spawnPoint', x: -5, z: 2, unitType: 'heavy' });
+    sim.issue({ type: 'spawnPoint', x: 5.123, z: 2, unitType: 'infantry' });
+    sim.issue({ type: 'spawnPoint', x: -5.2, z: 2.1, remove: true });
+    sim.issue({ type: 'spawnPoint', x: 7, z: -3, unitType: 'infantry', team: 1 });
+    sim.step();
+
+    const map = sim.exportMap('Edited');
+    assert.equal(map.rows[5], '..........#r........');
+    assert.deepEqual(map.spawns, [{ x: 5.12, z: 2, type: 'infantry', team: 0 }, { x: 7, z: -3, type: 'infantry', team: 1 }]);
+    assert.deepEqual(parseMap(JSON.stringify(map)), map);
+});
+
+test('broken maps are rejected with a reason', () => {
+    const good = emptyMap(4, 2);
+    const broken = [
+        [{ ...good, format: 'something-else' }, /format/],
+        [{ ...good, version: 2 }, /version/],
+        [{ ...good, width: 0 }, /width/],
+        [{ ...good, rows: ['....'] }, /rows/],
+        [{ ...good, rows: ['....', '...'] }, /row 1/],
+        [{ ...good, rows: ['..x.', '....'] }, /unknown cell 'x'/],
+        [{ ...good, spawns: [{ x: 'a', z: 0 }] }, /spawn 0/],
+        [{ ...good, spawns: [{ x: 0, z: 0, team: -1 }] }, /spawn 0 team/],
+        [{ ...good, spawns: [{ x: 0, z: 0 }, { x: 0, z: 0, type: 'tank' }] }, /spawn 1 has unknown unit type 'tank'/],
+        [{ ...good, spawns: [{ x: 0, z: 0, type: 'toString' }] }, /unknown unit type/],
+        [{ ...good, spawns: [{ x: 2, z: 0 }] }, /spawn 0 is off the map/],
+        [{ ...good, spawns: [{ x: 0, z: -1.5 }] }, /spawn 0 is off the map/]
+    ];
+    broken.forEach(([map, reason]) => assert.throws(() => parseMap(map), reason));
+    assert.throws(() => parseMap('{ not json'), SyntaxError);
+    assert.equal(parseMap(JSON.stringify(good)).format, MAP_FORMAT);
+});
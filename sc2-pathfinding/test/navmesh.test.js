@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pathfinder } from '../pathfinding.js';
+import { NavMesh } from '../navmesh.js';
+import { mulberry32 } from '../random.js';
+
+// 20x20 with a wall from the left edge to x = 4, one cell thick at z = 0..1
+function cornerMap() {
+    const pf = new Pathfinder(20, 20, 1);
+    for (let x = -10; x < 4; x++) pf.setObstacle(x + 0.5, 0.5, true);
+    return pf;
+}
+
+test('triangles cover every walkable cell and only those', () => {
+    const pf = cornerMap();
+    const mesh = new NavMesh(pf);
+    for (let y = 0; y < pf.height; y++) {
+        for (let x = 0; x < pf.width; x++) {
+            const centre = pf.cellToWorld(x, y);
+            assert.equal(mesh.findTriangle(centre.x, centre.z) !== -1, !pf.isBlocked(x, y), `cell ${x}, ${y}`);
+        }
+    }
+});
+
+test('the funnel pulls the path tight around the end of a wall', () => {
+    const mesh = new NavMesh(cornerMap());
+    const path = mesh.findPath(-5, -5, -5, 5);
+
+    assert.deepEqual(path[0], { x: -5, y: 0, z: -5 });
+    assert.deepEqual(path[path.length - 1], { x: -5, y: 0, z: 5 });
+    // The only turns are at the two corners of the wall's end
+    assert.deepEqual(path.slice(1, -1).map(p => [p.x, p.z]), [[4, 0], [4, 1]]);
+});
+
+test('no path between disconnected regions', () => {
+    const pf = new Pathfinder(20, 20, 1);
+    for (let x = -10; x < 10; x++) pf.setObstacle(x + 0.5, 0.5, true);
+    const mesh = new NavMesh(pf);
+    assert.deepEqual(mesh.findPath(-5, -5, -5, 5), []);
+    assert.ok(mesh.findPath(-5, -5, 5, -5).length > 0);
+});
+
+test('agrees with the grid planner on what is reachable', () => {
+    const random = mulberry32(7);
+    const pf = new Pathfinder(30, 30, 1);
+    for (let i = 0; i < 330; i++) pf.setObstacle(random() * 30 - 15, random() * 30 - 15, true);
+    const mesh = new NavMesh(pf);
+
+    let reachable = 0, unreachable = 0;
+    for (let i = 0; i < 60; i++) {
+        const [sx, sz, ex, ez] = [0, 0, 0, 0].map(() => Math.floor(random() * 30 - 15) + 0.5);
+        if (!pf.isWalkableAt(sx, sz) || !pf.isWalkableAt(ex, ez)) continue;
+        const grid = pf.findPath(sx, sz, ex, ez).length > 0;
+        assert.equal(mesh.findPath(sx, sz, ex, ez).length > 0, grid, `${sx}, ${sz} -> ${ex}, ${ez}`);
+        if (grid) reachable++;
+        else unreachable++;
+    }
+    assert.ok(reachable > 0 && unreachable > 0, `${reachable} reachable, ${unreachable} not`);
+});
@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pathfinder } from '../pathfinding.js';
+import { Planners, PathfindingService, mirrorCells } from '../pathservice.js';
+import { Simulation, ORDER_DELAY } from '../simulation.js';
+import { mulberry32 } from '../random.js';
+
+// 30x30 with a wall across the middle, open at the right-hand end
+function walledMap(options) {
+    const pf = new Pathfinder(30, 30, 1, options);
+    for (let x = -15; x < 10; x++) pf.setObstacle(x + 0.5, 0.5, true);
+    return pf;
+}
+
+test('diagnostics report the search without changing the path', () => {
+    const pf = walledMap();
+    const plain = pf.findPath(-10, -10, -10, 10);
+    const diagnostics = {};
+    const path = pf.findPath(-10, -10, -10, 10, { diagnostics });
+
+    assert.deepEqual(path, plain);
+    assert.equal(diagnostics.found, true);
+    assert.equal(diagnostics.algorithm, 'astar');
+    assert.equal(diagnostics.path, path);
+    assert.ok(diagnostics.elapsedMs >= 0);
+
+    // The raw path steps cell by cell; smoothing only drops points from it
+    const raw = diagnostics.rawPath;
+    assert.ok(raw.length > path.length);
+    for (let i = 1; i < raw.length; i++) {
+        assert.ok(Math.max(Math.abs(raw[i].x - raw[i - 1].x), Math.abs(raw[i].z - raw[i - 1].z)) === 1);
+    }
+    path.forEach(p => assert.ok(raw.some(r => r.x === p.x && r.z === p.z)));
+
+    // Every raw cell was closed on the way, except the goal
+    assert.equal(diagnostics.iterations, diagnostics.expanded.length + 1);
+    assert.equal(diagnostics.expandedCost.length, diagnostics.expanded.length);
+    const closed = new Set(diagnostics.expanded);
+    raw.slice(0, -1).forEach(p => assert.ok(closed.has(pf.toGridY(p.z) * pf.width + pf.toGridX(p.x))));
+    diagnostics.expanded.forEach(cell => assert.equal(pf.grid[cell], 0));
+});
+
+test('jump point search expands fewer cells for the same route', () => {
+    const astar = {};
+    const jps = {};
+    walledMap().findPath(-10, -10, -10, 10, { diagnostics: astar });
+    walledMap({ algorithm: 'jps' }).findPath(-10, -10, -10, 10, { diagnostics: jps });
+    assert.equal(jps.algorithm, 'jps');
+    assert.ok(jps.expanded.length < astar.expanded.length / 2, `${jps.expanded.length} vs ${astar.expanded.length}`);
+});
+
+test('diagnostics of a failed search', () => {
+    const pf = new Pathfinder(20, 20, 1);
+    for (let z = -10; z < 10; z++) pf.setObstacle(0.5, z + 0.5, true);
+    const diagnostics = {};
+    assert.deepEqual(pf.findPath(-5, 0, 5, 0, { diagnostics }), []);
+    assert.equal(diagnostics.found, false);
+    assert.deepEqual(diagnostics.rawPath, []);
+    assert.equal(diagnostics.iterations, diagnostics.expanded.length);
+    assert.ok(diagnostics.expanded.length > 50); // The whole left half
+});
+
+test('terrain costs must be finite and positive', () => {
+    const pf = new Pathfinder(10, 10, 1);
+    for (const cost of [0, -1, NaN, Infinity]) {
+        assert.throws(() => pf.setCost(0.5, 0.5, cost), /Invalid terrain cost/);
+    }
+    assert.equal(pf.getCostAt(0.5, 0.5), 1);
+    assert.equal(pf.minCost, 1);
+    pf.setCost(0.5, 0.5, 0.5);
+    assert.equal(pf.minCost, 0.5);
+});
+
+test('HPA* and the navmesh report their own searches', () => {
+    const pf = walledMap();
+    const planners = new Planners(pf);
+    for (const name of ['hpa', 'navmesh']) {
+        const diagnostics = {};
+        const path = planners.get(name).findPath(-10, -10, -10, 10, { diagnostics });
+        assert.deepEqual(path, planners.get(name).findPath(-10, -10, -10, 10), name);
+        assert.equal(diagnostics.algorithm, name);
+        assert.equal(diagnostics.found, true);
+        assert.equal(diagnostics.path, path);
+        assert.ok(diagnostics.rawPath.length >= path.length, name);
+        assert.ok(diagnostics.iterations > 0 && diagnostics.expanded.length > 0, name);
+        assert.equal(diagnostics.expandedCost.length, diagnostics.expanded.length);
+        diagnostics.expanded.forEach(cell => assert.equal(pf.grid[cell], 0));
+    }
+
+    const blocked = new Pathfinder(20, 20, 1);
+    for (let z = -10; z < 10; z++) blocked.setObstacle(0.5, z + 0.5, true);
+    for (const name of ['hpa', 'navmesh']) {
+        const diagnostics = {};
+        assert.deepEqual(new Planners(blocked).get(name).findPath(-5, 0, 5, 0, { diagnostics }), []);
+        assert.equal(diagnostics.found, false, name);
+        assert.deepEqual(diagnostics.rawPath, []);
+    }
+});
+
+test('units keep the diagnostics of the query that found their path', () => {
+    const sim = new Simulation({ seed: 4 });
+    sim.pathDiagnostics = true;
+    const [first, second] = sim.units;
+    sim.issue({ type: 'move', ids: [first.id], x: 15, z: 15, planner: 'navmesh' });
+    sim.issue({ type: 'move', ids: [second.id], x: -15, z: 15, planner: 'hpa' });
+    for (let t = 0; t <= ORDER_DELAY; t++) sim.step();
+
+    assert.equal(first.pathDiagnostics.algorithm, 'navmesh');
+    assert.equal(first.pathDiagnostics.path, first.path);
+    assert.equal(second.pathDiagnostics.algorithm, 'hpa');
+    assert.equal(second.pathDiagnostics.path, second.path);
+
+    // Off by default, and a path set without them drops the old ones
+    sim.pathDiagnostics = false;
+    sim.issue({ type: 'move', ids: [first.id], x: -15, z: -15, planner: 'grid' });
+    for (let t = 0; t <= ORDER_DELAY; t++) sim.step();
+    assert.ok(first.path.length > 0);
+    assert.equal(first.pathDiagnostics, null);
+});
+
+test('the path service hands diagnostics back with the path', async () => {
+    const pf = walledMap();
+    const service = new PathfindingService(pf, { worker: false });
+    const diagnostics = {};
+    const path = await service.findPath(-10, -10, -10, 10, { planner: 'hpa', diagnostics });
+    assert.equal(diagnostics.algorithm, 'hpa');
+    assert.equal(diagnostics.path, path);
+    service.dispose();
+});
+
+test("a worker's mirrored planners find the same paths as the simulation's", () => {
+    const random = mulberry32(7);
+    const pf = new Pathfinder(64, 64, 1);
+    const planners = new Planners(pf);
+    const queries = [];
+    for (let i = 0; i < 300; i++) queries.push([0, 0, 0, 0].map(() => Math.floor(random() * 64 - 32) + 0.5));
+    const ask = (p, [startX, startZ, endX, endZ], planner, radius) =>
+        p.run({ startX, startZ, endX, endZ, planner, radius }).path;
+
+    // What the service would post: every change, in the batches it came in
+    const updates = [];
+    pf.addEventListener('change', event => {
+        const cells = event.cells.slice();
+        updates.push({ cells, grid: cells.map(c => pf.grid[c]), costs: cells.map(c => pf.costs[c]) });
+    });
+    pf.batch(() => {
+        for (let i = 0; i < 600; i++) pf.setObstacle(random() * 64 - 32, random() * 64 - 32, true);
+    });
+    // The simulation edits one cell at a time and plans in between
+    for (let i = 0; i < 200; i++) {
+        const x = random() * 64 - 32, z = random() * 64 - 32;
+        if (i % 5 === 0) pf.setCost(x, z, 2);
+        else pf.setObstacle(x, z, pf.isWalkableAt(x, z));
+        ask(planners, queries[i % queries.length], 'hpa', i % 2);
+    }
+
+    // The worker builds its planners before any update and catches up in two batches
+    const mirror = new Pathfinder(64, 64, 1);
+    const worker = new Planners(mirror);
+    ask(worker, queries[0], 'hpa', 0);
+    ask(worker, queries[0], 'hpa', 1);
+    const half = updates.length >> 1;
+    [updates.slice(0, half), updates.slice(half)].forEach(part => mirror.batch(() => {
+        part.forEach(({ cells, grid, costs }) => mirrorCells(mirror, cells, grid, costs));
+    }));
+    assert.deepEqual(mirror.grid, pf.grid);
+    assert.deepEqual(mirror.costs, pf.costs);
+
+    for (const planner of ['grid', 'hpa', 'navmesh']) {
+        for (const radius of [0, 1]) {
+            queries.forEach(query => assert.deepEqual(
+                ask(worker, query, planner, radius), ask(planners, query, planner, radius),
+                `${planner}, radius ${radius}: ${query.join(', ')}`
+            ));
+        }
+    }
+});
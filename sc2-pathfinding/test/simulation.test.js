@@ -0,0 +1,279 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulation, ORDER_DELAY, TICK_RATE } from '../simulation.js';
+import { emptyMap } from '../mapformat.js';
+import { Pathfinder } from '../pathfinding.js';
+import { Planners, mirrorCells } from '../pathservice.js';
+import { mulberry32 } from '../random.js';
+
+function runSeconds(sim, seconds) {
+    for (let t = 0; t < seconds * TICK_RATE; t++) sim.step();
+}
+
+test('the same seed builds the same map and units', () => {
+    const a = new Simulation({ seed: 42 });
+    const b = new Simulation({ seed: 42 });
+    const c = new Simulation({ seed: 43 });
+    assert.deepEqual(a.pathfinder.grid, b.pathfinder.grid);
+    assert.deepEqual(a.pathfinder.costs, b.pathfinder.costs);
+    assert.deepEqual(a.units.map(u => u.position), b.units.map(u => u.position));
+    assert.notDeepEqual(a.pathfinder.grid, c.pathfinder.grid);
+});
+
+test('paths are plain points', () => {
+    const sim = new Simulation({ seed: 1 });
+    const path = sim.pathfinder.findPath(-20, -20, 20, 20);
+    assert.ok(path.length > 1);
+    path.forEach(p => assert.equal(Object.getPrototypeOf(p), Object.prototype));
+});
+
+test('a move order runs after ORDER_DELAY ticks and brings the group in', () => {
+    const sim = new Simulation({ seed: 5 });
+    const ids = sim.units.map(u => u.id);
+    const order = sim.issue({ type: 'move', ids, x: 12, z: 12, planner: 'grid' });
+    assert.equal(order.legs.length, ids.length);
+
+    for (let t = 0; t < ORDER_DELAY; t++) {
+        sim.step();
+        assert.ok(sim.units.every(u => !u.isMoving));
+    }
+    sim.step();
+    assert.ok(sim.units.some(u => u.isMoving));
+
+    runSeconds(sim, 20);
+    assert.ok(sim.units.every(u => !u.isMoving));
+    order.legs.forEach(leg => {
+        const end = leg.path[leg.path.length - 1];
+        // Slots are 1.5 apart, tighter than large units fit, so separation shoves
+        // the group around a little as it settles
+        const miss = Math.hypot(leg.unit.position.x - end.x, leg.unit.position.z - end.z);
+        assert.ok(miss < 3, `unit ${leg.unit.id} stopped ${miss.toFixed(2)} from its slot`);
+    });
+});
+
+test('flow field orders bring the group within its arrival radius', () => {
+    const sim = new Simulation({ seed: 5 });
+    const ids = sim.units.map(u => u.id);
+    sim.issue({ type: 'move', ids, x: 10, z: -10, planner: 'flow' });
+    runSeconds(sim, 20);
+    assert.ok(sim.units.every(u => !u.isMoving));
+    sim.units.forEach(u => assert.ok(Math.hypot(u.position.x - 10, u.position.z + 10) < 6));
+});
+
+test('a wall dropped on a route makes the unit go around it', () => {
+    const sim = new Simulation({ seed: 9 });
+    const unit = sim.units[1];
+    sim.issue({ type: 'move', ids: [unit.id], x: 15, z: 15, planner: 'grid' });
+    runSeconds(sim, 1);
+    const before = unit.path;
+
+    // Wall off the next waypoint's cell and its neighbours
+    const next = unit.path[unit.currentWaypointIndex];
+    const pf = sim.pathfinder;
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            const x = next.x + dx, z = next.z + dz;
+            if (Math.hypot(x - unit.position.x, z - unit.position.z) > 2) {
+                sim.issue({ type: 'wall', x, z, value: true });
+            }
+        }
+    }
+    sim.step();
+    assert.notEqual(unit.path, before);
+
+    let enteredWall = false;
+    for (let t = 0; t < 20 * TICK_RATE && unit.isMoving; t++) {
+        sim.step();
+        if (!pf.isWalkableAt(unit.position.x, unit.position.z)) enteredWall = true;
+    }
+    assert.equal(enteredWall, false);
+    assert.equal(unit.isMoving, false);
+});
+
+test('a unit left with a wall between it and its waypoint plans around it', () => {
+    // A wall across x 0..1 from z -5 to 5 on open ground
+    const map = emptyMap(20, 20);
+    map.rows = map.rows.map((row, y) => y >= 5 && y < 15 ? row.slice(0, 10) + '#' + row.slice(11) : row);
+    const sim = new Simulation({ seed: 1, map });
+    const unit = sim.addUnit(-3, 0.5, 'infantry');
+    // As if shoved off its route: the way on runs straight through the wall
+    unit.setPath([{ x: 4, z: 0.5 }]);
+
+    const pf = sim.pathfinder;
+    for (let t = 0; t < 20 * TICK_RATE && unit.isMoving; t++) {
+        sim.step();
+        assert.ok(pf.isWalkableAt(unit.position.x, unit.position.z));
+    }
+    assert.equal(unit.isMoving, false);
+    assert.ok(Math.hypot(unit.position.x - 4, unit.position.z - 0.5) < 0.5);
+});
+
+test('spawn replaces every unit', () => {
+    const sim = new Simulation({ seed: 3 });
+    const before = sim.units.slice();
+    sim.issue({ type: 'spawn', stress: true });
+    assert.ok(sim.units.length > 900);
+    assert.ok(before.every(u => !sim.units.includes(u)));
+    assert.ok(sim.units.every(u => sim.pathfinder.isWalkableAt(u.position.x, u.position.z)));
+});
+
+test('queued moves are walked one after the other', () => {
+    const sim = new Simulation({ seed: 9 });
+    const unit = sim.units[1];
+    sim.issue({ type: 'move', ids: [unit.id], x: 10, z: -12, planner: 'grid' });
+    sim.issue({ type: 'move', ids: [unit.id], x: 12, z: 12, planner: 'grid', queued: true });
+    sim.step();
+    sim.issue({ type: 'move', ids: [unit.id], x: -12, z: 12, planner: 'grid', queued: true });
+    runSeconds(sim, 0.5);
+    assert.equal(unit.orderQueue.length, 3);
+
+    const closest = [Infinity, Infinity, Infinity];
+    const reachedAt = [];
+    const points = [[10, -12], [12, 12], [-12, 12]];
+    for (let t = 0; t < 40 * TICK_RATE && unit.orderQueue.length > 0; t++) {
+        sim.step();
+        points.forEach(([x, z], i) => {
+            closest[i] = Math.min(closest[i], Math.hypot(unit.position.x - x, unit.position.z - z));
+            if (closest[i] < 1.5 && reachedAt[i] === undefined) reachedAt[i] = t;
+        });
+    }
+    assert.equal(unit.orderQueue.length, 0);
+    assert.ok(reachedAt[0] < reachedAt[1] && reachedAt[1] < reachedAt[2], `reached at ${reachedAt}`);
+});
+
+test('a patrol keeps turning around between its two ends', () => {
+    const sim = new Simulation({ seed: 9 });
+    const unit = sim.units[1];
+    const home = { ...unit.position };
+    sim.issue({ type: 'patrol', ids: [unit.id], x: -5, z: -12, planner: 'grid' });
+
+    let visits = 0;
+    let atFar = false;
+    for (let t = 0; t < 30 * TICK_RATE; t++) {
+        sim.step();
+        const far = Math.hypot(unit.position.x + 5, unit.position.z + 12) < 1;
+        const near = Math.hypot(unit.position.x - home.x, unit.position.z - home.z) < 1;
+        if (far && !atFar) visits++;
+        if (far) atFar = true;
+        if (near) atFar = false;
+    }
+    assert.ok(visits >= 2, `reached the far end ${visits} times`);
+    assert.equal(unit.orderQueue.length, 1);
+    assert.equal(unit.orderQueue[0].type, 'patrol');
+});
+
+test('a unit holding position is not pushed aside', () => {
+    const sim = new Simulation({ seed: 9 });
+    const [holder, walker] = [sim.units[1], sim.units[2]];
+    sim.issue({ type: 'hold', ids: [holder.id] });
+    sim.issue({ type: 'move', ids: [walker.id], x: holder.position.x, z: holder.position.z, planner: 'grid' });
+    const spot = { ...holder.position };
+    runSeconds(sim, 5);
+    assert.equal(holder.holding, true);
+    assert.deepEqual(holder.position, spot);
+    assert.ok(Math.hypot(walker.position.x - spot.x, walker.position.z - spot.z) > holder.radius);
+});
+
+test('stop drops every order', () => {
+    const sim = new Simulation({ seed: 9 });
+    const unit = sim.units[1];
+    sim.issue({ type: 'move', ids: [unit.id], x: 15, z: 15, planner: 'grid' });
+    sim.issue({ type: 'patrol', ids: [unit.id], x: -15, z: 15, planner: 'grid', queued: true });
+    runSeconds(sim, 1);
+    assert.equal(unit.orderQueue.length, 2);
+
+    sim.issue({ type: 'stop', ids: [unit.id] });
+    runSeconds(sim, 2);
+    assert.equal(unit.orderQueue.length, 0);
+    assert.equal(unit.isMoving, false);
+    assert.ok(Math.hypot(unit.velocity.x, unit.velocity.z) < 0.1);
+});
+
+test('a session recorded through JSON replays the same on every tick', () => {
+    const script = {
+        5: sim => ({ type: 'move', ids: sim.units.map(u => u.id), x: 15, z: 15, planner: 'grid' }),
+        40: () => ({ type: 'wall', x: 0.5, z: 0.5, value: true }),
+        60: () => ({ type: 'steering', mode: 'orca' }),
+        80: sim => ({ type: 'move', ids: sim.units.slice(0, 5).map(u => u.id), x: -12, z: 10, planner: 'flow' }),
+        120: sim => ({ type: 'move', ids: sim.units.slice(5).map(u => u.id), x: 10, z: -15, planner: 'hpa' }),
+        160: sim => ({ type: 'move', ids: sim.units.map(u => u.id), x: -15, z: -15, planner: 'navmesh' }),
+        200: () => ({ type: 'steering', mode: 'separation' })
+    };
+    const positions = sim => sim.units.map(u => [u.id, u.position.x, u.position.z]);
+
+    const recorded = new Simulation({ seed: 7 });
+    const ticks = [];
+    while (recorded.tick < 300) {
+        if (script[recorded.tick]) recorded.issue(script[recorded.tick](recorded));
+        recorded.step();
+        ticks.push(positions(recorded));
+    }
+
+    const replay = Simulation.fromRecording(JSON.parse(JSON.stringify(recorded.recording())));
+    ticks.forEach((expected, t) => {
+        replay.step();
+        assert.deepEqual(positions(replay), expected, `tick ${t + 1}`);
+    });
+});
+
+test('HPA* paths a worker found ahead of time replay the same in-thread', () => {
+    // 600 scattered walls leave many routes of equal cost for HPA* to choose between
+    const random = mulberry32(6);
+    const map = emptyMap(64, 64);
+    const rows = map.rows.map(row => row.split(''));
+    for (let i = 0; i < 600; i++) rows[Math.floor(random() * 64)][Math.floor(random() * 64)] = '#';
+    for (let y = 0; y < 4; y++) rows[y].fill('.', 0, 4);
+    map.rows = rows.map(row => row.join(''));
+    for (let i = 0; i < 10; i++) {
+        map.spawns.push({ x: -31.5 + i % 4, z: -31.5 + Math.floor(i / 4), type: i % 5 === 4 ? 'heavy' : 'infantry' });
+    }
+    const recorded = new Simulation({ seed: 6, map });
+    const pf = recorded.pathfinder;
+
+    // Stands in for the path worker (pathworker.js): its own copy of the grid,
+    // caught up in one batch before each round of requests, and its own planners
+    const mirror = new Pathfinder(pf.width, pf.height, pf.scale);
+    const worker = new Planners(mirror);
+    let unsynced = [];
+    for (let i = 0; i < pf.grid.length; i++) {
+        if (pf.grid[i] !== 0 || pf.costs[i] !== 1) unsynced.push(i);
+    }
+    pf.addEventListener('change', event => unsynced.push(...event.cells));
+    const sync = () => {
+        mirrorCells(mirror, unsynced, unsynced.map(c => pf.grid[c]), unsynced.map(c => pf.costs[c]));
+        unsynced = [];
+    };
+
+    // Every two seconds the army moves somewhere new; in between, walls go up
+    // and come down one at a time, and the simulation re-plans around them
+    const positions = sim => sim.units.map(u => [u.id, u.position.x, u.position.z]);
+    const orders = [];
+    const ticks = [];
+    while (recorded.tick < 600) {
+        const phase = recorded.tick % 60;
+        if (phase === 5) {
+            const [x, z] = [random() * 60 - 30, random() * 60 - 30];
+            const order = recorded.issue({ type: 'move', ids: recorded.units.map(u => u.id), x, z, planner: 'hpa' });
+            sync();
+            order.legs.forEach(leg => order.prefetched.set(leg.unit.id, worker.run({
+                startX: leg.startX, startZ: leg.startZ, endX: leg.x, endZ: leg.z,
+                radius: leg.unit.radius, planner: 'hpa', report: true
+            })));
+            orders.push(order);
+        } else if (phase > 5 + ORDER_DELAY && phase % 3 === 0) {
+            const [x, z] = [random() * 60 - 30, random() * 60 - 30];
+            recorded.issue({ type: 'wall', x, z, value: pf.isWalkableAt(x, z) });
+        }
+        recorded.step();
+        ticks.push(positions(recorded));
+    }
+    // The units really did set off on the worker's paths
+    const used = orders.flatMap(order => order.legs.filter(leg => leg.path && leg.path === order.prefetched.get(leg.unit.id).path));
+    assert.ok(used.length > 0);
+
+    const replay = Simulation.fromRecording(JSON.parse(JSON.stringify(recorded.recording())));
+    ticks.forEach((expected, t) => {
+        replay.step();
+        assert.deepEqual(positions(replay), expected, `tick ${t + 1}`);
+    });
+});
@@ -0,0 +1,265 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Unit, SEPARATION_BUFFER, UNIT_TYPES } from '../unit.js';
+import { Pathfinder } from '../pathfinding.js';
+import { FlowField } from '../flowfield.js';
+
+const DT = 1 / 30;
+
+// Step the units together for the given number of seconds
+function run(units, seconds, terrain = null) {
+    for (let t = 0; t < seconds / DT; t++) units.forEach(unit => unit.update(DT, units, terrain));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+test('follows a path through every waypoint in order', () => {
+    const unit = new Unit(0, 0);
+    const path = [{ x: 0, z: 0 }, { x: 5, z: 0 }, { x: 5, z: 5 }, { x: 0, z: 5 }];
+    unit.setPath(path);
+
+    const reached = [];
+    for (let t = 0; t < 10 / DT && unit.isMoving; t++) {
+        const index = unit.currentWaypointIndex;
+        unit.update(DT, [unit]);
+        if (unit.currentWaypointIndex !== index) reached.push(index);
+    }
+
+    assert.deepEqual(reached, [1, 2, 3]);
+    assert.equal(unit.isMoving, false);
+    assert.ok(distance(unit.position, path[3]) < 1);
+});
+
+test('the unit type sets the radius unless one is given', () => {
+    assert.equal(new Unit(0, 0).radius, UNIT_TYPES.infantry.radius);
+    assert.equal(new Unit(0, 0, { type: 'heavy' }).radius, UNIT_TYPES.heavy.radius);
+    assert.equal(new Unit(0, 0, { type: 'heavy', radius: 0.7 }).radius, 0.7);
+});
+
+test('a one-point path walks to that point', () => {
+    const unit = new Unit(0, 0);
+    unit.setPath([{ x: 0.8, z: 0 }]);
+    run([unit], 2);
+    assert.equal(unit.isMoving, false);
+    assert.ok(distance(unit.position, { x: 0.8, z: 0 }) < 0.5);
+});
+
+test('keeps to the corridor between waypoints', () => {
+    const unit = new Unit(0, 0);
+    unit.setPath([{ x: 0, z: 0 }, { x: 10, z: 0 }]);
+    let widest = 0;
+    for (let t = 0; t < 5 / DT && unit.isMoving; t++) {
+        unit.update(DT, [unit]);
+        widest = Math.max(widest, Math.abs(unit.position.z));
+    }
+    assert.ok(widest < 1e-9);
+    assert.ok(unit.heading > Math.PI / 2 - 1e-6 && unit.heading < Math.PI / 2 + 1e-6); // Facing +x
+});
+
+test('never moves faster than maxSpeed', () => {
+    const unit = new Unit(0, 0);
+    unit.setPath([{ x: 0, z: 0 }, { x: 30, z: 0 }]);
+    for (let t = 0; t < 3 / DT; t++) {
+        unit.update(DT, [unit]);
+        assert.ok(distance(unit.position, unit.previousPosition) <= unit.maxSpeed * DT + 1e-9);
+    }
+});
+
+test('comes to rest after arriving', () => {
+    const unit = new Unit(0, 0);
+    unit.setPath([{ x: 0, z: 0 }, { x: 8, z: 0 }]);
+    run([unit], 5);
+
+    assert.equal(unit.isMoving, false);
+    assert.deepEqual(unit.path, []);
+    assert.ok(Math.hypot(unit.velocity.x, unit.velocity.z) < 0.01);
+    assert.ok(distance(unit.position, { x: 8, z: 0 }) < 1);
+});
+
+test('speeds up no faster than its acceleration', () => {
+    const unit = new Unit(0, 0, { type: 'heavy' });
+    unit.heading = Math.PI / 2; // Already facing the way
+    unit.setPath([{ x: 0, z: 0 }, { x: 30, z: 0 }]);
+    let speed = 0;
+    for (let t = 0; t < 1 / DT; t++) {
+        unit.update(DT, [unit]);
+        const next = Math.hypot(unit.velocity.x, unit.velocity.z);
+        assert.ok(next - speed <= unit.acceleration * DT + 1e-9);
+        speed = next;
+    }
+    assert.ok(speed > unit.acceleration * 0.3 && speed <= unit.maxSpeed);
+});
+
+test('slows down for the last waypoint instead of running through it', () => {
+    const unit = new Unit(0, 0);
+    unit.setPath([{ x: 0, z: 0 }, { x: 10, z: 0 }]);
+    let speedNear = Infinity;
+    for (let t = 0; t < 5 / DT && unit.isMoving; t++) {
+        unit.update(DT, [unit]);
+        if (distance(unit.position, { x: 10, z: 0 }) < 0.25) {
+            speedNear = Math.min(speedNear, Math.hypot(unit.velocity.x, unit.velocity.z));
+        }
+    }
+    assert.equal(unit.isMoving, false);
+    assert.ok(speedNear < unit.maxSpeed / 2, `still at ${speedNear.toFixed(2)} near the end`);
+    run([unit], 1);
+    assert.ok(distance(unit.position, { x: 10, z: 0 }) < 0.25);
+});
+
+test('turns no faster than its turn rate', () => {
+    const unit = new Unit(0, 0);
+    unit.setPath([{ x: 0, z: 0 }, { x: 0, z: -10 }]); // Straight behind it
+    for (let t = 0; t < 1 / DT; t++) {
+        const before = unit.heading;
+        unit.update(DT, [unit]);
+        let turn = Math.abs(unit.heading - before);
+        if (turn > Math.PI) turn = Math.PI * 2 - turn;
+        assert.ok(turn <= unit.turnRate * DT + 1e-9);
+    }
+    assert.ok(Math.abs(Math.abs(unit.heading) - Math.PI) < 1e-6);
+});
+
+test('a unit that turns in place faces its way before setting off', () => {
+    const unit = new Unit(0, 0, { type: 'heavy' });
+    assert.equal(unit.turnInPlace, true);
+    unit.setPath([{ x: 0, z: 0 }, { x: 0, z: -10 }]); // Facing +z, going -z
+    let turnedBy = null;
+    for (let t = 0; t < 3 / DT; t++) {
+        unit.update(DT, [unit]);
+        const moved = distance(unit.position, { x: 0, z: 0 }) > 1e-9;
+        if (moved && turnedBy === null) turnedBy = Math.abs(unit.heading);
+    }
+    assert.ok(turnedBy > Math.PI * 3 / 4 - 1e-6, `set off facing ${turnedBy}`);
+    assert.ok(unit.position.z < -1);
+});
+
+test('archetypes move differently', () => {
+    const infantry = new Unit(0, 0);
+    const heavy = new Unit(0, 5, { type: 'heavy' });
+    infantry.setPath([{ x: 0, z: 0 }, { x: 0, z: 20 }]);
+    heavy.setPath([{ x: 0, z: 5 }, { x: 0, z: 25 }]);
+    run([infantry], 2);
+    run([heavy], 2);
+    assert.ok(infantry.position.z > heavy.position.z - 5 + 2);
+});
+
+test('an empty path stops the unit', () => {
+    const unit = new Unit(0, 0);
+    unit.setPath([{ x: 0, z: 0 }, { x: 8, z: 0 }]);
+    run([unit], 0.5);
+    unit.setPath([]);
+    run([unit], 2);
+    assert.equal(unit.isMoving, false);
+    assert.ok(Math.hypot(unit.velocity.x, unit.velocity.z) < 0.01);
+});
+
+test('arrives within the flow field arrival radius', () => {
+    const pathfinder = new Pathfinder(20, 20, 1);
+    const field = new FlowField(pathfinder, 6.5, 6.5);
+    const unit = new Unit(-6.5, -6.5);
+    unit.setFlowField(field, 1.5);
+    for (let t = 0; t < 10 / DT && unit.isMoving; t++) unit.update(DT, [unit], pathfinder);
+
+    assert.equal(unit.isMoving, false);
+    assert.equal(unit.flowField, null);
+    assert.ok(distance(unit.position, { x: 6.5, z: 6.5 }) < 1.5 + unit.maxSpeed * DT);
+});
+
+test('moves slower on costly terrain', () => {
+    const pathfinder = new Pathfinder(40, 40, 1);
+    for (let x = -20; x < 20; x++) pathfinder.setCost(x + 0.5, 0.5, 3);
+    const mud = new Unit(-15, 0.5);
+    const ground = new Unit(-15, 5.5);
+    mud.setPath([{ x: -15, z: 0.5 }, { x: 15, z: 0.5 }]);
+    ground.setPath([{ x: -15, z: 5.5 }, { x: 15, z: 5.5 }]);
+    run([mud], 2, pathfinder);
+    run([ground], 2, pathfinder);
+
+    const mudDistance = mud.position.x + 15;
+    const groundDistance = ground.position.x + 15;
+    assert.ok(mudDistance <= mud.maxSpeed / 3 * 2 + 1e-9);
+    assert.ok(groundDistance > mudDistance * 2.5);
+});
+
+test('separation pushes overlapping idle units apart', () => {
+    const a = new Unit(0, 0);
+    const b = new Unit(0.3, 0.1);
+    run([a, b], 2);
+    assert.ok(distance(a.position, b.position) >= a.radius + b.radius);
+    // Pushed apart evenly, along the line between them
+    assert.ok(Math.abs((a.position.x + b.position.x) / 2 - 0.15) < 1e-6);
+    assert.ok(Math.abs((a.position.z + b.position.z) / 2 - 0.05) < 1e-6);
+});
+
+test('separation only acts within the combined radii plus the buffer', () => {
+    const a = new Unit(0, 0);
+    const b = new Unit(1 + SEPARATION_BUFFER + 0.01, 0);
+    run([a, b], 1);
+    assert.deepEqual(a.position, { x: 0, z: 0 });
+    assert.deepEqual(b.position, { x: 1 + SEPARATION_BUFFER + 0.01, z: 0 });
+});
+
+test('units on exactly the same spot stay finite', () => {
+    const a = new Unit(2, 2);
+    const b = new Unit(2, 2);
+    run([a, b], 1);
+    assert.ok(Number.isFinite(a.position.x) && Number.isFinite(b.position.z));
+});
+
+test('separation does not push units into a wall', () => {
+    const pathfinder = new Pathfinder(20, 20, 1);
+    for (let x = -10; x < 10; x++) pathfinder.setObstacle(x + 0.5, 0.5, true);
+    // A crowd squeezed against the wall's lower edge
+    const units = [];
+    for (let i = 0; i < 8; i++) units.push(new Unit(-1 + (i % 4) * 0.3, -0.2 - Math.floor(i / 4) * 0.3));
+    for (let t = 0; t < 3 / DT; t++) {
+        units.forEach(unit => unit.update(DT, units, pathfinder));
+        units.forEach(unit => assert.ok(pathfinder.isWalkableAt(unit.position.x, unit.position.z), `unit inside the wall at ${unit.position.z}`));
+    }
+});
+
+test('a unit steered straight at a wall stops at its edge', () => {
+    const pathfinder = new Pathfinder(20, 20, 1);
+    pathfinder.setObstacle(0.5, 0.5, true);
+    const unit = new Unit(-3, 0.5);
+    unit.setPath([{ x: 3, z: 0.5 }]);
+    run([unit], 3, pathfinder);
+    assert.ok(pathfinder.isWalkableAt(unit.position.x, unit.position.z));
+    assert.ok(Math.abs(unit.position.x) < 1e-3, `stopped at ${unit.position.x}`);
+});
+
+test('a group sent to one point spreads out instead of stacking', () => {
+    const units = [];
+    for (let i = 0; i < 6; i++) {
+        const unit = new Unit(-10, i * 1.2);
+        unit.setPath([{ x: -10, z: i * 1.2 }, { x: 5, z: 3 }]);
+        units.push(unit);
+    }
+    run(units, 8);
+
+    let closest = Infinity;
+    for (let i = 0; i < units.length; i++) {
+        for (let j = i + 1; j < units.length; j++) {
+            closest = Math.min(closest, distance(units[i].position, units[j].position));
+        }
+    }
+    assert.ok(closest > 0.5, `closest pair ${closest.toFixed(2)} apart`);
+});
+
+test('ORCA units passing head-on do not overlap', () => {
+    const a = new Unit(-8, 0, { steering: 'orca' });
+    const b = new Unit(8, 0.1, { steering: 'orca' });
+    a.setPath([{ x: -8, z: 0 }, { x: 8, z: 0 }]);
+    b.setPath([{ x: 8, z: 0.1 }, { x: -8, z: 0.1 }]);
+
+    let closest = Infinity;
+    for (let t = 0; t < 8 / DT; t++) {
+        a.update(DT, [a, b]);
+        b.update(DT, [a, b]);
+        closest = Math.min(closest, distance(a.position, b.position));
+    }
+    assert.ok(closest >= a.radius + b.radius - 0.05, `closest ${closest.toFixed(3)}`);
+    assert.ok(a.position.x > 6 && b.position.x < -6);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pathfinder } from '../pathfinding.js';
+import { Visibility } from '../visibility.js';
+import { Unit } from '../unit.js';
+import { emptyMap } from '../mapformat.js';
+import { Simulation, TICK_RATE } from '../simulation.js';
+
+test('a unit sees open ground within its sight radius', () => {
+    const pf = new Pathfinder(40, 40, 1);
+    const unit = new Unit(0.5, 0.5);
+    const visibility = new Visibility(pf, 0);
+    visibility.update([unit]);
+
+    assert.ok(visibility.isVisibleAt(0.5 + unit.sightRadius - 0.5, 0.5));
+    assert.ok(!visibility.isVisibleAt(0.5 + unit.sightRadius + 1, 0.5));
+    assert.ok(!visibility.isVisibleAt(0.5 + unit.sightRadius * 0.75, 0.5 + unit.sightRadius * 0.75));
+});
+
+test('walls block the view but their faces are seen', () => {
+    const pf = new Pathfinder(40, 40, 1);
+    for (let z = -10; z < 10; z++) pf.setObstacle(3.5, z + 0.5, true);
+    const visibility = new Visibility(pf, 0);
+    visibility.update([new Unit(0.5, 0.5)]);
+
+    assert.ok(visibility.isVisibleAt(2.5, 0.5));
+    assert.ok(visibility.isVisibleAt(3.5, 0.5)); // The wall itself
+    assert.ok(!visibility.isVisibleAt(5.5, 0.5));
+    assert.ok(visibility.isVisibleAt(-5.5, 0.5)); // Open the other way
+});
+
+test('ground seen once stays explored', () => {
+    const pf = new Pathfinder(40, 40, 1);
+    const unit = new Unit(-15, 0);
+    const visibility = new Visibility(pf, 0);
+    visibility.update([unit]);
+    unit.position.x = 15;
+    visibility.update([unit]);
+
+    assert.ok(!visibility.isVisibleAt(-15, 0));
+    assert.ok(visibility.isExploredAt(-15, 0));
+    assert.ok(!visibility.isExploredAt(0, 0));
+    assert.ok(visibility.isVisibleAt(15, 0));
+});
+
+test('only the team\'s own units give it vision', () => {
+    const pf = new Pathfinder(40, 40, 1);
+    const visibility = new Visibility(pf, 0);
+    const enemy = new Unit(10, 10, { team: 1 });
+    visibility.update([new Unit(-10, -10), enemy]);
+    assert.ok(!visibility.isVisibleAt(10, 10));
+    assert.equal(visibility.canSee(enemy), false);
+});
+
+test('the simulation keeps a team\'s vision up to date as enemies come into view', () => {
+    const sim = new Simulation({ seed: 1, map: emptyMap(60, 20, 'Strip') });
+    sim.issue({ type: 'spawnGroup', x: -25, z: 0, team: 0, units: ['infantry'] });
+    sim.issue({ type: 'spawnGroup', x: 25, z: 0, team: 1, units: ['infantry'] });
+    const [scout] = sim.units.filter(u => u.team === 0);
+    const [enemy] = sim.units.filter(u => u.team === 1);
+    sim.issue({ type: 'hold', ids: [enemy.id] });
+    const vision = sim.visibilityFor(0);
+    assert.equal(vision.canSee(enemy), false);
+
+    sim.issue({ type: 'move', ids: [scout.id], x: 20, z: 0, planner: 'grid' });
+    let seenAt = null;
+    for (let t = 0; t < 15 * TICK_RATE && seenAt === null; t++) {
+        sim.step();
+        if (vision.canSee(enemy)) seenAt = scout.position.x;
+    }
+    assert.ok(seenAt !== null, 'never saw the enemy');
+    assert.ok(enemy.position.x - seenAt <= scout.sightRadius + 1);
+});
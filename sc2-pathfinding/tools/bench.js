@@ -0,0 +1,146 @@
+// Headless A* benchmark for Pathfinder.findPath.
+// Usage: node sc2-pathfinding/tools/bench.js [--size 256] [--queries 200] [--density 0.2] [--seed 1] [--algorithm jps|hpa]
+//
+// Builds random obstacle maps, times findPath, and cross-checks the raw grid
+// paths against the original linear-scan A* so regressions in path output show up.
+import { Pathfinder, NEIGHBORS } from '../pathfinding.js';
+import { HierarchicalPathfinder } from '../hpa.js';
+import { mulberry32 } from '../random.js';
+
+const args = parseArgs(process.argv.slice(2));
+const sizes = args.size ? [Number(args.size)] : [50, 128, 256];
+const queries = Number(args.queries || 200);
+const density = Number(args.density || 0.2);
+const seed = Number(args.seed || 1);
+const legacyQueries = Number(args.legacy ?? 20); // The old search is slow on big maps
+const algorithm = args.algorithm || 'astar';
+
+for (const size of sizes) {
+    const random = mulberry32(seed + size);
+    const pathfinder = new Pathfinder(size, size, 1, { algorithm: algorithm === 'jps' ? 'jps' : 'astar' });
+    for (let i = 0; i < size * size; i++) {
+        if (random() < density) pathfinder.grid[i] = 1;
+    }
+
+    // HPA* builds its abstract graph up front; report that separately
+    let planner = pathfinder;
+    let buildMs = 0;
+    if (algorithm === 'hpa') {
+        const t = performance.now();
+        planner = HierarchicalPathfinder.fromPathfinder(pathfinder);
+        planner.layer(0);
+        buildMs = performance.now() - t;
+    }
+
+    const pairs = [];
+    while (pairs.length < queries) {
+        const a = randomWalkable(pathfinder, random);
+        const b = randomWalkable(pathfinder, random);
+        pairs.push([a, b]);
+    }
+
+    // Warm up the JIT before timing
+    for (let i = 0; i < Math.min(20, pairs.length); i++) runQuery(planner, pathfinder, pairs[i]);
+
+    let found = 0;
+    const t0 = performance.now();
+    for (const pair of pairs) {
+        if (runQuery(planner, pathfinder, pair).length > 0) found++;
+    }
+    const heapMs = (performance.now() - t0) / pairs.length;
+
+    let mismatches = 0;
+    let legacyMs = 0;
+    const checked = Math.min(legacyQueries, pairs.length);
+    for (let i = 0; i < checked; i++) {
+        const [a, b] = pairs[i];
+        const t1 = performance.now();
+        const expected = legacyFindCells(pathfinder, a.x, a.y, b.x, b.y);
+        legacyMs += performance.now() - t1;
+        const actual = pathfinder.searchGrid(a.x, a.y, b.x, b.y);
+        if (!sameCells(expected, actual)) mismatches++;
+    }
+
+    console.log(`${size}x${size} density=${density}: ${pairs.length} queries, ${found} with a path`);
+    console.log(`  ${algorithm}:     ${heapMs.toFixed(3)} ms/query`);
+    if (algorithm === 'hpa') console.log(`  hpa build: ${buildMs.toFixed(1)} ms`);
+    if (checked > 0) {
+        console.log(`  legacy A*: ${(legacyMs / checked).toFixed(3)} ms/query (${checked} queries)`);
+        console.log(`  path mismatches vs legacy: ${mismatches}`);
+    }
+    if (mismatches > 0) process.exitCode = 1;
+}
+
+function runQuery(planner, pathfinder, [a, b]) {
+    const s = pathfinder.cellToWorld(a.x, a.y);
+    const e = pathfinder.cellToWorld(b.x, b.y);
+    return planner.findPath(s.x, s.z, e.x, e.z);
+}
+
+function randomWalkable(pathfinder, random) {
+    for (;;) {
+        const x = Math.floor(random() * pathfinder.width);
+        const y = Math.floor(random() * pathfinder.height);
+        if (!pathfinder.isBlocked(x, y)) return { x, y };
+    }
+}
+
+function sameCells(a, b) {
+    if (!a || !b) return a === b;
+    if (a.length !== b.length) return false;
+    return a.every((cell, i) => cell === b[i]);
+}
+
+// The pre-heap implementation: linear open-list scan, string-keyed closed set.
+function legacyFindCells(pf, sx, sy, ex, ey) {
+    const openList = [{ x: sx, y: sy, g: 0, h: 0, f: 0, parent: null }];
+    const closedList = new Set();
+
+    while (openList.length > 0) {
+        let lowestIndex = 0;
+        for (let i = 1; i < openList.length; i++) {
+            if (openList[i].f < openList[lowestIndex].f) lowestIndex = i;
+        }
+        const current = openList[lowestIndex];
+
+        if (current.x === ex && current.y === ey) {
+            const cells = [];
+            for (let curr = current; curr; curr = curr.parent) cells.push(curr.y * pf.width + curr.x);
+            return cells.reverse();
+        }
+
+        openList.splice(lowestIndex, 1);
+        closedList.add(`${current.x},${current.y}`);
+
+        for (let offset of NEIGHBORS) {
+            const nx = current.x + offset.x;
+            const ny = current.y + offset.y;
+            if (!pf.isValid(nx, ny) || pf.isBlocked(nx, ny) || closedList.has(`${nx},${ny}`)) continue;
+            if (Math.abs(offset.x) === 1 && Math.abs(offset.y) === 1) {
+                if (pf.isBlocked(current.x + offset.x, current.y) || pf.isBlocked(current.x, current.y + offset.y)) continue;
+            }
+
+            const gScore = current.g + ((offset.x === 0 || offset.y === 0) ? 1 : 1.414);
+            let neighbor = openList.find(n => n.x === nx && n.y === ny);
+            if (!neighbor) {
+                neighbor = { x: nx, y: ny, parent: current, g: gScore, h: 0, f: 0 };
+                neighbor.h = Math.sqrt(Math.pow(neighbor.x - ex, 2) + Math.pow(neighbor.y - ey, 2));
+                neighbor.f = neighbor.g + neighbor.h;
+                openList.push(neighbor);
+            } else if (gScore < neighbor.g) {
+                neighbor.g = gScore;
+                neighbor.parent = current;
+                neighbor.f = neighbor.g + neighbor.h;
+            }
+        }
+    }
+    return null;
+}
+
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1];
+    }
+    return out;
+}
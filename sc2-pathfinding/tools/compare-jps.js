@@ -0,0 +1,137 @@
+// Compares Jump Point Search against plain A* on random obstacle grids.
+// Usage: node sc2-pathfinding/tools/compare-jps.js [--maps 30] [--queries 50] [--size 64] [--seed 1]
+//
+// For every query both searches must agree on whether a path exists and on its
+// grid length (octile cost). Also reports how many nodes each one expanded and
+// the time per query, after an untimed warm-up so JIT compilation is not counted.
+import { Pathfinder, DIAGONAL_COST } from '../pathfinding.js';
+import { jumpPointSearch } from '../jps.js';
+import { mulberry32 } from '../random.js';
+
+const args = parseArgs(process.argv.slice(2));
+const maps = Number(args.maps || 30);
+const queries = Number(args.queries || 50);
+const size = Number(args.size || 64);
+const random = mulberry32(Number(args.seed || 1));
+
+let compared = 0;
+let failures = 0;
+let astarExpanded = 0, jpsExpanded = 0;
+let astarMs = 0, jpsMs = 0;
+
+// Warm-up on a map of its own, so the timed maps are the same with or without it
+{
+    const warmRandom = mulberry32(0);
+    const pf = new Pathfinder(size, size, 1);
+    for (let i = 0; i < size * size; i++) {
+        if (warmRandom() < 0.2) pf.grid[i] = 1;
+    }
+    for (let q = 0; q < 200; q++) {
+        const a = randomWalkable(pf, warmRandom);
+        const b = randomWalkable(pf, warmRandom);
+        pf.searchGrid(a.x, a.y, b.x, b.y);
+        jumpPointSearch(pf, a.x, a.y, b.x, b.y);
+    }
+}
+
+for (let m = 0; m < maps; m++) {
+    // Sweep from open fields to dense clutter
+    const density = 0.05 + 0.3 * (m / Math.max(1, maps - 1));
+    const pf = new Pathfinder(size, size, 1);
+    for (let i = 0; i < size * size; i++) {
+        if (random() < density) pf.grid[i] = 1;
+    }
+
+    for (let q = 0; q < queries; q++) {
+        const a = randomWalkable(pf);
+        const b = randomWalkable(pf);
+
+        let t0 = performance.now();
+        const astar = pf.searchGrid(a.x, a.y, b.x, b.y);
+        astarMs += performance.now() - t0;
+        astarExpanded += countClosed(pf);
+
+        t0 = performance.now();
+        const jps = jumpPointSearch(pf, a.x, a.y, b.x, b.y);
+        jpsMs += performance.now() - t0;
+        jpsExpanded += countClosed(pf);
+
+        compared++;
+        const problem = checkPair(pf, astar, jps);
+        if (problem) {
+            failures++;
+            if (failures <= 10) {
+                console.log(`map ${m} (density ${density.toFixed(2)}) ${a.x},${a.y} -> ${b.x},${b.y}: ${problem}`);
+            }
+        }
+    }
+}
+
+console.log(`${compared} queries on ${maps} ${size}x${size} maps`);
+console.log(`  A*:  ${astarExpanded} nodes expanded, ${(astarMs / compared).toFixed(3)} ms/query`);
+console.log(`  JPS: ${jpsExpanded} nodes expanded, ${(jpsMs / compared).toFixed(3)} ms/query`);
+console.log(`  mismatches: ${failures}`);
+if (failures > 0) process.exitCode = 1;
+
+function checkPair(pf, astar, jps) {
+    if (!astar || !jps) {
+        return (astar === jps) ? null : `A* ${astar ? 'found' : 'missed'} a path, JPS ${jps ? 'found' : 'missed'} one`;
+    }
+    const step = validateSteps(pf, jps);
+    if (step) return `JPS path invalid: ${step}`;
+    const la = pathCost(pf, astar);
+    const lj = pathCost(pf, jps);
+    // A*'s Euclidean heuristic is a hair inadmissible against the 1.414 diagonal
+    // cost, so allow a rounding-sized gap in either direction
+    if (Math.abs(la - lj) > 1e-3) return `length A* ${la.toFixed(3)} vs JPS ${lj.toFixed(3)}`;
+    return null;
+}
+
+// Each step must be a legal single-cell move under the no-corner-cutting rule
+function validateSteps(pf, cells) {
+    for (let i = 1; i < cells.length; i++) {
+        const ax = cells[i - 1] % pf.width, ay = Math.floor(cells[i - 1] / pf.width);
+        const bx = cells[i] % pf.width, by = Math.floor(cells[i] / pf.width);
+        const dx = bx - ax, dy = by - ay;
+        if (Math.abs(dx) > 1 || Math.abs(dy) > 1) return `jump from ${ax},${ay} to ${bx},${by}`;
+        if (pf.isBlocked(bx, by)) return `enters wall at ${bx},${by}`;
+        if (dx !== 0 && dy !== 0 && (pf.isBlocked(ax + dx, ay) || pf.isBlocked(ax, ay + dy))) {
+            return `cuts corner at ${ax},${ay}`;
+        }
+    }
+    return null;
+}
+
+function pathCost(pf, cells) {
+    let cost = 0;
+    for (let i = 1; i < cells.length; i++) {
+        const diagonal = (cells[i] % pf.width) !== (cells[i - 1] % pf.width) &&
+            Math.floor(cells[i] / pf.width) !== Math.floor(cells[i - 1] / pf.width);
+        cost += diagonal ? DIAGONAL_COST : 1;
+    }
+    return cost;
+}
+
+function countClosed(pf) {
+    let n = 0;
+    for (let i = 0; i < pf.closed.length; i++) {
+        if (pf.closed[i] === pf.searchId) n++;
+    }
+    return n;
+}
+
+function randomWalkable(pf, rand = random) {
+    for (;;) {
+        const x = Math.floor(rand() * pf.width);
+        const y = Math.floor(rand() * pf.height);
+        if (!pf.isBlocked(x, y)) return { x, y };
+    }
+}
+
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1];
+    }
+    return out;
+}
@@ -0,0 +1,125 @@
+// Checks that the simulation is deterministic: plays a scripted session (with
+// the path service answering move orders ahead of time, as in the browser),
+// then replays its recorded input log from the same seed without the service
+// and at a different frame rate, and compares every unit position tick by tick.
+// Usage: node sc2-pathfinding/tools/replay-check.js [--seed 7] [--ticks 600] [--size 50]
+import { Simulation } from '../simulation.js';
+import { PathfindingService } from '../pathservice.js';
+import { mulberry32 } from '../random.js';
+
+const args = parseArgs(process.argv.slice(2));
+const seed = Number(args.seed || 7);
+const ticks = Number(args.ticks || 600);
+const size = Number(args.size || 50);
+
+// Player input by tick. Moves use every planner, orders get queued, and walls
+// go up on the way.
+const script = [
+    { tick: 5, command: sim => ({ type: 'select', ids: sim.units.map(u => u.id) }) },
+    { tick: 6, command: sim => ({ type: 'move', ids: selectedIds(sim), x: 15, z: 15, planner: 'grid' }) },
+    { tick: 40, command: () => ({ type: 'wall', x: 0.5, z: 0.5, value: true }) },
+    { tick: 40, command: () => ({ type: 'wall', x: 1.5, z: 0.5, value: true }) },
+    { tick: 41, command: () => ({ type: 'wall', x: -0.5, z: -0.5, value: true }) },
+    { tick: 90, command: () => ({ type: 'steering', mode: 'orca' }) },
+    { tick: 120, command: sim => ({ type: 'select', ids: sim.units.slice(0, 5).map(u => u.id) }) },
+    { tick: 121, command: sim => ({ type: 'move', ids: selectedIds(sim), x: -12, z: 10, planner: 'flow' }) },
+    { tick: 200, command: sim => ({ type: 'move', ids: selectedIds(sim), x: 10, z: -15, planner: 'hpa' }) },
+    { tick: 201, command: sim => ({ type: 'patrol', ids: selectedIds(sim), x: 15, z: 0, planner: 'grid', queued: true }) },
+    { tick: 240, command: sim => ({ type: 'hold', ids: sim.units.slice(5).map(u => u.id) }) },
+    { tick: 260, command: () => ({ type: 'spatialHash', enabled: false }) },
+    { tick: 300, command: sim => ({ type: 'select', ids: sim.units.map(u => u.id) }) },
+    { tick: 301, command: sim => ({ type: 'move', ids: selectedIds(sim), x: -15, z: -15, planner: 'navmesh' }) },
+    { tick: 302, command: sim => ({ type: 'move', ids: selectedIds(sim), x: -5, z: 15, planner: 'grid', queued: true, attack: true }) },
+    { tick: 380, command: sim => ({ type: 'stop', ids: selectedIds(sim) }) },
+    { tick: 330, command: () => ({ type: 'wall', x: 0.5, z: 0.5, value: false }) },
+    { tick: 400, command: () => ({ type: 'steering', mode: 'separation' }) },
+    { tick: 401, command: sim => ({ type: 'move', ids: selectedIds(sim), x: 5, z: 5, planner: 'grid' }) }
+];
+
+// --- Recorded run: uneven frame times, paths prefetched through the service ---
+
+const recorded = new Simulation({ seed, mapSize: size });
+const service = new PathfindingService(recorded.pathfinder, { worker: false });
+const recordedTicks = captureTicks(recorded);
+const frameRandom = mulberry32(seed ^ 0x5eed);
+let prefetched = 0;
+let next = 0;
+
+while (recorded.tick < ticks) {
+    while (next < script.length && script[next].tick <= recorded.tick) {
+        const command = script[next++].command(recorded);
+        const order = recorded.issue(command);
+        if (order && !command.queued && command.planner && command.planner !== 'flow') prefetch(order);
+    }
+    recorded.advance(0.005 + frameRandom() * 0.06);
+    await Promise.resolve(); // Let the service settle its batch
+}
+
+function prefetch(order) {
+    order.legs.forEach(leg => {
+        service.findPath(leg.startX, leg.startZ, leg.x, leg.z, {
+            radius: leg.unit.radius,
+            planner: order.command.planner,
+            key: leg.unit
+        }).then(path => {
+            if (!path) return;
+            order.prefetched.set(leg.unit.id, { path });
+            prefetched++;
+        });
+    });
+}
+
+function selectedIds(sim) {
+    return sim.units.filter(u => u.selected).map(u => u.id);
+}
+
+// --- Replay: the log after a JSON round trip, a steady 144 fps, no service ---
+
+const recording = JSON.parse(JSON.stringify(recorded.recording()));
+const replayed = Simulation.fromRecording(recording);
+const replayedTicks = captureTicks(replayed);
+while (replayed.tick < recorded.tick) replayed.advance(1 / 144);
+
+// --- Compare ---
+
+const compared = Math.min(recordedTicks.length, replayedTicks.length);
+let mismatch = -1;
+for (let t = 0; t < compared && mismatch === -1; t++) {
+    const a = recordedTicks[t];
+    const b = replayedTicks[t];
+    if (a.length !== b.length || a.some((v, i) => v !== b[i])) mismatch = t;
+}
+
+console.log(`seed ${seed}, ${size}x${size} map, ${recorded.units.length} units`);
+console.log(`  commands logged: ${recording.log.length}, paths prefetched: ${prefetched}`);
+console.log(`  ticks compared:  ${compared} (recorded ${recordedTicks.length}, replayed ${replayedTicks.length})`);
+if (mismatch === -1 && compared >= ticks) {
+    console.log('  positions identical on every tick');
+} else {
+    console.log(mismatch === -1 ? '  not enough ticks compared' : `  first difference at tick ${mismatch + 1}`);
+    process.exitCode = 1;
+}
+
+// Unit positions after each tick, as one flat [x, z, x, z, ...] array per tick
+function captureTicks(sim) {
+    const out = [];
+    const step = sim.step.bind(sim);
+    sim.step = () => {
+        step();
+        const positions = new Float64Array(sim.units.length * 2);
+        sim.units.forEach((unit, i) => {
+            positions[i * 2] = unit.position.x;
+            positions[i * 2 + 1] = unit.position.z;
+        });
+        out.push(positions);
+    };
+    return out;
+}
+
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1];
+    }
+    return out;
+}
@@ -0,0 +1,81 @@
+// Headless AI vs AI soak test for the movement code: plays games between two
+// AIControllers on generated maps until one side is wiped out (or the tick
+// limit), checking every tick that no unit has gone non-finite, left the map
+// or ended up inside a wall, then replays each game's log and checks it ends
+// the same.
+// Usage: node sc2-pathfinding/tools/soak.js [--games 5] [--seed 1] [--ticks 5400] [--size 50]
+//        [--planners grid,hpa,flow,navmesh] [--steering separation|orca]
+import { Simulation, TICK_RATE } from '../simulation.js';
+import { AIController } from '../ai.js';
+
+const args = parseArgs(process.argv.slice(2));
+const games = Number(args.games || 5);
+const seed = Number(args.seed || 1);
+const maxTicks = Number(args.ticks || 180 * TICK_RATE);
+const size = Number(args.size || 50);
+const planners = (args.planners || 'grid,hpa,flow').split(',');
+const steering = args.steering || 'separation';
+
+let failures = 0;
+for (let game = 0; game < games; game++) {
+    const sim = new Simulation({ seed: seed + game, mapSize: size, opponent: true });
+    if (steering !== 'separation') sim.issue({ type: 'steering', mode: steering });
+    sim.addController(new AIController(sim, 0, { planners }));
+    sim.addController(new AIController(sim, 1, { planners }));
+    const start = { 0: countTeam(sim, 0), 1: countTeam(sim, 1) };
+
+    const problems = [];
+    const t = performance.now();
+    while (sim.tick < maxTicks && countTeam(sim, 0) > 0 && countTeam(sim, 1) > 0) {
+        sim.step();
+        if (problems.length < 5) problems.push(...checkUnits(sim));
+    }
+    const ms = performance.now() - t;
+
+    const replay = Simulation.fromRecording(JSON.parse(JSON.stringify(sim.recording())));
+    while (replay.tick < sim.tick) replay.step();
+    const same = replay.units.length === sim.units.length && replay.units.every((unit, i) =>
+        unit.id === sim.units[i].id && unit.position.x === sim.units[i].position.x && unit.position.z === sim.units[i].position.z);
+    if (!same) problems.push('replay ended differently');
+
+    const left = { 0: countTeam(sim, 0), 1: countTeam(sim, 1) };
+    const winner = left[0] === 0 ? 'team 1' : left[1] === 0 ? 'team 0' : 'nobody';
+    console.log(
+        `game ${game + 1} (seed ${seed + game}): ${winner} won after ${(sim.tick / TICK_RATE).toFixed(1)} s, ` +
+        `left ${left[0]}/${start[0]} vs ${left[1]}/${start[1]}, ${sim.log.length} commands, ` +
+        `${(ms / sim.tick).toFixed(3)} ms/tick`
+    );
+    problems.slice(0, 5).forEach(problem => console.log(`  ${problem}`));
+    if (problems.length > 0) failures++;
+}
+
+console.log(failures === 0 ? `${games} games, no problems` : `${failures} of ${games} games had problems`);
+if (failures > 0) process.exitCode = 1;
+
+function countTeam(sim, team) {
+    return sim.units.filter(unit => unit.team === team).length;
+}
+
+// What is wrong with the units this tick, one line each
+function checkUnits(sim) {
+    const pf = sim.pathfinder;
+    const halfX = pf.width * pf.scale / 2;
+    const halfZ = pf.height * pf.scale / 2;
+    const problems = [];
+    sim.units.forEach(unit => {
+        const { x, z } = unit.position;
+        const where = `tick ${sim.tick}: unit ${unit.id}`;
+        if (!Number.isFinite(x) || !Number.isFinite(z)) problems.push(`${where} is at ${x}, ${z}`);
+        else if (Math.abs(x) > halfX || Math.abs(z) > halfZ) problems.push(`${where} left the map at ${x.toFixed(2)}, ${z.toFixed(2)}`);
+        else if (!pf.isWalkableAt(x, z)) problems.push(`${where} is inside a wall at ${x.toFixed(2)}, ${z.toFixed(2)}`);
+    });
+    return problems;
+}
+
+function parseArgs(argv) {
+    const out = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) out[argv[i].slice(2)] = argv[i + 1];
+    }
+    return out;
+}
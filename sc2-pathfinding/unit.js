@@ -1,136 +1,451 @@
-import * as THREE from 'three';
+import { computeOrcaVelocity, gridObstacleSegments } from './orca.js';
 
+// Extra gap kept between units on top of their radii
+export const SEPARATION_BUFFER = 0.2;
+
+// Unit archetypes and their locomotion:
+//   radius        collision radius, also the pathfinding agent radius
+//   maxSpeed      world units per second
+//   acceleration  how fast speed builds up or the direction changes (units/s^2)
+//   deceleration  braking, also used to slow down for the last waypoint (units/s^2)
+//   turnRate      how fast the unit turns to face its way (radians/s)
+//   turnInPlace   stop and turn to face the way before setting off
+// and combat (see combat.js):
+//   sightRadius   how far the unit sees (see visibility.js)
+//   maxHealth     hit points
+//   weapon        range (edge to edge), damage per hit, cooldown (seconds between
+//                 shots) and projectileSpeed (units/s; 0 hits at once, drawn as a beam)
+export const UNIT_TYPES = {
+    infantry: {
+        radius: 0.5, maxSpeed: 5, acceleration: 20, deceleration: 25, turnRate: 12, turnInPlace: false,
+        sightRadius: 9, maxHealth: 45, weapon: { range: 5, damage: 6, cooldown: 0.6, projectileSpeed: 0 }
+    },
+    heavy: {
+        radius: 1.0, maxSpeed: 3.5, acceleration: 8, deceleration: 10, turnRate: 4, turnInPlace: true,
+        sightRadius: 10, maxHealth: 160, weapon: { range: 7, damage: 20, cooldown: 1.5, projectileSpeed: 14 }
+    },
+    // Stress-test crowd; fights in melee
+    swarm: {
+        radius: 0.35, maxSpeed: 5.5, acceleration: 30, deceleration: 30, turnRate: 15, turnInPlace: false,
+        sightRadius: 6, maxHealth: 35, weapon: { range: 0.3, damage: 5, cooldown: 0.5, projectileSpeed: 0 }
+    }
+};
+
+const WAYPOINT_RADIUS = 0.5; // Close enough to a waypoint to head for the next one
+const ARRIVAL_DISTANCE = 0.1; // Close enough to the last one to stop
+const STALL_SPEED = 0.5; // Within WAYPOINT_RADIUS and this slow: blocked, call it arrived
+const TURN_IN_PLACE_ANGLE = Math.PI / 4; // turnInPlace units only move within this of their way
+const WALL_EPSILON = 1e-6; // How far past a wall cell's edge a unit put back out of it lands
+
+// ORCA steering parameters (seconds and world units)
+const ORCA = {
+    neighborDist: 6,
+    maxNeighbors: 10,
+    timeHorizon: 1.5, // Look-ahead for other units
+    timeHorizonObst: 0.5 // Look-ahead for walls
+};
+
+// Simulation state of one unit on the XZ plane, in plain numbers so it runs
+// (and is tested) under Node. Drawing is done by UnitView (unitview.js).
 export class Unit {
-    constructor(scene, x, z, color = 0x00aaff) {
-        this.mesh = new THREE.Group();
-        this.mesh.position.set(x, 0, z);
-
-        // Visuals
-        const geometry = new THREE.ConeGeometry(0.3, 1, 8);
-        geometry.translate(0, 0.5, 0); // Pivot at bottom
-        geometry.rotateX(Math.PI / 2); // Point forward (Z)
-        const material = new THREE.MeshStandardMaterial({ color: color });
-        this.body = new THREE.Mesh(geometry, material);
-        this.body.castShadow = true;
-        this.mesh.add(this.body);
-
-        // Selection Ring
-        const ringGeo = new THREE.RingGeometry(0.5, 0.6, 32);
-        const ringMat = new THREE.MeshBasicMaterial({ color: 0x00ff00, side: THREE.DoubleSide, transparent: true, opacity: 0.0 });
-        this.selectionRing = new THREE.Mesh(ringGeo, ringMat);
-        this.selectionRing.rotation.x = -Math.PI / 2;
-        this.selectionRing.position.y = 0.02;
-        this.mesh.add(this.selectionRing);
-
-        scene.add(this.mesh);
-
-        // Physics/Movement State
-        this.velocity = new THREE.Vector3();
-        this.maxSpeed = 5.0;
-        this.maxForce = 20.0;
-        this.radius = 0.5; // Collision radius
+    // options: id, type (see UNIT_TYPES), radius (overrides the type's), steering, team
+    constructor(x, z, options = {}) {
+        // Physics/Movement State. The simulation moves position/heading once per
+        // tick; the renderer draws between previous and current (see UnitView).
+        this.id = options.id || 0;
+        this.type = options.type || 'infantry';
+        const archetype = UNIT_TYPES[this.type];
+        this.position = { x, z };
+        this.previousPosition = { x, z };
+        this.heading = 0; // Radians, 0 facing +z
+        this.previousHeading = 0;
+        this.velocity = { x: 0, z: 0 };
+        this.radius = options.radius || archetype.radius;
+        this.maxSpeed = archetype.maxSpeed;
+        this.acceleration = archetype.acceleration;
+        this.deceleration = archetype.deceleration;
+        this.turnRate = archetype.turnRate;
+        this.turnInPlace = archetype.turnInPlace;
+
+        // 'separation' (push apart when too close) or 'orca' (reciprocal avoidance)
+        this.steering = options.steering || 'separation';
+        this.orcaSegments = []; // Scratch list of nearby wall edges
 
         this.path = [];
+        this.pathDiagnostics = null; // See setPath
         this.currentWaypointIndex = 0;
         this.isMoving = false;
+        this.planner = 'grid'; // Planner of the last order, reused when re-planning
+        this.hitWall = false; // Put back out of a wall this tick (see leaveWall)
 
-        this.selected = false;
-    }
+        // Orders still to carry out, current first (see Simulation.runOrder):
+        // { type: 'move' | 'attack' | 'patrol', x, z, planner } or { type: 'hold' }
+        this.orderQueue = [];
+        this.holding = false; // Hold position: stand still and do not give way
+
+        // Flow-field steering (alternative to path following)
+        this.flowField = null;
+        this.flowTarget = null; // Point this unit steers to by the field (see FlowField.goalFor)
+        this.arrivalRadius = 0.5;
+        this.flowDirection = { x: 0, z: 0 };
+        this.flowGoal = null; // Goal of the flow field the unit last arrived by
 
-    setSelected(isSelected) {
-        this.selected = isSelected;
-        this.selectionRing.material.opacity = isSelected ? 0.8 : 0.0;
+        // Combat (see combat.js). Units of different teams fight each other.
+        this.team = options.team || 0;
+        this.sightRadius = archetype.sightRadius;
+        this.maxHealth = archetype.maxHealth;
+        this.health = this.maxHealth;
+        this.weapon = archetype.weapon;
+        this.weaponCooldown = 0; // Seconds until it can fire again
+        this.target = null; // Enemy being engaged: closed in on, faced and fired at
+        this.chasing = false; // Left its path to close in on the target
+
+        this.selected = false;
     }
 
-    setPath(path) {
+    // diagnostics: what the search that found the path did, if it was asked
+    // (see Pathfinder.findPath); kept for the debug overlay
+    setPath(path, diagnostics = null) {
+        this.pathDiagnostics = diagnostics;
+        this.flowField = null;
+        this.flowTarget = null;
+        this.flowGoal = null;
         if (path && path.length > 0) {
             this.path = path;
-            this.currentWaypointIndex = 1; // 0 is start (current pos roughly)
+            // 0 is start (current pos roughly); a one-point path is just the goal
+            this.currentWaypointIndex = Math.min(1, path.length - 1);
             this.isMoving = true;
         } else {
             this.isMoving = false;
         }
     }
 
-    update(dt, neighbors) {
+    // Steer by a shared FlowField until within arrivalRadius of goal (default:
+    // the field's own goal). Groups pass a larger radius so they settle around
+    // the point instead of all fighting for it.
+    setFlowField(field, arrivalRadius = 0.5, goal = { x: field.goalX, z: field.goalZ }) {
+        this.path = [];
+        this.pathDiagnostics = null;
+        this.flowField = field;
+        this.flowTarget = { x: goal.x, z: goal.z };
+        this.flowGoal = null;
+        this.arrivalRadius = arrivalRadius;
+        this.isMoving = true;
+    }
+
+    // terrain: optional Pathfinder; speed is divided by the terrain cost underfoot
+    // and ORCA steering avoids its walls
+    // neighbors: units that may be within neighborReach (may include this unit)
+    update(dt, neighbors, terrain = null) {
+        const position = this.position;
+        this.previousPosition.x = position.x;
+        this.previousPosition.z = position.z;
+        this.previousHeading = this.heading;
+        this.hitWall = false;
+
+        if (this.holding) {
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+            if (this.target) this.turnTowards(this.directionTo(this.target), dt);
+            return;
+        }
+
+        const maxSpeed = terrain
+            ? this.maxSpeed / terrain.getCostAt(position.x, position.z)
+            : this.maxSpeed;
+
         // --- Steering Behaviors ---
-        const acceleration = new THREE.Vector3();
 
-        // 1. Path Following (Seek)
-        if (this.isMoving && this.path.length > 0) {
+        // 1. Path Following (Seek), or Flow Field Following: the velocity we want.
+        // An engaged unit instead closes in on its target until in weapon range,
+        // then stands and faces it; the path is picked up again afterwards.
+        let desired = null;
+        let aim = null;
+        if (this.target) {
+            const toTarget = this.directionTo(this.target);
+            const dist = Math.hypot(toTarget.x, toTarget.z);
+            if (dist - this.radius - this.target.radius > this.weapon.range) {
+                desired = { x: toTarget.x / dist * maxSpeed, z: toTarget.z / dist * maxSpeed };
+            } else {
+                aim = toTarget;
+            }
+        } else if (this.isMoving && this.flowField) {
+            const goal = this.flowTarget;
+            const dx = goal.x - position.x;
+            const dz = goal.z - position.z;
+            // Arrived, or held up by units that already stopped at the same goal
+            if (Math.hypot(dx, dz) < this.arrivalRadius || this.touchesArrivedUnit(neighbors, goal)) {
+                this.isMoving = false; // Arrived
+                this.flowField = null;
+                this.flowTarget = null;
+                this.flowGoal = goal;
+            } else {
+                const dir = this.flowField.sample(position.x, position.z, this.flowDirection, goal.x, goal.z);
+                desired = { x: dir.x * maxSpeed, z: dir.z * maxSpeed };
+            }
+        } else if (this.isMoving && this.path.length > 0) {
             const target = this.path[this.currentWaypointIndex];
 
             // Distance to current waypoint
-            const dist = this.mesh.position.distanceTo(target);
+            const dx = target.x - position.x;
+            const dz = target.z - position.z;
+            const dist = Math.hypot(dx, dz);
 
             // Check if reached waypoint
-            if (dist < 0.5) {
+            const last = this.currentWaypointIndex === this.path.length - 1;
+            const speed = Math.hypot(this.velocity.x, this.velocity.z);
+            if (last && (dist < ARRIVAL_DISTANCE || (dist < WAYPOINT_RADIUS && speed < STALL_SPEED))) {
+                this.currentWaypointIndex++;
+                this.isMoving = false; // Arrived
+                this.path = [];
+            } else if (!last && dist < WAYPOINT_RADIUS) {
                 this.currentWaypointIndex++;
-                if (this.currentWaypointIndex >= this.path.length) {
-                    this.isMoving = false; // Arrived
-                    this.path = [];
-                }
             }
 
             if (this.isMoving) {
-                // Seek logic
-                const desired = new THREE.Vector3().subVectors(target, this.mesh.position).normalize().multiplyScalar(this.maxSpeed);
-                const steer = new THREE.Vector3().subVectors(desired, this.velocity);
-                acceleration.add(steer.multiplyScalar(2.0)); // Weight for path following
+                // Seek logic. Arrive: slow down in proportion to the distance left
+                // once within the distance the brakes can do that from full speed.
+                const slowRadius = maxSpeed * maxSpeed / this.deceleration;
+                const arriveSpeed = last ? maxSpeed * Math.min(1, dist / slowRadius) : maxSpeed;
+                const scale = arriveSpeed / (dist || 1);
+                desired = { x: dx * scale, z: dz * scale };
             }
+        }
+
+        // Face the way we want to go (or the target, or are being pushed) at no more than turnRate
+        const velocity = this.velocity;
+        const speedSq = velocity.x * velocity.x + velocity.z * velocity.z;
+        const face = desired || aim || (speedSq > 0.1 ? velocity : null);
+        if (face) {
+            const turn = this.turnTowards(face, dt);
+            // Units that turn in place do not set off until they roughly face their way
+            const settingOff = speedSq < STALL_SPEED * STALL_SPEED;
+            if (desired && this.turnInPlace && settingOff && Math.abs(turn) - this.turnRate * dt > TURN_IN_PLACE_ANGLE) {
+                desired = null;
+            }
+        }
+
+        // 2. Avoid other units (and, with ORCA, walls)
+        if (this.steering === 'orca') {
+            this.steerWithOrca(dt, neighbors, terrain, desired, maxSpeed);
+        } else {
+            this.steerWithSeparation(dt, neighbors, terrain, desired, maxSpeed);
+        }
+
+        // --- Integration ---
+
+        // Clamp speed
+        const speed = Math.hypot(velocity.x, velocity.z);
+        if (speed > maxSpeed) {
+            velocity.x *= maxSpeed / speed;
+            velocity.z *= maxSpeed / speed;
+        }
+
+        // Update position
+        const wasWalkable = terrain && terrain.isWalkableAt(position.x, position.z);
+        position.x += velocity.x * dt;
+        position.z += velocity.z * dt;
+        if (wasWalkable) this.leaveWall(terrain);
+    }
+
+    // Separation does not push towards walls, but a crowd at a corner can still
+    // carry a unit into one: a unit that moved into a wall cell is put back out
+    // through the nearest side of it that borders open ground, and loses the
+    // velocity that took it in. (One already inside a wall, built on top of it,
+    // walks out freely.) The simulation re-plans a unit shoved off its path
+    // this way once the wall stands between it and its waypoint.
+    leaveWall(terrain) {
+        const position = this.position;
+        const velocity = this.velocity;
+        const gx = terrain.toGridX(position.x);
+        const gy = terrain.toGridY(position.z);
+        if (!terrain.isValid(gx, gy) || !terrain.isBlocked(gx, gy)) return;
+        this.hitWall = true;
+
+        const x0 = (gx - terrain.width / 2) * terrain.scale;
+        const z0 = (gy - terrain.height / 2) * terrain.scale;
+        const x1 = x0 + terrain.scale;
+        const z1 = z0 + terrain.scale;
+        const open = (x, y) => terrain.isValid(x, y) && !terrain.isBlocked(x, y);
+        const sides = [
+            { dist: position.x - x0, open: open(gx - 1, gy), apply: () => { position.x = x0 - WALL_EPSILON; velocity.x = Math.min(velocity.x, 0); } },
+            { dist: x1 - position.x, open: open(gx + 1, gy), apply: () => { position.x = x1; velocity.x = Math.max(velocity.x, 0); } },
+            { dist: position.z - z0, open: open(gx, gy - 1), apply: () => { position.z = z0 - WALL_EPSILON; velocity.z = Math.min(velocity.z, 0); } },
+            { dist: z1 - position.z, open: open(gx, gy + 1), apply: () => { position.z = z1; velocity.z = Math.max(velocity.z, 0); } }
+        ];
+        let best = null;
+        for (const side of sides) {
+            if (side.open && (!best || side.dist < best.dist)) best = side;
+        }
+        if (best) {
+            best.apply();
+        } else {
+            // Walled in on every side: stay where it was
+            position.x = this.previousPosition.x;
+            position.z = this.previousPosition.z;
+            velocity.x = 0;
+            velocity.z = 0;
+        }
+    }
+
+    // Turn towards a direction at no more than turnRate; returns how far off it
+    // the unit was before turning (radians)
+    turnTowards(direction, dt) {
+        const step = this.turnRate * dt;
+        const turn = wrapAngle(Math.atan2(direction.x, direction.z) - this.heading);
+        this.heading = wrapAngle(this.heading + Math.max(-step, Math.min(step, turn)));
+        return turn;
+    }
+
+    directionTo(other) {
+        return { x: other.position.x - this.position.x, z: other.position.z - this.position.z };
+    }
+
+    // Group members that arrive late stop against the ones already there
+    // instead of pushing into the crowd for ever
+    touchesArrivedUnit(neighbors, goal) {
+        for (const other of neighbors) {
+            if (other === this || other.isMoving || !other.flowGoal) continue;
+            if (Math.hypot(other.flowGoal.x - goal.x, other.flowGoal.z - goal.z) > 1) continue;
+            const reach = this.radius + other.radius + SEPARATION_BUFFER;
+            if (Math.hypot(this.position.x - other.position.x, this.position.z - other.position.z) < reach) return true;
+        }
+        return false;
+    }
+
+    // Largest acceleration allowed towards a new velocity (null: stopping):
+    // deceleration when slowing down, if that is the stronger of the two
+    accelerationLimit(target) {
+        const speed = Math.hypot(this.velocity.x, this.velocity.z);
+        const slowing = !target || Math.hypot(target.x, target.z) < speed;
+        return slowing ? Math.max(this.acceleration, this.deceleration) : this.acceleration;
+    }
+
+    // Seek the desired velocity (or brake) and push away from units that are too close
+    steerWithSeparation(dt, neighbors, terrain, desired, maxSpeed) {
+        const position = this.position;
+        const velocity = this.velocity;
+
+        let ax, az;
+        if (desired) {
+            // Reach the desired velocity as fast as the unit can
+            ax = (desired.x - velocity.x) / dt;
+            az = (desired.z - velocity.z) / dt;
         } else {
             // Slow down if no path (friction)
-            const friction = this.velocity.clone().multiplyScalar(-5.0);
-            acceleration.add(friction);
+            ax = velocity.x * -5.0;
+            az = velocity.z * -5.0;
+        }
+        const limit = this.accelerationLimit(desired);
+        const accel = Math.hypot(ax, az);
+        if (accel > limit) {
+            ax *= limit / accel;
+            az *= limit / accel;
         }
 
-        // 2. Separation (Avoid Crowding)
-        const separation = new THREE.Vector3();
+        // Separation (Avoid Crowding)
+        let sx = 0, sz = 0;
         let count = 0;
 
         for (let other of neighbors) {
             if (other === this) continue;
 
-            const dist = this.mesh.position.distanceTo(other.mesh.position);
+            const dx = position.x - other.position.x;
+            const dz = position.z - other.position.z;
+            const dist = Math.hypot(dx, dz);
 
-            // If too close
-            if (dist < this.radius + other.radius + 0.2) { // 0.2 buffer
-                const push = new THREE.Vector3().subVectors(this.mesh.position, other.mesh.position);
-                push.normalize();
-                push.divideScalar(dist); // Weight by distance (closer = stronger)
-                separation.add(push);
+            // If too close (exactly on top of each other there is no direction to push in)
+            if (dist > 0 && dist < this.radius + other.radius + SEPARATION_BUFFER) {
+                // Away from the other unit, weighted by distance (closer = stronger)
+                sx += dx / dist / dist;
+                sz += dz / dist / dist;
                 count++;
             }
         }
 
+        if (count > 0 && terrain) {
+            // Never push towards a wall right next to the unit
+            const gx = terrain.toGridX(position.x);
+            const gy = terrain.toGridY(position.z);
+            const open = (x, y) => terrain.isValid(x, y) && !terrain.isBlocked(x, y);
+            if (sx < 0 && !open(gx - 1, gy) || sx > 0 && !open(gx + 1, gy)) sx = 0;
+            if (sz < 0 && !open(gx, gy - 1) || sz > 0 && !open(gx, gy + 1)) sz = 0;
+            if (sx === 0 && sz === 0) count = 0;
+        }
         if (count > 0) {
-            separation.divideScalar(count);
-            separation.normalize().multiplyScalar(this.maxSpeed);
-            const steer = new THREE.Vector3().subVectors(separation, this.velocity);
-            acceleration.add(steer.multiplyScalar(3.0)); // Strong separation
+            const length = Math.hypot(sx, sz) || 1;
+            // Strong separation
+            ax += (sx / length * maxSpeed - velocity.x) * 3.0;
+            az += (sz / length * maxSpeed - velocity.z) * 3.0;
         }
 
-        // --- Integration ---
-
-        // Update velocity
-        this.velocity.add(acceleration.multiplyScalar(dt));
+        velocity.x += ax * dt;
+        velocity.z += az * dt;
+    }
 
-        // Clamp speed
-        if (this.velocity.length() > this.maxSpeed) {
-            this.velocity.normalize().multiplyScalar(this.maxSpeed);
+    // Take the velocity closest to the desired one that ORCA says cannot collide
+    // with the nearest units or the walls of the pathfinder grid
+    steerWithOrca(dt, neighbors, pathfinder, desired, maxSpeed) {
+        const position = this.position;
+        const others = [];
+        for (const other of neighbors) {
+            if (other === this) continue;
+            const dist = Math.hypot(position.x - other.position.x, position.z - other.position.z);
+            if (dist > ORCA.neighborDist + other.radius) continue;
+            others.push({
+                x: other.position.x,
+                z: other.position.z,
+                vx: other.velocity.x,
+                vz: other.velocity.z,
+                radius: other.radius,
+                dist
+            });
         }
+        others.sort((a, b) => a.dist - b.dist);
+        if (others.length > ORCA.maxNeighbors) others.length = ORCA.maxNeighbors;
 
-        // Update position
-        const move = this.velocity.clone().multiplyScalar(dt);
-        // Simple ground clamp
-        move.y = 0;
-        this.mesh.position.add(move);
+        const segments = pathfinder
+            ? gridObstacleSegments(pathfinder, position.x, position.z, ORCA.timeHorizonObst * maxSpeed + this.radius, this.orcaSegments)
+            : [];
 
-        // Rotation (Face velocity if moving)
-        if (this.velocity.lengthSq() > 0.1) {
-            const angle = Math.atan2(this.velocity.x, this.velocity.z);
-            // Smooth rotation could be added here
-            this.mesh.rotation.y = angle;
+        const velocity = computeOrcaVelocity({
+            x: position.x,
+            z: position.z,
+            vx: this.velocity.x,
+            vz: this.velocity.z,
+            radius: this.radius,
+            maxSpeed,
+            prefVx: desired ? desired.x : 0,
+            prefVz: desired ? desired.z : 0
+        }, others, segments, {
+            timeHorizon: ORCA.timeHorizon,
+            timeHorizonObst: ORCA.timeHorizonObst,
+            timeStep: dt
+        });
+        // Within what the unit's acceleration allows this tick
+        let dvx = velocity.x - this.velocity.x;
+        let dvz = velocity.z - this.velocity.z;
+        const limit = this.accelerationLimit(velocity) * dt;
+        const change = Math.hypot(dvx, dvz);
+        if (change > limit) {
+            dvx *= limit / change;
+            dvz *= limit / change;
         }
+        this.velocity.x += dvx;
+        this.velocity.z += dvz;
     }
+
+    // How far away (centre to centre) a unit can be and still affect this one's
+    // steering, given the largest radius among the units
+    neighborReach(maxRadius) {
+        if (this.steering === 'orca') return ORCA.neighborDist + maxRadius;
+        return this.radius + maxRadius + SEPARATION_BUFFER;
+    }
+}
+
+// Into (-PI, PI]
+function wrapAngle(angle) {
+    while (angle > Math.PI) angle -= Math.PI * 2;
+    while (angle <= -Math.PI) angle += Math.PI * 2;
+    return angle;
 }
@@ -0,0 +1,89 @@
+import * as THREE from 'three';
+
+const HEALTH_BAR_WIDTH = 1;
+const HEALTH_BAR_HEIGHT = 0.12;
+
+// Three.js mesh for one simulation Unit (unit.js). Holds no game state:
+// sync() copies the unit's interpolated position, heading, selection and
+// health onto the mesh every frame, and hides it when the player cannot see it.
+export class UnitView {
+    constructor(scene, unit, color = 0x00aaff) {
+        this.unit = unit;
+        this.mesh = new THREE.Group();
+        this.mesh.position.set(unit.position.x, 0, unit.position.z);
+
+        // Visuals
+        const geometry = new THREE.ConeGeometry(0.3, 1, 8);
+        geometry.translate(0, 0.5, 0); // Pivot at bottom
+        geometry.rotateX(Math.PI / 2); // Point forward (Z)
+        const material = new THREE.MeshStandardMaterial({ color: color });
+        this.body = new THREE.Mesh(geometry, material);
+        this.body.castShadow = true;
+        this.mesh.add(this.body);
+
+        // Selection Ring
+        const ringGeo = new THREE.RingGeometry(0.5, 0.6, 32);
+        const ringMat = new THREE.MeshBasicMaterial({ color: 0x00ff00, side: THREE.DoubleSide, transparent: true, opacity: 0.0 });
+        this.selectionRing = new THREE.Mesh(ringGeo, ringMat);
+        this.selectionRing.rotation.x = -Math.PI / 2;
+        this.selectionRing.position.y = 0.02;
+        this.mesh.add(this.selectionRing);
+
+        // Visuals are built for the default 0.5 radius; scale to the real size
+        this.mesh.scale.setScalar(unit.radius / 0.5);
+
+        // Health bar: sprites always face the camera, kept out of the mesh so
+        // they do not turn or scale with the unit. The fill is anchored at its
+        // left end so scaling it down empties the bar from the right.
+        this.healthBar = new THREE.Group();
+        this.healthBar.visible = false;
+        this.healthBack = new THREE.Sprite(new THREE.SpriteMaterial({ color: 0x000000, depthTest: false }));
+        this.healthBack.scale.set(HEALTH_BAR_WIDTH + 0.06, HEALTH_BAR_HEIGHT + 0.06, 1);
+        this.healthFill = new THREE.Sprite(new THREE.SpriteMaterial({ color: 0x00ff00, depthTest: false }));
+        this.healthFill.center.set(0, 0.5);
+        this.healthFill.position.x = -HEALTH_BAR_WIDTH / 2;
+        this.healthBack.renderOrder = 1;
+        this.healthFill.renderOrder = 2;
+        this.healthBar.add(this.healthBack, this.healthFill);
+        scene.add(this.healthBar);
+
+        scene.add(this.mesh);
+    }
+
+    // Place the mesh between the unit's previous and current tick (alpha 0..1);
+    // visible: false hides the unit (in the fog of war)
+    sync(alpha, visible = true) {
+        const unit = this.unit;
+        this.mesh.visible = visible;
+        const from = unit.previousPosition;
+        const to = unit.position;
+        this.mesh.position.set(from.x + (to.x - from.x) * alpha, 0, from.z + (to.z - from.z) * alpha);
+
+        let turn = unit.heading - unit.previousHeading;
+        if (turn > Math.PI) turn -= Math.PI * 2;
+        if (turn < -Math.PI) turn += Math.PI * 2;
+        this.mesh.rotation.y = unit.previousHeading + turn * alpha;
+
+        this.selectionRing.material.opacity = unit.selected ? 0.8 : 0.0;
+
+        // Only damaged or selected units show their health
+        const fraction = Math.max(0, unit.health / unit.maxHealth);
+        this.healthBar.visible = visible && (unit.selected || fraction < 1);
+        if (this.healthBar.visible) {
+            this.healthBar.position.set(this.mesh.position.x, unit.radius * 2 + 0.6, this.mesh.position.z);
+            this.healthFill.scale.set(Math.max(0.001, HEALTH_BAR_WIDTH * fraction), HEALTH_BAR_HEIGHT, 1);
+            this.healthFill.material.color.setHex(fraction > 0.6 ? 0x00ff00 : fraction > 0.3 ? 0xffff00 : 0xff0000);
+        }
+    }
+
+    dispose() {
+        this.mesh.removeFromParent();
+        this.body.geometry.dispose();
+        this.body.material.dispose();
+        this.selectionRing.geometry.dispose();
+        this.selectionRing.material.dispose();
+        this.healthBar.removeFromParent();
+        this.healthBack.material.dispose();
+        this.healthFill.material.dispose();
+    }
+}
@@ -0,0 +1,105 @@
+// What one team can see, at one cell per Pathfinder grid cell. A cell is
+// visible while it lies within sight radius of one of the team's units and
+// the grid line between them (hasLineOfSight) does not cross a wall; cells
+// that have ever been visible stay explored. Wall cells themselves are
+// visible when they border a visible open cell, so the faces of the walls
+// that block the view can be seen.
+//
+// Eyes sit at the centre of the unit's cell, so units sharing a cell (as in a
+// crowd) are looked through once, and cells already visible are not
+// ray-cast again.
+
+export class Visibility {
+    constructor(pathfinder, team) {
+        this.pathfinder = pathfinder;
+        this.team = team;
+        const cells = pathfinder.width * pathfinder.height;
+        this.visible = new Uint8Array(cells); // 1: seen right now
+        this.explored = new Uint8Array(cells); // 1: seen at some point
+        this.version = 0; // Bumped by every update, for redrawing
+    }
+
+    // Recompute from the units of this team (others in the list are ignored)
+    update(units) {
+        const pf = this.pathfinder;
+        this.visible.fill(0);
+        const stamped = new Set(); // Eye cell and sight radius already looked from
+        for (const unit of units) {
+            if (unit.team !== this.team) continue;
+            const gx = clamp(pf.toGridX(unit.position.x), pf.width);
+            const gy = clamp(pf.toGridY(unit.position.z), pf.height);
+            const radius = unit.sightRadius / pf.scale; // In cells
+            const key = `${gy * pf.width + gx}:${radius}`;
+            if (stamped.has(key)) continue;
+            stamped.add(key);
+            this.stamp(gx, gy, radius);
+        }
+        for (let i = 0; i < this.visible.length; i++) {
+            if (this.visible[i]) this.explored[i] = 1;
+        }
+        this.version++;
+    }
+
+    // Mark the cells seen from the centre of cell (gx, gy)
+    stamp(gx, gy, radius) {
+        const pf = this.pathfinder;
+        const { width, height } = pf;
+        const visible = this.visible;
+        const eye = pf.cellToWorld(gx, gy);
+        const reach = Math.floor(radius);
+        const r2 = radius * radius;
+        const x0 = Math.max(0, gx - reach), x1 = Math.min(width - 1, gx + reach);
+        const y0 = Math.max(0, gy - reach), y1 = Math.min(height - 1, gy + reach);
+
+        visible[gy * width + gx] = 1; // Even a unit shoved into a wall sees where it is
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const cell = y * width + x;
+                if (visible[cell] || pf.grid[cell] === 1) continue;
+                if ((x - gx) * (x - gx) + (y - gy) * (y - gy) > r2) continue;
+                if (pf.hasLineOfSight(eye, pf.cellToWorld(x, y))) visible[cell] = 1;
+            }
+        }
+
+        // Walls facing the cells just seen
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const cell = y * width + x;
+                if (visible[cell] || pf.grid[cell] !== 1) continue;
+                if ((x - gx) * (x - gx) + (y - gy) * (y - gy) > r2) continue;
+                if ((x > 0 && isOpenAndVisible(pf, visible, cell - 1)) ||
+                    (x < width - 1 && isOpenAndVisible(pf, visible, cell + 1)) ||
+                    (y > 0 && isOpenAndVisible(pf, visible, cell - width)) ||
+                    (y < height - 1 && isOpenAndVisible(pf, visible, cell + width))) {
+                    visible[cell] = 1;
+                }
+            }
+        }
+    }
+
+    isVisibleAt(x, z) {
+        return this.visible[this.cellAt(x, z)] === 1;
+    }
+
+    isExploredAt(x, z) {
+        return this.explored[this.cellAt(x, z)] === 1;
+    }
+
+    // Whether the team can see this unit: its own always, others when they stand in view
+    canSee(unit) {
+        return unit.team === this.team || this.isVisibleAt(unit.position.x, unit.position.z);
+    }
+
+    cellAt(x, z) {
+        const pf = this.pathfinder;
+        return clamp(pf.toGridY(z), pf.height) * pf.width + clamp(pf.toGridX(x), pf.width);
+    }
+}
+
+function isOpenAndVisible(pf, visible, cell) {
+    return visible[cell] === 1 && pf.grid[cell] !== 1;
+}
+
+function clamp(value, size) {
+    return Math.min(Math.max(value, 0), size - 1);
+}
@@ -9,9 +9,18 @@ const CONFIG = {
     legRestDistance: 1.5, // How far from center the foot wants to be
     stepHeight: 0.5,
     stepDuration: 0.25, // Seconds
-    turnSpeed: 5.0
+    turnSpeed: 5.0,
+    maxHealth: 160,
+    // Range is from body edge to body edge; shots home in on their target
+    weapon: { range: 6, damage: 13, cooldown: 1.34, projectileSpeed: 15 },
+    fireAngle: 0.3, // Radians off the target the body may face and still fire
+    // Short-range teleport to the cursor (B); clicks beyond range blink as far as it reaches
+    blink: { range: 8, cooldown: 7, flashDuration: 0.4 }
 };
 
+const TEAM_COLORS = [0xffd700, 0xcc3333]; // Gold (ours), red (enemy)
+const ENEMY_TEAM = 1;
+
 // --- Globals ---
 let scene, camera, renderer, controls;
 let raycaster, mouse;
@@ -21,6 +30,9 @@ let groundPlane;
 // State
 let selectedUnit = null;
 const units = [];
+let projectiles = []; // { mesh, target, damage }
+let effects = []; // Fading blink flashes: { object, life, duration, fromScale, toScale, opacity }
+let abilityPanel, abilityLabel, abilityFill;
 
 // --- Classes ---
 
@@ -166,12 +178,12 @@ class IKLeg {
                 this.isStepping = false;
             }
 
-            // Interpolate position
-            const t = this.stepProgress;
+            // Interpolate position (progress below 0 is a delayed step still waiting)
+            const t = Math.max(0, this.stepProgress);
             // Linear XZ
             this.currentFootPos.lerpVectors(this.stepStartPos, this.restPosWorld, t);
-            // Parabolic Y (Height)
-            this.currentFootPos.y = Math.sin(t * Math.PI) * CONFIG.stepHeight;
+            // Parabolic Y (Height), down from wherever the step started
+            this.currentFootPos.y = this.stepStartPos.y * (1 - t) + Math.sin(t * Math.PI) * CONFIG.stepHeight;
         } else {
             // Keep foot grounded (account for slight body movement if we want glue logic, 
             // but currentFootPos is world space, so it stays put automatically unless we move it)
@@ -188,11 +200,25 @@ class IKLeg {
         // Overshoot target slightly based on body velocity could be added for realism
         // For now just target the ideal rest position
     }
+
+    // The body teleported: the old foothold is across the map, so instead of
+    // stepping (or stretching) back to it the foot starts tucked up under the
+    // hip at the new position and drops onto its rest position after delay seconds
+    replant(delay = 0) {
+        this.updateRestPosition();
+        this.stepStartPos.lerpVectors(this.restPosWorld, this.parent.position, 0.5);
+        this.stepStartPos.y = CONFIG.stepHeight * 2;
+        this.currentFootPos.copy(this.stepStartPos);
+        this.isStepping = true;
+        this.stepProgress = -delay / CONFIG.stepDuration;
+        this.solveIK(this.currentFootPos);
+    }
 }
 
 class StalkerUnit {
-    constructor(scene, x, z) {
+    constructor(scene, x, z, team = 0) {
         this.scene = scene;
+        this.team = team;
         
         // Group for the whole unit
         this.mesh = new THREE.Group();
@@ -201,7 +227,7 @@ class StalkerUnit {
 
         // Body
         const bodyGeo = new THREE.SphereGeometry(CONFIG.bodyRadius, 16, 16);
-        const bodyMat = new THREE.MeshStandardMaterial({ color: 0xffd700, metalness: 0.8, roughness: 0.2 }); // Gold
+        const bodyMat = new THREE.MeshStandardMaterial({ color: TEAM_COLORS[team], metalness: 0.8, roughness: 0.2 });
         this.body = new THREE.Mesh(bodyGeo, bodyMat);
         this.body.castShadow = true;
         this.mesh.add(this.body);
@@ -229,6 +255,26 @@ class StalkerUnit {
         this.targetPosition = new THREE.Vector3(x, 1.8, z);
         this.isMoving = false;
         this.velocity = new THREE.Vector3();
+
+        // Combat State
+        this.health = CONFIG.maxHealth;
+        this.weaponCooldown = 0;
+        this.attackTarget = null; // Enemy ordered to attack: chased until it dies
+        this.target = null; // Enemy being fired at (the attack target, or the nearest in range when idle)
+        this.blinkCooldown = 0; // Seconds until it can blink again
+        this.flash = 0; // Seconds of the after-blink glow left
+
+        // Health bar: sprites face the camera; kept out of the mesh so they do not turn with it
+        this.healthBar = new THREE.Group();
+        const back = new THREE.Sprite(new THREE.SpriteMaterial({ color: 0x000000, depthTest: false }));
+        back.scale.set(1.66, 0.2, 1);
+        this.healthFill = new THREE.Sprite(new THREE.SpriteMaterial({ color: 0x00ff00, depthTest: false }));
+        this.healthFill.center.set(0, 0.5); // Anchored at the left end
+        this.healthFill.position.x = -0.8;
+        this.healthFill.renderOrder = 1;
+        this.healthBar.add(back, this.healthFill);
+        this.scene.add(this.healthBar);
+        this.updateHealthBar();
     }
 
     setSelected(isSelected) {
@@ -239,9 +285,113 @@ class StalkerUnit {
         this.targetPosition.copy(point);
         this.targetPosition.y = this.mesh.position.y; // Keep height
         this.isMoving = true;
+        this.attackTarget = null;
+    }
+
+    attack(enemy) {
+        this.attackTarget = enemy;
+    }
+
+    // Distance between the two bodies' edges
+    gapTo(other) {
+        const dx = other.mesh.position.x - this.mesh.position.x;
+        const dz = other.mesh.position.z - this.mesh.position.z;
+        return Math.hypot(dx, dz) - CONFIG.bodyRadius * 2;
+    }
+
+    // Pick what to shoot: the ordered target, else (standing still) the nearest enemy in range
+    updateCombat(dt) {
+        this.weaponCooldown = Math.max(0, this.weaponCooldown - dt);
+        if (this.attackTarget && this.attackTarget.health <= 0) this.attackTarget = null;
+
+        this.target = this.attackTarget;
+        if (!this.target && !this.isMoving) {
+            let best = CONFIG.weapon.range;
+            units.forEach(other => {
+                if (other.team === this.team || other.health <= 0) return;
+                const gap = this.gapTo(other);
+                if (gap <= best) {
+                    best = gap;
+                    this.target = other;
+                }
+            });
+        }
+        if (!this.target) return;
+
+        // Chase an ordered target into range, then stand and fire
+        const inRange = this.gapTo(this.target) <= CONFIG.weapon.range;
+        if (!inRange) {
+            this.targetPosition.set(this.target.mesh.position.x, this.mesh.position.y, this.target.mesh.position.z);
+            this.isMoving = true;
+            return;
+        }
+        this.isMoving = false;
+        this.velocity.set(0, 0, 0);
+        const off = this.turnTowards(this.target.mesh.position, dt);
+        if (this.weaponCooldown === 0 && Math.abs(off) < CONFIG.fireAngle) this.fire(this.target);
+    }
+
+    fire(enemy) {
+        this.weaponCooldown = CONFIG.weapon.cooldown;
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(0.15, 8, 8),
+            new THREE.MeshBasicMaterial({ color: this.team === ENEMY_TEAM ? 0xff6644 : 0x66ddff })
+        );
+        mesh.position.copy(this.mesh.position);
+        this.scene.add(mesh);
+        projectiles.push({ mesh, target: enemy, damage: CONFIG.weapon.damage });
+    }
+
+    // Rotate the body towards a point; returns how far off it was (radians)
+    turnTowards(point, dt) {
+        const targetRotation = Math.atan2(point.x - this.mesh.position.x, point.z - this.mesh.position.z);
+        let rotDiff = targetRotation - this.mesh.rotation.y;
+        while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
+        while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+        this.mesh.rotation.y += rotDiff * Math.min(1, CONFIG.turnSpeed * dt);
+        return rotDiff;
+    }
+
+    updateHealthBar() {
+        const fraction = Math.max(0, this.health / CONFIG.maxHealth);
+        this.healthBar.position.set(this.mesh.position.x, this.mesh.position.y + 1.4, this.mesh.position.z);
+        this.healthFill.scale.set(Math.max(0.001, 1.6 * fraction), 0.14, 1);
+        this.healthFill.material.color.setHex(fraction > 0.6 ? 0x00ff00 : fraction > 0.3 ? 0xffff00 : 0xff0000);
+    }
+
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.scene.remove(this.healthBar);
+    }
+
+    // Teleport towards a ground point, at most blink range away. Returns false
+    // while the ability is cooling down. The walk is dropped; an attack order stays.
+    blink(point) {
+        if (this.blinkCooldown > 0) return false;
+        const from = this.mesh.position.clone();
+        const offset = new THREE.Vector3(point.x - from.x, 0, point.z - from.z);
+        if (offset.length() > CONFIG.blink.range) offset.setLength(CONFIG.blink.range);
+
+        this.mesh.position.add(offset);
+        if (offset.lengthSq() > 0) this.mesh.rotation.y = Math.atan2(offset.x, offset.z);
+        this.mesh.updateMatrixWorld(true); // The legs solve against the new hip positions this frame
+        this.isMoving = false;
+        this.velocity.set(0, 0, 0);
+        this.blinkCooldown = CONFIG.blink.cooldown;
+        this.flash = CONFIG.blink.flashDuration;
+
+        // Diagonal pairs land together
+        this.legs.forEach((leg, i) => leg.replant((i % 2) * 0.08));
+        spawnBlinkEffect(from, this.mesh.position);
+        return true;
     }
 
     update(dt) {
+        this.blinkCooldown = Math.max(0, this.blinkCooldown - dt);
+        this.flash = Math.max(0, this.flash - dt);
+        this.body.material.emissive.setHex(0x33ccff).multiplyScalar(this.flash / CONFIG.blink.flashDuration);
+        this.updateCombat(dt);
+
         // Movement Logic
         if (this.isMoving) {
             const direction = new THREE.Vector3().subVectors(this.targetPosition, this.mesh.position);
@@ -280,9 +430,104 @@ class StalkerUnit {
         // We need to coordinate legs so they don't all lift at once
         // Simple heuristic: if a leg wants to step, check if its opposite is grounded
         this.legs.forEach(leg => leg.update(dt));
+        this.updateHealthBar();
     }
 }
 
+// Shots fly to their target and hit it; those whose target already died fizzle
+function updateProjectiles(dt) {
+    projectiles = projectiles.filter(p => {
+        const alive = p.target.health > 0;
+        const to = new THREE.Vector3().subVectors(p.target.mesh.position, p.mesh.position);
+        const step = CONFIG.weapon.projectileSpeed * dt;
+        if (alive && to.length() > step) {
+            p.mesh.position.addScaledVector(to.normalize(), step);
+            return true;
+        }
+        if (alive) p.target.health -= p.damage;
+        scene.remove(p.mesh);
+        p.mesh.geometry.dispose();
+        p.mesh.material.dispose();
+        return false;
+    });
+}
+
+// Remove units out of hit points, from the scene, the unit list and the selection
+function removeDeadUnits() {
+    for (let i = units.length - 1; i >= 0; i--) {
+        const unit = units[i];
+        if (unit.health > 0) continue;
+        unit.dispose();
+        units.splice(i, 1);
+        if (selectedUnit === unit) selectedUnit = null;
+    }
+}
+
+function spawnEnemy(x, z) {
+    units.push(new StalkerUnit(scene, x, z, ENEMY_TEAM));
+}
+
+// Blink flashes: the body's outline bursts and fades where it left, gathers
+// where it arrives, with a streak between the two and a ripple on the ground at each end
+function spawnBlinkEffect(from, to) {
+    const flashMaterial = () => new THREE.MeshBasicMaterial({ color: 0x66ddff, transparent: true, depthWrite: false });
+    const sphere = (position) => {
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(CONFIG.bodyRadius, 16, 16), flashMaterial());
+        mesh.position.copy(position);
+        return mesh;
+    };
+    const ripple = (position) => {
+        const mesh = new THREE.Mesh(new THREE.RingGeometry(0.8, 1.0, 32), flashMaterial());
+        mesh.material.side = THREE.DoubleSide;
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(position.x, 0.02, position.z);
+        return mesh;
+    };
+    const streak = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([from, to]),
+        new THREE.LineBasicMaterial({ color: 0x66ddff, transparent: true })
+    );
+
+    addEffect(sphere(from), 0.35, 1, 2.2, 0.7);
+    addEffect(ripple(from), 0.5, 1, 2.5, 0.8);
+    addEffect(sphere(to), 0.3, 2, 1, 0.6);
+    addEffect(ripple(to), 0.5, 2.5, 1, 0.8);
+    addEffect(streak, 0.25, 1, 1, 0.9);
+}
+
+function addEffect(object, duration, fromScale, toScale, opacity) {
+    scene.add(object);
+    effects.push({ object, life: duration, duration, fromScale, toScale, opacity });
+}
+
+function updateEffects(dt) {
+    effects = effects.filter(effect => {
+        effect.life -= dt;
+        const { object } = effect;
+        if (effect.life <= 0) {
+            scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+            return false;
+        }
+        const t = 1 - effect.life / effect.duration;
+        if (!object.isLine) object.scale.setScalar(effect.fromScale + (effect.toScale - effect.fromScale) * t);
+        object.material.opacity = effect.opacity * (1 - t);
+        return true;
+    });
+}
+
+// Blink readiness of the selected stalker, as a label and a filling bar
+function updateAbilityPanel() {
+    const unit = selectedUnit && selectedUnit.team !== ENEMY_TEAM ? selectedUnit : null;
+    abilityPanel.style.display = unit ? 'block' : 'none';
+    if (!unit) return;
+    const ready = unit.blinkCooldown === 0;
+    abilityLabel.textContent = ready ? 'Blink [B]: ready' : `Blink [B]: ${unit.blinkCooldown.toFixed(1)} s`;
+    abilityFill.style.width = `${(1 - unit.blinkCooldown / CONFIG.blink.cooldown) * 100}%`;
+    abilityPanel.classList.toggle('ready', ready);
+}
+
 // --- Init & Loop ---
 
 function init() {
@@ -345,9 +590,34 @@ function init() {
     selectedUnit = stalker;
     stalker.setSelected(true);
 
+    // Something to fight
+    spawnEnemy(10, -6);
+    spawnEnemy(12, -3);
+
     // Event Listeners
     window.addEventListener('resize', onWindowResize);
     window.addEventListener('mousedown', onMouseDown);
+    window.addEventListener('mousemove', (e) => {
+        mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
+        mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
+    });
+    window.addEventListener('keydown', (e) => {
+        if (e.code === 'KeyK') { // Enemy stalker at the cursor
+            raycaster.setFromCamera(mouse, camera);
+            const hit = raycaster.intersectObject(groundPlane)[0];
+            if (hit) spawnEnemy(hit.point.x, hit.point.z);
+        }
+        if (e.code === 'KeyB' && !e.repeat && selectedUnit && selectedUnit.team !== ENEMY_TEAM) { // Blink to the cursor
+            raycaster.setFromCamera(mouse, camera);
+            const hit = raycaster.intersectObject(groundPlane)[0];
+            if (hit) selectedUnit.blink(hit.point);
+        }
+    });
+
+    // Ability UI
+    abilityPanel = document.getElementById('ability');
+    abilityLabel = abilityPanel.querySelector('.label');
+    abilityFill = abilityPanel.querySelector('.fill');
     window.addEventListener('contextmenu', (e) => e.preventDefault());
 
     // Clock
@@ -362,6 +632,23 @@ function onWindowResize() {
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+// The unit whose mesh the ray hits first, if any
+function unitUnderRay(intersects) {
+    for (let hit of intersects) {
+        // Check if hit object belongs to a unit
+        const unit = units.find(u => {
+            let obj = hit.object;
+            while(obj) {
+                if (obj === u.mesh) return true;
+                obj = obj.parent;
+            }
+            return false;
+        });
+        if (unit) return unit;
+    }
+    return null;
+}
+
 function onMouseDown(event) {
     mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
@@ -370,23 +657,7 @@ function onMouseDown(event) {
 
     if (event.button === 0) { // Left Click: Select
         const intersects = raycaster.intersectObjects(scene.children, true);
-        
-        let hitUnit = null;
-        for (let hit of intersects) {
-            // Check if hit object belongs to a unit
-            const unit = units.find(u => {
-                let obj = hit.object;
-                while(obj) {
-                    if (obj === u.mesh) return true;
-                    obj = obj.parent;
-                }
-                return false;
-            });
-            if (unit) {
-                hitUnit = unit;
-                break;
-            }
-        }
+        const hitUnit = unitUnderRay(intersects);
 
         if (hitUnit) {
             if (selectedUnit) selectedUnit.setSelected(false);
@@ -402,8 +673,13 @@ function onMouseDown(event) {
                 selectedUnit = null;
             }
         }
-    } else if (event.button === 2) { // Right Click: Move
+    } else if (event.button === 2) { // Right Click: Move, or attack an enemy
         if (selectedUnit) {
+            const enemy = unitUnderRay(raycaster.intersectObjects(scene.children, true));
+            if (enemy && enemy.team !== selectedUnit.team) {
+                selectedUnit.attack(enemy);
+                return;
+            }
             const intersects = raycaster.intersectObject(groundPlane);
             if (intersects.length > 0) {
                 selectedUnit.setTarget(intersects[0].point);
@@ -420,6 +696,10 @@ function animate() {
     controls.update();
 
     units.forEach(unit => unit.update(dt));
+    updateProjectiles(dt);
+    updateEffects(dt);
+    removeDeadUnits();
+    updateAbilityPanel();
 
     renderer.render(scene, camera);
 }